@@ -0,0 +1,173 @@
+// Bode Plot
+// Draws the AC response of one probe node on a canvas: magnitude in dB above, phase in degrees below,
+// both against frequency on a log scale. The points 3dB below the peak are marked and listed in the
+// readout.
+
+// Magnitude drop, in dB, that defines a cutoff frequency (half power)
+const CUTOFF_DROP = 20 * Math.log10(Math.SQRT2);
+
+// Space around the plot areas for the axis labels, and the share of the height the magnitude takes
+const BODE_MARGIN = { left: 44, right: 10, top: 10, bottom: 22, gap: 14 };
+const BODE_MAGNITUDE_SHARE = 0.6;
+
+// Frequencies where a magnitude response crosses CUTOFF_DROP below its peak, interpolated on the log scale,
+// with the peak in dB
+function findCutoffs(frequencies, magnitudes) {
+    const decibels = magnitudes.map(magnitude => 20 * Math.log10(Math.max(magnitude, 1e-30)));
+    const peak = Math.max(...decibels);
+    const level = peak - CUTOFF_DROP;
+
+    const cutoffs = [];
+    for (let i = 1; i < decibels.length; i++) {
+        const before = decibels[i - 1] - level;
+        const after = decibels[i] - level;
+        if (before === 0 || (before > 0) === (after > 0)) continue;
+        const fraction = before / (before - after);
+        cutoffs.push(frequencies[i - 1] * (frequencies[i] / frequencies[i - 1]) ** fraction);
+    }
+    return { peak, level, cutoffs };
+}
+
+class BodePlot {
+    constructor(canvas, readout) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.readout = readout;
+        this.result = null;
+        this.probe = null;
+    }
+
+    // Show an AC analysis for the node named probe
+    show(result, probe) {
+        this.result = result;
+        this.setProbe(probe);
+    }
+
+    setProbe(probe) {
+        this.probe = probe;
+        const series = this.probeSeries();
+        this.cutoff = series ? findCutoffs(this.result.frequencies, series.magnitude) : null;
+        this.draw();
+        this.showReadout();
+    }
+
+    probeSeries() {
+        return this.result ? this.result.series.find(series => series.name === this.probe) || null : null;
+    }
+
+    // The -3dB frequencies of the probe, or why there are none
+    showReadout() {
+        if (!this.readout) return;
+        const series = this.probeSeries();
+        if (!series || this.result.frequencies.length < 2) {
+            this.readout.textContent = '';
+            return;
+        }
+
+        const { peak, cutoffs } = this.cutoff;
+        const peakText = `peak ${parseFloat(peak.toFixed(1))}dB`;
+        this.readout.textContent = cutoffs.length > 0
+            ? `−3dB at ${cutoffs.map(frequency => formatEngineeringValue(frequency, 'Hz')).join(' and ')} (${peakText})`
+            : `No −3dB point between ${formatEngineeringValue(this.result.frequencies[0], 'Hz')} and ${formatEngineeringValue(this.result.frequencies[this.result.frequencies.length - 1], 'Hz')} (${peakText})`;
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        const series = this.probeSeries();
+        if (!series || this.result.frequencies.length < 2) return;
+
+        const { frequencies } = this.result;
+        const left = BODE_MARGIN.left;
+        const width = canvas.width - left - BODE_MARGIN.right;
+        const plotHeight = canvas.height - BODE_MARGIN.top - BODE_MARGIN.bottom - BODE_MARGIN.gap;
+        const magnitudeArea = { top: BODE_MARGIN.top, height: plotHeight * BODE_MAGNITUDE_SHARE };
+        const phaseArea = { top: magnitudeArea.top + magnitudeArea.height + BODE_MARGIN.gap, height: plotHeight * (1 - BODE_MAGNITUDE_SHARE) };
+
+        const low = Math.log10(frequencies[0]);
+        const high = Math.log10(frequencies[frequencies.length - 1]);
+        const x = frequency => left + (Math.log10(frequency) - low) / (high - low) * width;
+
+        const decibels = series.magnitude.map(magnitude => 20 * Math.log10(Math.max(magnitude, 1e-30)));
+        this.drawTrace(decibels, magnitudeArea, x, 'dB', '#2563eb');
+        this.drawTrace(series.phase, phaseArea, x, '°', '#dc2626');
+
+        // Decade lines across both areas, labelled below the phase
+        ctx.strokeStyle = '#d1d5db';
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        for (let decade = Math.ceil(low); decade <= Math.floor(high); decade++) {
+            const at = x(10 ** decade);
+            [magnitudeArea, phaseArea].forEach(area => {
+                ctx.beginPath();
+                ctx.moveTo(at, area.top);
+                ctx.lineTo(at, area.top + area.height);
+                ctx.stroke();
+            });
+            ctx.fillText(formatEngineeringValue(10 ** decade, 'Hz'), at, canvas.height - 6);
+        }
+
+        // The -3dB level, when the response falls that far, and where it crosses it
+        const { level, cutoffs } = this.cutoff;
+        const y = this.scale(decibels, magnitudeArea);
+        ctx.strokeStyle = '#059669';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        if (Math.min(...decibels) <= level) {
+            ctx.moveTo(left, y(level));
+            ctx.lineTo(left + width, y(level));
+        }
+        cutoffs.forEach(frequency => {
+            ctx.moveTo(x(frequency), magnitudeArea.top);
+            ctx.lineTo(x(frequency), phaseArea.top + phaseArea.height);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Vertical scale fitting values into an area, with a little room above and below
+    scale(values, area) {
+        let low = Math.min(...values);
+        let high = Math.max(...values);
+        if (high - low < 1e-6) {
+            low -= 1;
+            high += 1;
+        }
+        const pad = (high - low) * 0.05;
+        return value => area.top + (high + pad - value) / (high - low + 2 * pad) * area.height;
+    }
+
+    // One trace with horizontal grid lines labelled in unit down the left side
+    drawTrace(values, area, x, unit, color) {
+        const { ctx } = this;
+        const { frequencies } = this.result;
+        const y = this.scale(values, area);
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillStyle = '#6b7280';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        const step = niceStep(Math.max(high - low, 1), 3);
+        for (let value = Math.ceil(low / step) * step; value <= high; value += step) {
+            ctx.beginPath();
+            ctx.moveTo(BODE_MARGIN.left, y(value));
+            ctx.lineTo(this.canvas.width - BODE_MARGIN.right, y(value));
+            ctx.stroke();
+            ctx.fillText(`${parseFloat(value.toPrecision(6))}${unit}`, BODE_MARGIN.left - 4, y(value) + 3);
+        }
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            if (i === 0) ctx.moveTo(x(frequencies[i]), y(value));
+            else ctx.lineTo(x(frequencies[i]), y(value));
+        });
+        ctx.stroke();
+    }
+}
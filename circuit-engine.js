@@ -2,102 +2,66 @@
 // Handles parsing circuit code and generating SVG diagrams
 
 class CircuitEngine {
+    // Add a component type from its own file; see registerSymbolDefinition for what a definition holds
+    static registerSymbol(type, definition) {
+        registerSymbolDefinition(type, definition);
+    }
+
     constructor() {
-        this.components = [];
-        this.connections = [];
+        this.parser = new CircuitParser();
+        this.router = new WireRouter();
+        this.netlist = new Netlist();
         this.svgCanvas = null;
         this.zoom = 1;
     }
 
-    // Parse circuit code and extract components and connections
-    parseCircuitCode(code) {
-        this.components = [];
-        this.connections = [];
-        
-        if (!code.trim()) {
-            throw new Error('Please enter circuit code');
-        }
-
-        const lines = code.split('\n').filter(line => line.trim() && !line.trim().startsWith('//'));
-        
-        for (const line of lines) {
-            this.parseLine(line.trim());
-        }
-
-        if (this.components.length === 0) {
-            throw new Error('No valid components found in code');
-        }
-
-        return { components: this.components, connections: this.connections };
+    // Parse circuit code into a netlist; problems are listed in netlist.diagnostics
+    parseCircuitCode(code, options = {}) {
+        this.netlist = this.parser.parse(code, options);
+        return this.netlist;
     }
 
-    // Parse individual line of circuit code
-    parseLine(line) {
-        // Component syntax: NAME: TYPE [VALUE] [POSITION]
-        const componentMatch = line.match(/^(\w+):\s*(\w+)(?:\s+([\w.]+))?(?:\s+\((\d+),\s*(\d+)\))?$/);
-        
-        if (componentMatch) {
-            const [, name, type, value, x, y] = componentMatch;
-            this.components.push({
-                name,
-                type: type.toLowerCase(),
-                value: value || '',
-                x: parseInt(x) || this.autoPosition(),
-                y: parseInt(y) || this.autoPosition()
-            });
-            return;
-        }
-
-        // Connection syntax: COMPONENT1 -> COMPONENT2
-        const connectionMatch = line.match(/^(\w+)\s*->\s*(\w+)$/);
-        if (connectionMatch) {
-            const [, from, to] = connectionMatch;
-            this.connections.push({ from, to });
-            return;
-        }
-
-        // Auto-connection (implicit series connection)
-        if (this.components.length > 0 && !line.includes('->')) {
-            const lastComponent = this.components[this.components.length - 1];
-            if (componentMatch) {
-                const currentComponent = this.components[this.components.length];
-                if (currentComponent) {
-                    this.connections.push({ 
-                        from: lastComponent.name, 
-                        to: currentComponent.name 
-                    });
-                }
-            }
-        }
-    }
-
-    // Auto-position components in a grid
-    autoPosition() {
-        const gridSize = 100;
-        const cols = 7;
-        const index = this.components.length;
-        return {
-            x: 100 + (index % cols) * gridSize,
-            y: 100 + Math.floor(index / cols) * gridSize
-        };
-    }
-
-    // Generate SVG circuit diagram
-    generateCircuit(components, connections) {
+    // Generate SVG circuit diagram from a netlist
+    generateCircuit(netlist) {
         const svg = document.getElementById('circuit-svg');
         svg.innerHTML = '';
 
         // Add grid background
         this.addGrid(svg);
 
-        // Draw connections first (so they appear behind components)
-        connections.forEach(conn => {
-            this.drawConnection(svg, conn, components);
+        // Parts inside a subcircuit drawn as a block are hidden, along with their wires
+        const visible = name => !this.isInsideCollapsed(netlist.getComponent(name), netlist);
+
+        // Draw connections first (so they appear behind components), routed around the parts
+        this.drawWires(svg, netlist.connections.filter(conn => visible(conn.from) && visible(conn.to)), netlist, visible);
+
+        // Pins attached to a net get a label or power flag instead of a wire
+        netlist.nets.forEach(net => {
+            net.labels.forEach((label, index) => {
+                if (visible(label.component)) {
+                    this.drawNetFlag(svg, net, label, netlist, index);
+                }
+            });
         });
 
-        // Draw components
-        components.forEach(comp => {
-            this.drawComponent(svg, comp);
+        // Draw components; a symbol that fails to draw is reported instead of aborting the diagram
+        netlist.components.filter(comp => visible(comp.name)).forEach(comp => {
+            try {
+                if (comp.subcircuit) {
+                    this.drawSubcircuit(svg, comp, netlist);
+                } else {
+                    this.drawComponent(svg, comp);
+                }
+            } catch (error) {
+                netlist.diagnostics.push({
+                    severity: 'warning',
+                    code: 'render-failed',
+                    message: `Could not draw ${comp.type} '${comp.name}': ${error.message}`,
+                    line: comp.source ? comp.source.line : 0,
+                    column: comp.source ? comp.source.column : 1,
+                    endColumn: comp.source ? comp.source.endColumn : 1
+                });
+            }
         });
 
         return svg;
@@ -141,25 +105,338 @@ class CircuitEngine {
         svg.appendChild(rect);
     }
 
-    // Draw connection between components
-    drawConnection(svg, connection, components) {
-        const fromComp = components.find(c => c.name === connection.from);
-        const toComp = components.find(c => c.name === connection.to);
+    // Route the visible connections around the parts and draw them, with dots only where three or more wires meet
+    drawWires(svg, connections, netlist, visible) {
+        const netOf = new Map();
+        netlist.nets.forEach(net => net.pins.forEach(p => netOf.set(netlist.pinKey(p.component, p.pin), net.name)));
+
+        // Expanded subcircuits are frames around their parts, so wires may cross them
+        const obstacles = netlist.components
+            .filter(c => visible(c.name) && (!c.subcircuit || this.isSubcircuitBlock(c, netlist)))
+            .map(c => getSymbolBox(c));
+
+        const wires = connections
+            .map(connection => {
+                const fromComp = netlist.getComponent(connection.from);
+                const toComp = netlist.getComponent(connection.to);
+                if (!fromComp || !toComp) return null;
+
+                // An end without a pin is drawn to the pin the netlist joins it to (see defaultConnectionPin)
+                const fromPin = netlist.connectionPin(connection, 'from');
+                const fromAnchor = this.getPinAnchor(fromComp, fromPin, netlist);
+                const toAnchor = this.getPinAnchor(toComp, netlist.connectionPin(connection, 'to'), netlist);
+                const fromSize = getComponentSize(fromComp);
+                return {
+                    connection,
+                    from: fromAnchor || transformSymbolPoint(fromComp, fromSize.width, fromSize.height / 2),
+                    to: toAnchor || transformSymbolPoint(toComp, 0, getComponentSize(toComp).height / 2),
+                    fromBox: this.getWireBox(fromComp, netlist),
+                    toBox: this.getWireBox(toComp, netlist),
+                    fromDir: fromAnchor ? fromAnchor.dir : null,
+                    toDir: toAnchor ? toAnchor.dir : null,
+                    fromAnchored: Boolean(fromAnchor),
+                    toAnchored: Boolean(toAnchor),
+                    net: netOf.get(netlist.pinKey(connection.from, fromPin)) || connection.from
+                };
+            })
+            .filter(Boolean);
+        if (wires.length === 0) return;
+
+        const { wires: routed, junctions } = this.router.routeAll(wires, obstacles);
+        routed.forEach(wire => this.drawConnection(svg, wire));
+        junctions.forEach(junction => this.addConnectionDot(svg, junction.x, junction.y));
+    }
 
-        if (!fromComp || !toComp) return;
+    // Box a wire leaves a component through: its symbol, or the frame of an expanded subcircuit
+    getWireBox(component, netlist) {
+        if (component.subcircuit && !this.isSubcircuitBlock(component, netlist)) {
+            return this.getSubcircuitBox(component, netlist);
+        }
+        return getSymbolBox(component);
+    }
 
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', fromComp.x + 40);
-        line.setAttribute('y1', fromComp.y + 20);
-        line.setAttribute('x2', toComp.x);
-        line.setAttribute('y2', toComp.y + 20);
-        line.setAttribute('class', 'circuit-wire');
-        
-        svg.appendChild(line);
+    // Draw one routed wire as a right-angled path, hopping over the wires it crosses
+    drawConnection(svg, wire) {
+        const { connection, points, hops } = wire;
+        const r = ROUTE_HOP_RADIUS;
+
+        let d = `M ${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const dir = Math.sign(b.x - a.x);
+            hops
+                .filter(hop => hop.segment === i - 1)
+                .sort((h1, h2) => dir * (h1.x - h2.x))
+                .forEach(hop => {
+                    d += ` L ${hop.x - dir * r} ${hop.y} A ${r} ${r} 0 0 ${dir > 0 ? 1 : 0} ${hop.x + dir * r} ${hop.y}`;
+                });
+            d += ` L ${b.x} ${b.y}`;
+        }
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('class', 'circuit-wire');
+        path.setAttribute('data-from', connection.fromPin ? `${connection.from}.${connection.fromPin}` : connection.from);
+        path.setAttribute('data-to', connection.toPin ? `${connection.to}.${connection.toPin}` : connection.to);
+        path.setAttribute('data-net', wire.net);
+        svg.appendChild(path);
+
+        // Name pins that have no fixed leg on the symbol
+        if (connection.fromPin && !wire.fromAnchored) {
+            this.addPinLabel(svg, connection.fromPin, wire.from.x, wire.from.y);
+        }
+        if (connection.toPin && !wire.toAnchored) {
+            this.addPinLabel(svg, connection.toPin, wire.to.x, wire.to.y);
+        }
+    }
+
+    // Get the absolute position of a component pin and the side its lead points to, or null if the symbol has no fixed leg for it
+    getPinAnchor(component, pin, netlist) {
+        if (component.subcircuit) return this.getPortAnchor(component, pin, netlist);
+
+        const geometry = getComponentPin(component, pin);
+        if (!geometry) return null;
+
+        return { ...transformSymbolPoint(component, geometry.x, geometry.y), dir: transformSymbolDirection(component, geometry.dir) };
+    }
+
+    // Check whether a component sits inside a subcircuit instance drawn as a closed block
+    isInsideCollapsed(component, netlist) {
+        let parent = component && component.parent ? netlist.getComponent(component.parent) : null;
+        while (parent) {
+            if (parent.properties.view !== 'expanded') return true;
+            parent = parent.parent ? netlist.getComponent(parent.parent) : null;
+        }
+        return false;
+    }
+
+    // Outline of a subcircuit instance: a fixed block, or a frame around its parts when expanded
+    getSubcircuitBox(component, netlist) {
+        const block = { x: component.x, y: component.y, ...getComponentSize(component) };
+
+        const children = component.properties.view === 'expanded' ? netlist.getChildren(component.name) : [];
+        if (children.length === 0) return block;
+
+        const boxes = children.map(child => child.subcircuit
+            ? this.getSubcircuitBox(child, netlist)
+            : { ...getSymbolBox(child), height: getSymbolBox(child).height + 10 });
+        const left = Math.min(...boxes.map(b => b.x)) - 20;
+        const top = Math.min(...boxes.map(b => b.y)) - 20;
+        const right = Math.max(...boxes.map(b => b.x + b.width)) + 20;
+        const bottom = Math.max(...boxes.map(b => b.y + b.height)) + 20;
+        return { x: left, y: top, width: right - left, height: Math.max(bottom - top, block.height) };
+    }
+
+    // Ports sit on the left edge of a subcircuit, then the right edge; a block turns with its rotation
+    getPortAnchor(component, pin, netlist) {
+        const index = component.pins.indexOf(pin);
+        if (index === -1) return null;
+
+        const box = this.getSubcircuitBox(component, netlist);
+        const perSide = Math.ceil(component.pins.length / 2);
+        const onLeft = index < perSide;
+        const dx = onLeft ? 0 : box.width;
+        const dy = 20 + (onLeft ? index : index - perSide) * 20;
+        const dir = onLeft ? 'left' : 'right';
+
+        if (this.isSubcircuitBlock(component, netlist)) {
+            return { ...transformSymbolPoint(component, dx, dy), dir: transformSymbolDirection(component, dir) };
+        }
+        return { x: box.x + dx, y: box.y + dy, dir };
+    }
+
+    // A subcircuit drawn as a closed block rather than a frame around its parts
+    isSubcircuitBlock(component, netlist) {
+        return component.properties.view !== 'expanded' || netlist.getChildren(component.name).length === 0;
+    }
+
+    // Draw a subcircuit instance as a block with its ports, or as a dashed frame around its parts
+    drawSubcircuit(svg, component, netlist) {
+        const box = this.getSubcircuitBox(component, netlist);
+        const expanded = !this.isSubcircuitBlock(component, netlist);
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('transform', expanded ? `translate(${box.x}, ${box.y})` : symbolTransform(component));
+        g.setAttribute('class', expanded ? 'subcircuit subcircuit-expanded' : 'subcircuit');
+        g.setAttribute('data-component', component.name);
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', '0');
+        rect.setAttribute('y', '0');
+        rect.setAttribute('width', box.width);
+        rect.setAttribute('height', box.height);
+        rect.setAttribute('rx', '4');
+        rect.setAttribute('class', expanded ? 'subcircuit-frame' : 'circuit-component subcircuit-block');
+        g.appendChild(rect);
+
+        // Port names just inside the edge they sit on
+        const perSide = Math.ceil(component.pins.length / 2);
+        component.pins.forEach((pin, index) => {
+            const onLeft = index < perSide;
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', onLeft ? 4 : box.width - 4);
+            text.setAttribute('y', 23 + (onLeft ? index : index - perSide) * 20);
+            text.setAttribute('class', 'circuit-text circuit-pin-label');
+            text.setAttribute('text-anchor', onLeft ? 'start' : 'end');
+            text.setAttribute('font-size', '9');
+            text.textContent = pin;
+            g.appendChild(text);
+        });
+
+        if (expanded) {
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            title.setAttribute('x', box.width / 2);
+            title.setAttribute('y', '-4');
+            title.setAttribute('class', 'circuit-text');
+            title.setAttribute('text-anchor', 'middle');
+            title.setAttribute('font-size', '10');
+            title.textContent = `${component.name}: ${component.type}`;
+            g.appendChild(title);
+        } else {
+            this.addLabel(g, component.name, component.type, box.width / 2, box.height / 2 - 4);
+            this.keepTextUpright(g, component);
+        }
+
+        svg.appendChild(g);
+    }
 
-        // Add connection dots
-        this.addConnectionDot(svg, fromComp.x + 40, fromComp.y + 20);
-        this.addConnectionDot(svg, toComp.x, toComp.y + 20);
+    // Add pin name next to a wire end
+    addPinLabel(svg, pin, x, y) {
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x + 4);
+        text.setAttribute('y', y - 4);
+        text.setAttribute('class', 'circuit-text circuit-pin-label');
+        text.setAttribute('font-size', '9');
+        text.textContent = pin;
+        svg.appendChild(text);
+    }
+
+    // Show a DC operating point on the diagram: each net's voltage at one of its pins and the current
+    // through each two-pin part above it. A new overlay replaces the last one.
+    drawOperatingPoint(netlist, result) {
+        const svg = document.getElementById('circuit-svg');
+        svg.querySelectorAll('.dc-overlay').forEach(overlay => overlay.remove());
+        if (!result.converged) return;
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('class', 'dc-overlay');
+        const addTag = (x, y, text, kind, anchor = 'start') => {
+            const tag = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            tag.setAttribute('x', x);
+            tag.setAttribute('y', y);
+            tag.setAttribute('class', `circuit-text dc-${kind}`);
+            tag.setAttribute('text-anchor', anchor);
+            tag.setAttribute('font-size', '9');
+            tag.textContent = text;
+            g.appendChild(tag);
+        };
+        const shown = name => {
+            const component = netlist.getComponent(name);
+            return component && !this.isInsideCollapsed(component, netlist) ? component : null;
+        };
+
+        result.nodes.forEach(node => {
+            const anchor = node.pins
+                .filter(pin => shown(pin.component))
+                .map(pin => this.getPinAnchor(shown(pin.component), pin.pin, netlist))
+                .find(Boolean);
+            if (anchor) addTag(anchor.x + 4, anchor.y + 12, formatEngineeringValue(node.voltage, 'V'), 'voltage');
+        });
+
+        Object.entries(result.currents).forEach(([name, pins]) => {
+            const component = shown(name);
+            const currents = Object.values(pins);
+            if (!component || currents.length !== 2) return;
+            const box = getSymbolBox(component);
+            addTag(box.x + box.width / 2, box.y - 4, formatEngineeringValue(Math.abs(currents[0]), 'A'), 'current', 'middle');
+        });
+
+        svg.appendChild(g);
+    }
+
+    // Mark the named components on the diagram, clearing any earlier marks; no names just clears them
+    highlightComponents(names = []) {
+        const svg = document.getElementById('circuit-svg');
+        svg.querySelectorAll('.erc-highlight').forEach(group => group.classList.remove('erc-highlight'));
+        names.forEach(name => {
+            svg.querySelectorAll(`[data-component="${name}"]`).forEach(group => group.classList.add('erc-highlight'));
+        });
+    }
+
+    // Draw a net label, power flag or ground flag at a pin
+    drawNetFlag(svg, net, label, netlist, index) {
+        const component = netlist.getComponent(label.component);
+        if (!component) return;
+
+        const anchor = this.getPinAnchor(component, label.pin, netlist)
+            || { x: component.x + 40, y: component.y + 20 + index * 14 };
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('transform', `translate(${anchor.x}, ${anchor.y})`);
+        g.setAttribute('class', `net-flag net-${net.kind}`);
+        g.setAttribute('data-net', net.name);
+
+        const stub = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        stub.setAttribute('x1', '0');
+        stub.setAttribute('y1', '0');
+        stub.setAttribute('class', 'circuit-wire');
+        g.appendChild(stub);
+
+        if (net.kind === 'ground') {
+            // Small ground symbol below the pin
+            stub.setAttribute('x2', '0');
+            stub.setAttribute('y2', '10');
+            [[-8, 10, 8], [-5, 14, 5], [-2, 18, 2]].forEach(([x1, y, x2]) => {
+                const bar = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                bar.setAttribute('x1', x1);
+                bar.setAttribute('y1', y);
+                bar.setAttribute('x2', x2);
+                bar.setAttribute('y2', y);
+                bar.setAttribute('class', 'circuit-component');
+                g.appendChild(bar);
+            });
+        } else if (net.kind === 'power') {
+            // Power bar above the pin with the rail name
+            stub.setAttribute('x2', '0');
+            stub.setAttribute('y2', '-10');
+            const bar = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            bar.setAttribute('x1', '-8');
+            bar.setAttribute('y1', '-10');
+            bar.setAttribute('x2', '8');
+            bar.setAttribute('y2', '-10');
+            bar.setAttribute('class', 'circuit-component');
+            g.appendChild(bar);
+
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', '0');
+            text.setAttribute('y', '-14');
+            text.setAttribute('class', 'circuit-text net-flag-text');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('font-size', '9');
+            text.textContent = net.name;
+            g.appendChild(text);
+        } else {
+            // Signal net label tag to the right of the pin
+            const width = net.name.length * 6 + 10;
+            stub.setAttribute('x2', '6');
+            stub.setAttribute('y2', '0');
+            const tag = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            tag.setAttribute('d', `M 6 0 L 11 -6 L ${11 + width} -6 L ${11 + width} 6 L 11 6 Z`);
+            tag.setAttribute('class', 'circuit-component');
+            tag.setAttribute('fill', '#fff');
+            g.appendChild(tag);
+
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', '14');
+            text.setAttribute('y', '3');
+            text.setAttribute('class', 'circuit-text net-flag-text');
+            text.setAttribute('font-size', '9');
+            text.textContent = net.name;
+            g.appendChild(text);
+        }
+
+        svg.appendChild(g);
     }
 
     // Add connection dot
@@ -172,135 +449,72 @@ class CircuitEngine {
         svg.appendChild(circle);
     }
 
-    // Draw individual component
+    // Draw a component with its registered symbol; a type without one is drawn as a labelled box
     drawComponent(svg, component) {
-        switch (component.type) {
-            case 'resistor':
-                this.drawResistor(svg, component);
-                break;
-            case 'capacitor':
-                this.drawCapacitor(svg, component);
-                break;
-            case 'inductor':
-                this.drawInductor(svg, component);
-                break;
-            case 'led':
-                this.drawLED(svg, component);
-                break;
-            case 'battery':
-                this.drawBattery(svg, component);
-                break;
-            case 'ground':
-                this.drawGround(svg, component);
-                break;
-            case 'switch':
-                this.drawSwitch(svg, component);
-                break;
-            case 'npn':
-            case 'transistor':
-                this.drawTransistor(svg, component);
-                break;
-            // Arduino Boards
-            case 'arduino_uno':
-                this.drawArduinoUno(svg, component);
-                break;
-            case 'arduino_nano':
-                this.drawArduinoNano(svg, component);
-                break;
-            case 'arduino_mega':
-                this.drawArduinoMega(svg, component);
-                break;
-            case 'esp32':
-                this.drawESP32(svg, component);
-                break;
-            case 'esp32_cam':
-                this.drawESP32CAM(svg, component);
-                break;
-            case 'esp8266':
-                this.drawESP8266(svg, component);
-                break;
-            // Sensors
-            case 'ultrasonic':
-                this.drawUltrasonic(svg, component);
-                break;
-            case 'dht11':
-                this.drawDHT11(svg, component);
-                break;
-            case 'dht22':
-                this.drawDHT22(svg, component);
-                break;
-            case 'pir':
-                this.drawPIR(svg, component);
-                break;
-            case 'ir_sensor':
-                this.drawIRSensor(svg, component);
-                break;
-            case 'accelerometer':
-                this.drawAccelerometer(svg, component);
-                break;
-            case 'gyro':
-                this.drawGyro(svg, component);
-                break;
-            case 'ldr':
-                this.drawLDR(svg, component);
-                break;
-            // Actuators
-            case 'servo':
-                this.drawServo(svg, component);
-                break;
-            case 'dc_motor':
-                this.drawDCMotor(svg, component);
-                break;
-            case 'stepper':
-                this.drawStepper(svg, component);
-                break;
-            case 'relay':
-                this.drawRelay(svg, component);
-                break;
-            case 'buzzer':
-                this.drawBuzzer(svg, component);
-                break;
-            case 'rgb_led':
-                this.drawRGBLED(svg, component);
-                break;
-            // Display & Input
-            case 'lcd':
-                this.drawLCD(svg, component);
-                break;
-            case 'oled':
-                this.drawOLED(svg, component);
-                break;
-            case '7segment':
-                this.draw7Segment(svg, component);
-                break;
-            case 'potentiometer':
-                this.drawPotentiometer(svg, component);
-                break;
-            case 'pushbutton':
-                this.drawPushButton(svg, component);
-                break;
-            // Virtual Objects
-            case 'virtual_wall':
-                this.drawVirtualWall(svg, component);
-                break;
-            case 'virtual_obstacle':
-                this.drawVirtualObstacle(svg, component);
-                break;
-            case 'virtual_target':
-                this.drawVirtualTarget(svg, component);
-                break;
-            case 'virtual_light':
-                this.drawVirtualLight(svg, component);
-                break;
-            default:
-                this.drawGenericComponent(svg, component);
-        }
+        const definition = getSymbolDefinition(component.type);
+        (definition ? definition.draw : this.drawGenericComponent).call(this, svg, component);
+
+        // Each draw method appends one group; its labels stay readable when the symbol is turned
+        svg.lastChild.setAttribute('data-component', component.name);
+        this.drawPins(svg.lastChild, component);
+        this.keepTextUpright(svg.lastChild, component);
+    }
+
+    // Give each pin a hover target naming it; header pins also get a pad and the pin name inside the edge
+    drawPins(group, component) {
+        getComponentPins(component).forEach(pin => {
+            if (pin.header) {
+                const pad = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                pad.setAttribute('x', pin.x - 2);
+                pad.setAttribute('y', pin.y - 2);
+                pad.setAttribute('width', '4');
+                pad.setAttribute('height', '4');
+                pad.setAttribute('class', 'circuit-component');
+                pad.setAttribute('fill', '#ffd700');
+                group.appendChild(pad);
+
+                // Names sit inside the edge the pin is on
+                const inward = { left: [5, 2.5, 'start'], right: [-5, 2.5, 'end'], up: [0, 10, 'middle'], down: [0, -5, 'middle'] };
+                const [dx, dy, anchor] = inward[pin.dir];
+                const name = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                name.setAttribute('x', pin.x + dx);
+                name.setAttribute('y', pin.y + dy);
+                name.setAttribute('class', 'circuit-text circuit-header-label');
+                name.setAttribute('text-anchor', anchor);
+                name.setAttribute('font-size', '7');
+                name.textContent = pin.name;
+                group.appendChild(name);
+            }
+
+            const target = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            target.setAttribute('cx', pin.x);
+            target.setAttribute('cy', pin.y);
+            target.setAttribute('r', '4');
+            target.setAttribute('class', 'circuit-pin');
+            target.setAttribute('data-pin', `${component.name}.${pin.name}`);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `${component.name}.${pin.name} (${pin.type})`;
+            target.appendChild(title);
+            group.appendChild(target);
+        });
+    }
+
+    // Undo a symbol's rotation and mirroring on the text inside it
+    keepTextUpright(group, component) {
+        if (!component.rotation && !component.flip) return;
+
+        group.querySelectorAll('text').forEach(text => {
+            const x = parseFloat(text.getAttribute('x')) || 0;
+            const y = parseFloat(text.getAttribute('y')) || 0;
+            text.setAttribute('transform', uprightTextTransform(component, x, y));
+        });
     }
 
     // Draw resistor symbol
     drawResistor(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Zigzag pattern
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -309,14 +523,14 @@ class CircuitEngine {
         g.appendChild(path);
 
         // Component label
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw capacitor symbol
     drawCapacitor(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Two parallel lines
         const line1 = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -353,14 +567,14 @@ class CircuitEngine {
         g.appendChild(conn1);
         g.appendChild(conn2);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw inductor symbol
     drawInductor(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Coil loops
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -368,14 +582,14 @@ class CircuitEngine {
         path.setAttribute('class', 'circuit-component');
         g.appendChild(path);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw LED symbol
     drawLED(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Diode triangle
         const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -424,14 +638,14 @@ class CircuitEngine {
         g.appendChild(conn1);
         g.appendChild(conn2);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw battery symbol
     drawBattery(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Positive terminal (longer line)
         const posTerminal = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -479,14 +693,14 @@ class CircuitEngine {
         g.appendChild(conn2);
         g.appendChild(plus);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw ground symbol
     drawGround(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Vertical line
         const vline = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -532,7 +746,7 @@ class CircuitEngine {
     // Draw switch symbol
     drawSwitch(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Switch contacts
         const contact1 = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -584,7 +798,7 @@ class CircuitEngine {
     // Draw NPN transistor symbol
     drawTransistor(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Base line
         const baseLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -680,14 +894,14 @@ class CircuitEngine {
         g.appendChild(collectorLabel);
         g.appendChild(emitterLabel);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw generic component (box)
     drawGenericComponent(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Component box
         const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -727,54 +941,43 @@ class CircuitEngine {
         g.appendChild(conn2);
         g.appendChild(typeText);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw Arduino Uno
     drawArduinoUno(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // Arduino board rectangle
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '120');
-        board.setAttribute('height', '80');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#005c5f');
         board.setAttribute('rx', '5');
 
         // USB port
         const usb = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        usb.setAttribute('x', '-10');
-        usb.setAttribute('y', '25');
-        usb.setAttribute('width', '15');
-        usb.setAttribute('height', '30');
+        usb.setAttribute('x', '45');
+        usb.setAttribute('y', '-10');
+        usb.setAttribute('width', '30');
+        usb.setAttribute('height', '15');
         usb.setAttribute('class', 'circuit-component');
         usb.setAttribute('fill', '#c0c0c0');
 
         // Power jack
         const powerJack = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        powerJack.setAttribute('cx', '110');
+        powerJack.setAttribute('cx', '85');
         powerJack.setAttribute('cy', '15');
         powerJack.setAttribute('r', '8');
         powerJack.setAttribute('class', 'circuit-component');
         powerJack.setAttribute('fill', '#000');
 
-        // Pin headers (simplified)
-        for (let i = 0; i < 8; i++) {
-            const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '10 + i * 12');
-            pin.setAttribute('y', '-5');
-            pin.setAttribute('width', '8');
-            pin.setAttribute('height', '15');
-            pin.setAttribute('class', 'circuit-component');
-            pin.setAttribute('fill', '#ffd700');
-            g.appendChild(pin);
-        }
-
         // Arduino label
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         label.setAttribute('x', '60');
@@ -785,7 +988,7 @@ class CircuitEngine {
         label.setAttribute('font-weight', 'bold');
         label.textContent = 'UNO';
 
-        this.addLabel(g, component.name, '', 60, 100);
+        this.addLabel(g, component.name, '', 60, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(usb);
@@ -797,39 +1000,28 @@ class CircuitEngine {
     // Draw Arduino Nano
     drawArduinoNano(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // Nano board (smaller)
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '80');
-        board.setAttribute('height', '50');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#00897b');
         board.setAttribute('rx', '3');
 
         // Mini USB
         const usb = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        usb.setAttribute('x', '-8');
-        usb.setAttribute('y', '15');
-        usb.setAttribute('width', '12');
-        usb.setAttribute('height', '20');
+        usb.setAttribute('x', '30');
+        usb.setAttribute('y', '-8');
+        usb.setAttribute('width', '20');
+        usb.setAttribute('height', '12');
         usb.setAttribute('class', 'circuit-component');
         usb.setAttribute('fill', '#c0c0c0');
 
-        // Pin headers
-        for (let i = 0; i < 6; i++) {
-            const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '8 + i * 10');
-            pin.setAttribute('y', '-3');
-            pin.setAttribute('width', '6');
-            pin.setAttribute('height', '10');
-            pin.setAttribute('class', 'circuit-component');
-            pin.setAttribute('fill', '#ffd700');
-            g.appendChild(pin);
-        }
-
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         label.setAttribute('x', '40');
         label.setAttribute('y', '28');
@@ -840,7 +1032,7 @@ class CircuitEngine {
         label.setAttribute('font-size', '10');
         label.textContent = 'NANO';
 
-        this.addLabel(g, component.name, '', 40, 70);
+        this.addLabel(g, component.name, '', 40, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(usb);
@@ -851,30 +1043,31 @@ class CircuitEngine {
     // Draw Arduino Mega
     drawArduinoMega(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // Mega board (larger)
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '160');
-        board.setAttribute('height', '100');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#1565c0');
         board.setAttribute('rx', '5');
 
         // USB port
         const usb = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        usb.setAttribute('x', '-10');
-        usb.setAttribute('y', '30');
-        usb.setAttribute('width', '15');
-        usb.setAttribute('height', '40');
+        usb.setAttribute('x', '60');
+        usb.setAttribute('y', '-10');
+        usb.setAttribute('width', '40');
+        usb.setAttribute('height', '15');
         usb.setAttribute('class', 'circuit-component');
         usb.setAttribute('fill', '#c0c0c0');
 
         // Power jack
         const powerJack = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        powerJack.setAttribute('cx', '150');
+        powerJack.setAttribute('cx', '130');
         powerJack.setAttribute('cy', '20');
         powerJack.setAttribute('r', '8');
         powerJack.setAttribute('class', 'circuit-component');
@@ -883,7 +1076,7 @@ class CircuitEngine {
         // More pin headers
         for (let i = 0; i < 12; i++) {
             const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '10 + i * 12');
+            pin.setAttribute('x', 10 + i * 12);
             pin.setAttribute('y', '-5');
             pin.setAttribute('width', '8');
             pin.setAttribute('height', '15');
@@ -901,7 +1094,7 @@ class CircuitEngine {
         label.setAttribute('font-weight', 'bold');
         label.textContent = 'MEGA';
 
-        this.addLabel(g, component.name, '', 80, 120);
+        this.addLabel(g, component.name, '', 80, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(usb);
@@ -913,14 +1106,15 @@ class CircuitEngine {
     // Draw ESP32
     drawESP32(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // ESP32 board
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '100');
-        board.setAttribute('height', '60');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#4caf50');
         board.setAttribute('rx', '3');
@@ -936,24 +1130,12 @@ class CircuitEngine {
 
         // WiFi antenna symbol
         const antenna = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        antenna.setAttribute('d', 'M 10 10 Q 20 5, 30 10 Q 20 15, 10 10');
+        antenna.setAttribute('d', 'M 35 10 Q 50 4, 65 10 Q 50 16, 35 10');
         antenna.setAttribute('class', 'circuit-component');
         antenna.setAttribute('fill', 'none');
         antenna.setAttribute('stroke', '#ffd700');
         antenna.setAttribute('stroke-width', '2');
 
-        // Pin headers
-        for (let i = 0; i < 8; i++) {
-            const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '8 + i * 10');
-            pin.setAttribute('y', '-3');
-            pin.setAttribute('width', '6');
-            pin.setAttribute('height', '10');
-            pin.setAttribute('class', 'circuit-component');
-            pin.setAttribute('fill', '#ffd700');
-            g.appendChild(pin);
-        }
-
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         label.setAttribute('x', '50');
         label.setAttribute('y', '35');
@@ -964,7 +1146,7 @@ class CircuitEngine {
         label.setAttribute('font-size', '10');
         label.textContent = 'ESP32';
 
-        this.addLabel(g, component.name, '', 50, 80);
+        this.addLabel(g, component.name, '', 50, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(chip);
@@ -976,21 +1158,22 @@ class CircuitEngine {
     // Draw ESP32-CAM
     drawESP32CAM(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // ESP32-CAM board
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '100');
-        board.setAttribute('height', '60');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#607d8b');
         board.setAttribute('rx', '3');
 
         // Camera module
         const camera = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        camera.setAttribute('x', '10');
+        camera.setAttribute('x', '37.5');
         camera.setAttribute('y', '10');
         camera.setAttribute('width', '25');
         camera.setAttribute('height', '25');
@@ -1000,7 +1183,7 @@ class CircuitEngine {
 
         // Camera lens
         const lens = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        lens.setAttribute('cx', '22.5');
+        lens.setAttribute('cx', '50');
         lens.setAttribute('cy', '22.5');
         lens.setAttribute('r', '8');
         lens.setAttribute('class', 'circuit-component');
@@ -1008,8 +1191,8 @@ class CircuitEngine {
 
         // ESP32 chip
         const chip = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        chip.setAttribute('x', '50');
-        chip.setAttribute('y', '20');
+        chip.setAttribute('x', '37.5');
+        chip.setAttribute('y', '45');
         chip.setAttribute('width', '25');
         chip.setAttribute('height', '20');
         chip.setAttribute('class', 'circuit-component');
@@ -1017,27 +1200,15 @@ class CircuitEngine {
 
         // LED indicator
         const led = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        led.setAttribute('cx', '85');
-        led.setAttribute('cy', '15');
+        led.setAttribute('cx', '50');
+        led.setAttribute('cy', size.height - 10);
         led.setAttribute('r', '3');
         led.setAttribute('class', 'circuit-component');
         led.setAttribute('fill', '#ff0000');
 
-        // Pin headers
-        for (let i = 0; i < 8; i++) {
-            const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '8 + i * 10');
-            pin.setAttribute('y', '50');
-            pin.setAttribute('width', '6');
-            pin.setAttribute('height', '10');
-            pin.setAttribute('class', 'circuit-component');
-            pin.setAttribute('fill', '#ffd700');
-            g.appendChild(pin);
-        }
-
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         label.setAttribute('x', '50');
-        label.setAttribute('y', '45');
+        label.setAttribute('y', '80');
         label.setAttribute('class', 'circuit-text');
         label.setAttribute('text-anchor', 'middle');
         label.setAttribute('fill', 'white');
@@ -1045,7 +1216,7 @@ class CircuitEngine {
         label.setAttribute('font-size', '10');
         label.textContent = 'ESP32-CAM';
 
-        this.addLabel(g, component.name, '', 50, 80);
+        this.addLabel(g, component.name, '', 50, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(camera);
@@ -1059,24 +1230,25 @@ class CircuitEngine {
     // Draw ESP8266 NodeMCU
     drawESP8266(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
+        const size = getSymbolSize(component.type);
 
         // NodeMCU board
         const board = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         board.setAttribute('x', '0');
         board.setAttribute('y', '0');
         board.setAttribute('width', '90');
-        board.setAttribute('height', '55');
+        board.setAttribute('height', size.height);
         board.setAttribute('class', 'circuit-component');
         board.setAttribute('fill', '#2e7d32');
         board.setAttribute('rx', '3');
 
         // USB port
         const usb = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        usb.setAttribute('x', '-8');
-        usb.setAttribute('y', '15');
-        usb.setAttribute('width', '12');
-        usb.setAttribute('height', '25');
+        usb.setAttribute('x', '32.5');
+        usb.setAttribute('y', '-8');
+        usb.setAttribute('width', '25');
+        usb.setAttribute('height', '12');
         usb.setAttribute('class', 'circuit-component');
         usb.setAttribute('fill', '#c0c0c0');
 
@@ -1091,34 +1263,13 @@ class CircuitEngine {
 
         // WiFi symbol
         const wifi = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        wifi.setAttribute('x', '75');
-        wifi.setAttribute('y', '20');
+        wifi.setAttribute('x', '40');
+        wifi.setAttribute('y', '55');
         wifi.setAttribute('class', 'circuit-text');
         wifi.setAttribute('fill', '#ffd700');
         wifi.setAttribute('font-size', '12');
         wifi.textContent = '📶';
 
-        // Pin headers on both sides
-        for (let i = 0; i < 7; i++) {
-            const leftPin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            leftPin.setAttribute('x', '2');
-            leftPin.setAttribute('y', '5 + i * 7');
-            leftPin.setAttribute('width', '5');
-            leftPin.setAttribute('height', '8');
-            leftPin.setAttribute('class', 'circuit-component');
-            leftPin.setAttribute('fill', '#ffd700');
-            g.appendChild(leftPin);
-
-            const rightPin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            rightPin.setAttribute('x', '83');
-            rightPin.setAttribute('y', '5 + i * 7');
-            rightPin.setAttribute('width', '5');
-            rightPin.setAttribute('height', '8');
-            rightPin.setAttribute('class', 'circuit-component');
-            rightPin.setAttribute('fill', '#ffd700');
-            g.appendChild(rightPin);
-        }
-
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         label.setAttribute('x', '45');
         label.setAttribute('y', '32');
@@ -1129,7 +1280,7 @@ class CircuitEngine {
         label.setAttribute('font-size', '9');
         label.textContent = 'NodeMCU';
 
-        this.addLabel(g, component.name, '', 45, 75);
+        this.addLabel(g, component.name, '', 45, size.height + 20);
 
         g.appendChild(board);
         g.appendChild(usb);
@@ -1142,7 +1293,7 @@ class CircuitEngine {
     // Draw DHT22 Sensor
     drawDHT22(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // DHT22 body (larger than DHT11)
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1157,7 +1308,7 @@ class CircuitEngine {
         // Ventilation holes
         for (let i = 0; i < 3; i++) {
             const hole = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            hole.setAttribute('cx', '10 + i * 15');
+            hole.setAttribute('cx', 10 + i * 15);
             hole.setAttribute('cy', '12');
             hole.setAttribute('r', '2');
             hole.setAttribute('class', 'circuit-component');
@@ -1169,7 +1320,7 @@ class CircuitEngine {
         const pins = ['VCC', 'Data', 'NC', 'GND'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '5 + i * 10');
+            pinRect.setAttribute('x', 5 + i * 10);
             pinRect.setAttribute('y', '20');
             pinRect.setAttribute('width', '4');
             pinRect.setAttribute('height', '8');
@@ -1198,7 +1349,7 @@ class CircuitEngine {
     // Draw PIR Motion Sensor
     drawPIR(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // PIR sensor body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1239,7 +1390,7 @@ class CircuitEngine {
         const pins = ['VCC', 'OUT', 'GND'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '10 + i * 15');
+            pinRect.setAttribute('x', 10 + i * 15);
             pinRect.setAttribute('y', '30');
             pinRect.setAttribute('width', '6');
             pinRect.setAttribute('height', '8');
@@ -1268,7 +1419,7 @@ class CircuitEngine {
     // Draw Virtual Wall
     drawVirtualWall(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Wall with brick pattern
         const wall = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1302,7 +1453,7 @@ class CircuitEngine {
     // Draw Virtual Obstacle
     drawVirtualObstacle(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Obstacle circle
         const obstacle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -1334,7 +1485,7 @@ class CircuitEngine {
     // Draw Virtual Target
     drawVirtualTarget(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Target circles
         for (let i = 3; i > 0; i--) {
@@ -1356,7 +1507,7 @@ class CircuitEngine {
     // Draw Virtual Light
     drawVirtualLight(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Light bulb
         const bulb = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -1389,7 +1540,7 @@ class CircuitEngine {
     // Draw Ultrasonic Sensor
     drawUltrasonic(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Sensor body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1420,7 +1571,7 @@ class CircuitEngine {
         const pins = ['VCC', 'Trig', 'Echo', 'GND'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '5 + i * 10');
+            pinRect.setAttribute('x', 5 + i * 10);
             pinRect.setAttribute('y', '20');
             pinRect.setAttribute('width', '6');
             pinRect.setAttribute('height', '10');
@@ -1452,7 +1603,7 @@ class CircuitEngine {
     // Draw DHT11 Sensor
     drawDHT11(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Sensor body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1468,7 +1619,7 @@ class CircuitEngine {
         const pins = ['VCC', 'Data', 'NC', 'GND'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '5 + i * 8');
+            pinRect.setAttribute('x', 5 + i * 8);
             pinRect.setAttribute('y', '15');
             pinRect.setAttribute('width', '4');
             pinRect.setAttribute('height', '8');
@@ -1498,7 +1649,7 @@ class CircuitEngine {
     // Draw LDR (Light Dependent Resistor)
     drawLDR(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // LDR symbol (resistor with arrows)
         const resistorPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -1520,14 +1671,14 @@ class CircuitEngine {
         g.appendChild(arrow1);
         g.appendChild(arrow2);
 
-        this.addLabel(g, component.name, component.value, 40, 50);
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
         svg.appendChild(g);
     }
 
     // Draw Servo Motor
     drawServo(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Servo body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1558,7 +1709,7 @@ class CircuitEngine {
         const pins = ['VCC', 'GND', 'SIG'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '10 + i * 15');
+            pinRect.setAttribute('x', 10 + i * 15);
             pinRect.setAttribute('y', '35');
             pinRect.setAttribute('width', '8');
             pinRect.setAttribute('height', '10');
@@ -1578,7 +1729,7 @@ class CircuitEngine {
         label.setAttribute('font-weight', 'bold');
         label.textContent = 'SERVO';
 
-        this.addLabel(g, component.name, component.value, 30, 60);
+        this.addLabel(g, component.name, component.displayValue, 30, 60);
 
         g.appendChild(body);
         g.appendChild(horn);
@@ -1590,7 +1741,7 @@ class CircuitEngine {
     // Draw DC Motor
     drawDCMotor(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Motor body (circle)
         const motorBody = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -1636,7 +1787,7 @@ class CircuitEngine {
         label.setAttribute('font-weight', 'bold');
         label.textContent = 'M';
 
-        this.addLabel(g, component.name, component.value, 40, 55);
+        this.addLabel(g, component.name, component.displayValue, 40, 55);
 
         g.appendChild(motorBody);
         g.appendChild(shaft);
@@ -1649,7 +1800,7 @@ class CircuitEngine {
     // Draw Relay
     drawRelay(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Relay coil
         const coil = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1716,7 +1867,7 @@ class CircuitEngine {
         label.setAttribute('font-weight', 'bold');
         label.textContent = 'RELAY';
 
-        this.addLabel(g, component.name, component.value, 25, 50);
+        this.addLabel(g, component.name, component.displayValue, 25, 50);
 
         g.appendChild(coil);
         g.appendChild(contact1);
@@ -1732,7 +1883,7 @@ class CircuitEngine {
     // Draw Buzzer
     drawBuzzer(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Buzzer body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -1793,7 +1944,7 @@ class CircuitEngine {
     // Draw LCD 16x2
     drawLCD(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // LCD screen
         const screen = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1817,7 +1968,7 @@ class CircuitEngine {
         // Pin header
         for (let i = 0; i < 16; i++) {
             const pin = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pin.setAttribute('x', '5 + i * 4.5');
+            pin.setAttribute('x', 5 + i * 4.5);
             pin.setAttribute('y', '30');
             pin.setAttribute('width', '3');
             pin.setAttribute('height', '8');
@@ -1857,7 +2008,7 @@ class CircuitEngine {
     // Draw Potentiometer
     drawPotentiometer(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Potentiometer body
         const body = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -1926,14 +2077,14 @@ class CircuitEngine {
         g.appendChild(conn2);
         g.appendChild(conn3);
 
-        this.addLabel(g, component.name, component.value, 40, 65);
+        this.addLabel(g, component.name, component.displayValue, 40, 65);
         svg.appendChild(g);
     }
 
     // Draw Push Button
     drawPushButton(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // Button base
         const base = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -1997,7 +2148,7 @@ class CircuitEngine {
     // Draw RGB LED
     drawRGBLED(svg, component) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('transform', `translate(${component.x}, ${component.y})`);
+        g.setAttribute('transform', symbolTransform(component));
 
         // LED housing (clear)
         const housing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
@@ -2032,7 +2183,7 @@ class CircuitEngine {
         const pins = ['R', 'G', 'B', 'GND'];
         pins.forEach((pin, i) => {
             const pinRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            pinRect.setAttribute('x', '25 + i * 7');
+            pinRect.setAttribute('x', 25 + i * 7);
             pinRect.setAttribute('y', '28');
             pinRect.setAttribute('width', '4');
             pinRect.setAttribute('height', '8');
@@ -2041,7 +2192,7 @@ class CircuitEngine {
             
             // Pin labels
             const pinLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            pinLabel.setAttribute('x', '27 + i * 7');
+            pinLabel.setAttribute('x', 27 + i * 7);
             pinLabel.setAttribute('y', '42');
             pinLabel.setAttribute('class', 'circuit-text');
             pinLabel.setAttribute('font-size', '8');
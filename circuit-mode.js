@@ -0,0 +1,315 @@
+// Circuit Language Editor Support
+// CodeMirror mode, inline diagnostics, autocomplete and hover info for circuit code
+
+// Characters that end a word in circuit code
+const CIRCUIT_DELIMITERS = /[\s():,~.]/;
+
+// Classify a line by the statement it starts
+function circuitLineKind(text) {
+    if (/^\s*net\s+\w/.test(text)) return 'net';
+    if (/^\s*define\s/.test(text)) return 'define';
+    if (/^\s*param\s/.test(text)) return 'param';
+    if (/^\s*for\s/.test(text)) return 'loop';
+    if (/^\s*[^\s:]+\s*:/.test(text)) return 'component';
+    return 'connection';
+}
+
+// Syntax highlighting for the circuit language
+CodeMirror.defineMode('circuit', function() {
+    // Read one word; values such as HC-SR04 may contain '-' but not '->' or '--', ranges such as R[1..8] stay whole
+    function readWord(stream, allowDots) {
+        while (!stream.eol()) {
+            if (stream.match('->', false) || stream.match('--', false) || stream.match('//', false)) break;
+            if (stream.match(/^\[[^\]]*\]/)) continue;
+            const ch = stream.peek();
+            if (CIRCUIT_DELIMITERS.test(ch) && !(allowDots && ch === '.')) break;
+            stream.next();
+        }
+    }
+
+    return {
+        startState() {
+            return { kind: null, field: 0, inPosition: false, afterDot: false, afterTilde: false, afterPlacement: false, subcircuits: [] };
+        },
+
+        copyState(state) {
+            return { ...state, subcircuits: [...state.subcircuits] };
+        },
+
+        token(stream, state) {
+            if (stream.sol()) {
+                state.kind = circuitLineKind(stream.string);
+                state.field = 0;
+                state.inPosition = false;
+                state.afterDot = false;
+                state.afterTilde = false;
+                state.afterPlacement = false;
+            }
+
+            if (stream.eatSpace()) return null;
+
+            if (stream.match('//')) {
+                stream.skipToEnd();
+                return 'comment';
+            }
+            // Parameter declarations: param NAME = EXPRESSION
+            if (state.kind === 'param') {
+                if (stream.match(/^[A-Za-z_]\w*/)) {
+                    const field = state.field++;
+                    return field === 0 ? 'keyword' : field === 1 ? 'def' : 'variable';
+                }
+                if (stream.match(/^[\d.][\w.µμΩ]*/)) return 'number';
+                if (stream.match(/^[=+\-*\/]/)) return 'operator';
+                if (stream.match(/^[(){}]/)) return 'bracket';
+                stream.next();
+                return 'error';
+            }
+
+            // Loop headers: for VAR in FIRST..LAST {, the statement after '{' is highlighted as usual
+            if (state.kind === 'loop') {
+                if (stream.match(/^\{[^{}]+\}/)) return 'string-2';
+                if (stream.eat('{')) {
+                    state.kind = circuitLineKind(stream.string.slice(stream.pos));
+                    state.field = 0;
+                    return 'bracket';
+                }
+                if (stream.match(/^[A-Za-z_]\w*/)) {
+                    const field = state.field++;
+                    return field === 1 ? 'def' : 'keyword';
+                }
+                if (stream.match(/^[^\s{]+/)) return 'number';
+            }
+
+            // {expression} evaluated against the parameters
+            if (stream.match(/^\{[^{}]+\}/)) {
+                state.field++;
+                return 'string-2';
+            }
+
+            if (stream.match('->') || stream.match('--')) return 'operator';
+            if (stream.eat('~')) {
+                state.afterTilde = true;
+                return 'operator';
+            }
+            if (stream.eat('(')) {
+                state.inPosition = true;
+                return 'bracket';
+            }
+            if (stream.eat(')')) {
+                state.inPosition = false;
+                return 'bracket';
+            }
+            if (stream.eat('{') || stream.eat('}')) return 'bracket';
+            if (stream.eat(':') || stream.eat(',')) return null;
+            if (stream.eat('.')) {
+                state.afterDot = true;
+                return null;
+            }
+
+            // key=value properties after the component type
+            if (state.kind === 'component' && state.field >= 2 && !state.inPosition) {
+                if (stream.match(/^\w+(?==)/)) return 'attribute';
+                if (stream.eat('=')) return 'operator';
+            }
+
+            // Component values may contain dots (4.7k), references split at the dot
+            readWord(stream, state.kind === 'component' && state.field >= 2);
+            if (stream.current().length === 0) {
+                stream.next();
+                return 'error';
+            }
+
+            const field = state.field++;
+
+            if (state.kind === 'net') {
+                return field === 0 ? 'keyword' : 'def';
+            }
+            if (state.kind === 'define') {
+                if (field === 0) return 'keyword';
+                if (field === 1) {
+                    state.subcircuits.push(stream.current().toLowerCase());
+                    return 'variable-2';
+                }
+                return 'variable-3';
+            }
+            if (state.kind === 'component') {
+                if (state.inPosition) return 'number';
+                if (field === 0) return 'def';
+                if (field === 1) {
+                    const type = stream.current().toLowerCase();
+                    return COMPONENT_TYPES.includes(type) || state.subcircuits.includes(type) ? 'variable-2' : 'variable-2 error';
+                }
+                // right-of R1, below U1, ...
+                if (state.afterPlacement) {
+                    state.afterPlacement = false;
+                    return 'variable';
+                }
+                if (PLACEMENT_DIRECTIONS.includes(stream.current().toLowerCase())) {
+                    state.afterPlacement = true;
+                    return 'keyword';
+                }
+                return 'string';
+            }
+
+            // Connections and net attachments
+            if (state.afterDot) {
+                state.afterDot = false;
+                return 'property';
+            }
+            return state.afterTilde ? 'variable-3' : 'variable';
+        },
+
+        lineComment: '//'
+    };
+});
+
+// Parse the editor contents once per change for lint, hints and tooltips
+let circuitEditorCache = { generation: null, netlist: null };
+
+function getEditorNetlist(cm) {
+    const generation = cm.changeGeneration();
+    if (circuitEditorCache.generation !== generation) {
+        circuitEditorCache = { generation, netlist: circuitEngine.parser.parse(cm.getValue()) };
+    }
+    return circuitEditorCache.netlist;
+}
+
+// Inline diagnostics, shown as underlines with the message on hover
+CodeMirror.registerHelper('lint', 'circuit', function(text, options, cm) {
+    return circuitDiagnostics(getEditorNetlist(cm))
+        .filter(d => d.line > 0)
+        .map(d => ({
+            from: CodeMirror.Pos(d.line - 1, d.column - 1),
+            to: CodeMirror.Pos(d.line - 1, Math.max(d.endColumn, d.column + 1) - 1),
+            message: d.message,
+            severity: d.severity
+        }));
+});
+
+// Autocomplete types after ':', pins after '.', components and nets elsewhere
+CodeMirror.registerHelper('hint', 'circuit', function(cm) {
+    const cursor = cm.getCursor();
+    const before = cm.getLine(cursor.line).slice(0, cursor.ch);
+    if (before.includes('//')) return null;
+
+    const netlist = getEditorNetlist(cm);
+    const word = before.match(/\w*$/)[0];
+    const from = CodeMirror.Pos(cursor.line, cursor.ch - word.length);
+    let candidates;
+
+    const pinMatch = before.match(/(\w+)\.(\w*)$/);
+    if (pinMatch && circuitLineKind(before) !== 'component') {
+        // Pins of the component before the dot
+        const component = netlist.getComponent(pinMatch[1]);
+        candidates = component ? component.pins : [];
+    } else if (/^\s*\w+\s*:\s*\w*$/.test(before)) {
+        // Component type or subcircuit
+        candidates = [...COMPONENT_TYPES, ...netlist.subcircuits.keys()];
+    } else if (/^\s*\w+\s*:.*\b(right-of|left-of|above|below)\s+\w*$/.test(before)) {
+        // Part to place this one next to
+        candidates = netlist.components.filter(c => !c.parent).map(c => c.name);
+    } else if (/^\s*\w+\s*:\s*\w+(\s+[^\s(]+)*\s+\w*$/.test(before)) {
+        // Property names for the component's type
+        const type = before.match(/:\s*(\w+)/)[1].toLowerCase();
+        const definitions = netlist.subcircuits.has(type)
+            ? { ...getPropertyDefinitions(type), ...SUBCIRCUIT_PROPERTIES }
+            : getPropertyDefinitions(type);
+        candidates = Object.keys(definitions).map(key => `${key}=`);
+    } else if (/~\s*\w*$/.test(before)) {
+        // Net, or a ground or battery standing in for one
+        const rails = netlist.getComponentsByType('ground', 'battery').map(c => c.name);
+        candidates = [...new Set([...netlist.declaredNets, 'GND', ...rails])];
+    } else if (/(^\s*|(->|--|,)\s*)\w*$/.test(before) && circuitLineKind(before) !== 'component') {
+        // Component name at the start of a connection, after an arrow or in a fan-out list
+        candidates = netlist.components.map(c => c.name);
+    } else {
+        return null;
+    }
+
+    const list = candidates.filter(c => c.toLowerCase().startsWith(word.toLowerCase()) && c !== word);
+    return list.length > 0 ? { list, from, to: cursor } : null;
+});
+
+// Describe a component for the hover tooltip
+function describeComponent(netlist, component) {
+    const lines = [`${component.name}: ${component.type}${component.displayValue ? ' ' + component.displayValue : ''}`];
+
+    netlist.getNetsOfComponent(component.name).forEach(net => {
+        const own = net.pins.filter(p => p.component === component.name);
+        const others = net.pins
+            .filter(p => p.component !== component.name)
+            .map(p => p.pin ? `${p.component}.${p.pin}` : p.component);
+        own.forEach(p => {
+            const pin = p.pin ? `.${p.pin}` : '';
+            lines.push(`${pin || '•'} → ${net.name}${others.length ? ` (${others.join(', ')})` : ''}`);
+        });
+    });
+
+    if (component.subcircuit) {
+        lines.push(`Subcircuit with ${netlist.getChildren(component.name).length} parts`);
+    }
+
+    const definitions = { ...getPropertyDefinitions(component.type), ...SUBCIRCUIT_PROPERTIES };
+    Object.entries(component.properties).forEach(([key, value]) => {
+        lines.push(`${key} = ${formatPropertyValue(definitions[key], value)}`);
+    });
+
+    if (!netlist.getNetsOfComponent(component.name).length) lines.push('Not connected');
+    return lines.join('\n');
+}
+
+// Describe one pin of a component for the hover tooltip
+function describePin(netlist, component, pinName) {
+    const pin = netlist.findPin(component, pinName) || pinName;
+    const geometry = getComponentPin(component, pin);
+    const lines = [`${component.name}.${pin}${geometry ? ` (${geometry.type})` : ''} on ${component.type}`];
+
+    const net = netlist.getNetOfPin(component.name, pin);
+    if (net) {
+        const others = net.pins
+            .filter(p => !(p.component === component.name && p.pin === pin))
+            .map(p => p.pin ? `${p.component}.${p.pin}` : p.component);
+        lines.push(`→ ${net.name}${others.length ? ` (${others.join(', ')})` : ''}`);
+    } else {
+        lines.push('Not connected');
+    }
+    return lines.join('\n');
+}
+
+// Show a component's type, value and connections when hovering its name, or a pin's type and net
+function setupCircuitTooltips(cm) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'circuit-tooltip hidden';
+    document.body.appendChild(tooltip);
+
+    const hide = () => tooltip.classList.add('hidden');
+
+    cm.getWrapperElement().addEventListener('mousemove', e => {
+        // Diagnostics have their own tooltip
+        if (e.target.closest('.CodeMirror-lint-mark')) return hide();
+
+        const pos = cm.coordsChar({ left: e.clientX, top: e.clientY });
+        const token = cm.getTokenAt(CodeMirror.Pos(pos.line, pos.ch + 1), true);
+        if (!token.type) return hide();
+
+        const netlist = getEditorNetlist(cm);
+        if (token.type === 'property') {
+            // COMPONENT.PIN: the component name sits before the dot
+            const before = cm.getLine(pos.line).slice(0, token.start);
+            const owner = before.match(/([^\s.~,>-]+)\.$/);
+            const component = owner && netlist.getComponent(owner[1]);
+            if (!component) return hide();
+            tooltip.textContent = describePin(netlist, component, token.string);
+        } else {
+            if (!/\b(def|variable)\b/.test(token.type) || /\bvariable-[23]\b/.test(token.type)) return hide();
+            const component = netlist.getComponent(token.string);
+            if (!component) return hide();
+            tooltip.textContent = describeComponent(netlist, component);
+        }
+        tooltip.style.left = `${e.pageX + 12}px`;
+        tooltip.style.top = `${e.pageY + 12}px`;
+        tooltip.classList.remove('hidden');
+    });
+
+    cm.getWrapperElement().addEventListener('mouseleave', hide);
+}
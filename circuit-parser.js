@@ -0,0 +1,1066 @@
+// Circuit Code Parser
+// Turns circuit code into a Netlist and reports problems as diagnostics
+
+// Single-character punctuation tokens
+const PUNCTUATION = '():,~{}';
+
+// Deepest nesting of subcircuit instances before expansion stops
+const MAX_SUBCIRCUIT_DEPTH = 8;
+
+// Most copies a single range or loop may produce
+const MAX_REPEAT = 256;
+
+// Horizontal spacing of the copies of a ranged component placed at one position
+const RANGE_SPACING = 100;
+
+class CircuitParser {
+    constructor() {
+        this.layoutEngine = new LayoutEngine();
+    }
+
+    // Parse circuit code; the returned netlist carries every diagnostic found.
+    // options.params overrides declared parameters by name, e.g. { RLOAD: 4700 } for a sweep.
+    parse(code, options = {}) {
+        const netlist = new Netlist();
+        const diagnostics = new DiagnosticList();
+        this.params = new Map();
+        this.overrides = new Map(Object.entries(options.params || {}));
+
+        const { statements, definitions } = this.collectStatements(code, diagnostics);
+        netlist.params = this.params;
+
+        this.overrides.forEach((value, name) => {
+            if (!this.params.has(name)) {
+                diagnostics.warning('unknown-param', `Cannot override '${name}': no such parameter is declared`);
+            }
+        });
+
+        definitions.forEach(definition => netlist.defineSubcircuit(definition.name, definition.ports, definition.source));
+        const flat = this.expandSubcircuits(statements, definitions, diagnostics);
+
+        // Components first, so connections may refer to parts declared further down.
+        // Repeated instances of a subcircuit report their problems only once.
+        const sink = statement => statement.muted ? new DiagnosticList() : diagnostics;
+        const components = flat.filter(s => s.kind === 'component');
+        components.forEach(s => this.addComponent(netlist, s, sink(s), definitions));
+        flat.filter(s => s.kind === 'net').forEach(s => this.declareNet(netlist, s, sink(s)));
+        flat.filter(s => s.kind === 'connection').forEach(s => this.addConnection(netlist, s, sink(s)));
+        flat.filter(s => s.kind === 'attachment').forEach(s => this.attachToNet(netlist, s, sink(s)));
+
+        if (netlist.components.length === 0) {
+            diagnostics.error('no-components', 'No valid components found in code');
+        }
+
+        netlist.resolve();
+
+        // Lay out parts without a position once the wiring is known, then put parts next to their targets
+        this.layoutEngine.layout(netlist);
+        this.resolvePlacements(netlist, components.filter(s => s.placement), sink);
+
+        // Declared nets nobody attaches to
+        netlist.declaredNets.forEach(name => {
+            const net = netlist.getNet(name);
+            if (net && net.pins.length === 0) {
+                diagnostics.hint('unused-net', `Net '${name}' has no pins attached`, netlist.netSources.get(name));
+            }
+        });
+
+        netlist.diagnostics = diagnostics.sorted();
+        return netlist;
+    }
+
+    // Read every line into top-level statements and subcircuit definitions; loops and ranges are expanded here
+    collectStatements(code, diagnostics) {
+        const statements = [];
+        const definitions = new Map();
+        let current = null;
+        let loop = null;
+
+        const handle = tokens => {
+            if (tokens.length === 0) return;
+
+            // Body lines of a multi-line loop are kept until its closing '}'
+            if (loop) {
+                if (tokens[0].type === '}' && --loop.depth === 0) {
+                    this.expectEnd(tokens, 1, diagnostics);
+                    const finished = loop;
+                    loop = null;
+                    this.expandLoop(finished, diagnostics).forEach(handle);
+                    return;
+                }
+                if (tokens[tokens.length - 1].type === '{') loop.depth++;
+                loop.body.push(tokens);
+                return;
+            }
+
+            if (tokens[0].type === 'word' && tokens[0].value === 'for') {
+                const header = this.parseLoop(tokens, diagnostics);
+                if (!header) return;
+                if (header.body) {
+                    this.expandLoop(header, diagnostics).forEach(handle);
+                } else {
+                    loop = { ...header, body: [], depth: 1 };
+                }
+                return;
+            }
+
+            if (tokens[0].type === 'word' && tokens[0].value === 'define') {
+                if (current) {
+                    diagnostics.error('nested-define', `Cannot define a subcircuit inside '${current.name}'; close it with '}' first`, tokens[0]);
+                    return;
+                }
+                current = this.parseDefine(tokens, diagnostics);
+                if (current && definitions.has(current.name)) {
+                    diagnostics.error('duplicate-subcircuit', `Subcircuit '${current.name}' is already defined`, current.nameRange);
+                    current.duplicate = true;
+                }
+                return;
+            }
+
+            if (tokens[0].type === '}') {
+                if (!current) {
+                    diagnostics.error('unexpected-token', `Unexpected '}' outside a subcircuit definition`, tokens[0]);
+                } else {
+                    if (!current.duplicate) definitions.set(current.name, current);
+                    this.checkDefinition(current, diagnostics);
+                    current = null;
+                }
+                this.expectEnd(tokens, 1, diagnostics);
+                return;
+            }
+
+            this.expandNameRange(this.joinInterpolations(tokens, diagnostics), diagnostics).forEach(copy => {
+                const statement = this.parseStatement(copy.tokens, diagnostics);
+                if (!statement) return;
+                if (statement.position) statement.position.x += copy.offset;
+
+                if (current && statement.kind === 'net') {
+                    diagnostics.error('net-in-define', `Nets cannot be declared inside a subcircuit; add '${statement.name}' as a port instead`, statement.source);
+                } else if (current) {
+                    current.body.push(statement);
+                } else {
+                    statements.push(statement);
+                }
+            });
+        };
+
+        code.split('\n').forEach((text, index) => handle(this.tokenize(text, index + 1)));
+
+        if (loop) {
+            diagnostics.error('unclosed-loop', `Loop over '${loop.variable}' is missing its closing '}'`, loop.source);
+            this.expandLoop(loop, diagnostics).forEach(handle);
+        }
+
+        if (current) {
+            diagnostics.error('unclosed-define', `Subcircuit '${current.name}' is missing its closing '}'`, current.nameRange);
+            if (!current.duplicate) definitions.set(current.name, current);
+        }
+
+        return { statements, definitions };
+    }
+
+    // define NAME(PORT, PORT, ...) {
+    parseDefine(tokens, diagnostics) {
+        const source = this.span(tokens[0], tokens[tokens.length - 1]);
+        const name = tokens[1];
+        if (!name || name.type !== 'word' || !this.isName(name.value)) {
+            diagnostics.error('syntax-error', 'Subcircuit must be written as define NAME(PORT, ...) {', source);
+            return null;
+        }
+        if (COMPONENT_TYPES.includes(name.value.toLowerCase())) {
+            diagnostics.error('subcircuit-name-conflict', `'${name.value}' is a built-in component type`, name);
+            return null;
+        }
+
+        const ports = [];
+        const portRanges = [];
+        let index = 2;
+        if (tokens[index] && tokens[index].type === '(') {
+            index++;
+            while (tokens[index] && tokens[index].type === 'word') {
+                if (!this.isName(tokens[index].value) || ports.includes(tokens[index].value)) {
+                    diagnostics.error('invalid-port', `Invalid or repeated port '${tokens[index].value}'`, tokens[index]);
+                } else {
+                    ports.push(tokens[index].value);
+                    portRanges.push(tokens[index]);
+                }
+                index++;
+                if (tokens[index] && tokens[index].type === ',') index++;
+            }
+            if (!tokens[index] || tokens[index].type !== ')') {
+                diagnostics.error('syntax-error', `Expected ')' to close the port list`, tokens[index] || tokens[tokens.length - 1]);
+                return null;
+            }
+            index++;
+        }
+
+        if (!tokens[index] || tokens[index].type !== '{') {
+            diagnostics.error('syntax-error', `Expected '{' to open the subcircuit body`, tokens[index] || tokens[tokens.length - 1]);
+            return null;
+        }
+        this.expectEnd(tokens, index + 1, diagnostics);
+
+        return { name: name.value.toLowerCase(), nameRange: name, ports, portRanges, body: [], source };
+    }
+
+    // for VAR in FIRST..LAST { BODY }, with the body on the same line or on the lines up to a closing '}'
+    parseLoop(tokens, diagnostics) {
+        const source = this.span(tokens[0], tokens[tokens.length - 1]);
+        const variable = tokens[1];
+        const open = tokens.findIndex(t => t.type === '{');
+
+        if (!variable || variable.type !== 'word' || !tokens[2] || tokens[2].value !== 'in' || open < 4) {
+            diagnostics.error('syntax-error', 'Loop must be written as for NAME in FIRST..LAST {', source);
+            return null;
+        }
+        if (!/^[A-Za-z_]\w*$/.test(variable.value)) {
+            diagnostics.error('invalid-name', `Invalid loop variable '${variable.value}'`, variable);
+            return null;
+        }
+
+        const range = this.span(tokens[3], tokens[open - 1]);
+        const text = tokens.slice(3, open).map(t => t.type === 'expr' ? `(${t.value})` : t.value).join('');
+        // A bad range still opens the loop, so its body is skipped rather than read as top-level lines
+        const values = this.parseRange(text, range, diagnostics) || [];
+        const header = { variable: variable.value, values, source };
+        if (open === tokens.length - 1) return header;
+
+        // Single-line body: for i in 1..8 { R{i}.2 -> GND }
+        if (tokens[tokens.length - 1].type !== '}' || open === tokens.length - 2) {
+            diagnostics.error('syntax-error', `Expected a statement and '}' after '{'`, this.span(tokens[open], tokens[tokens.length - 1]));
+            return null;
+        }
+        return { ...header, body: [tokens.slice(open + 1, -1)] };
+    }
+
+    // FIRST..LAST as whole numbers, counting down when LAST is smaller; returns the values or null
+    parseRange(text, range, diagnostics) {
+        const parts = text.split('..');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) {
+            diagnostics.error('invalid-range', `Range must be written as FIRST..LAST, e.g. 1..8`, range);
+            return null;
+        }
+
+        const bounds = [];
+        for (const part of parts) {
+            const result = this.evaluate(part, range, diagnostics);
+            if (!result) return null;
+            if (result.unit || !Number.isInteger(result.value)) {
+                diagnostics.error('invalid-range', `Range bounds must be whole numbers, not '${part}'`, range);
+                return null;
+            }
+            bounds.push(result.value);
+        }
+
+        const [first, last] = bounds;
+        const count = Math.abs(last - first) + 1;
+        if (count > MAX_REPEAT) {
+            diagnostics.error('invalid-range', `Range ${first}..${last} has ${count} values; the limit is ${MAX_REPEAT}`, range);
+            return null;
+        }
+        const step = last >= first ? 1 : -1;
+        return Array.from({ length: count }, (_, i) => first + i * step);
+    }
+
+    // One copy of the loop body per value, with the variable replaced inside {expressions}
+    expandLoop(loop, diagnostics) {
+        const misplaced = loop.body.find(tokens => tokens[0].type === 'word' && (tokens[0].value === 'define' || tokens[0].value === 'param'));
+        if (misplaced) {
+            diagnostics.error('statement-in-loop', `'${misplaced[0].value}' cannot be used inside a loop`, misplaced[0]);
+            return [];
+        }
+
+        const pattern = new RegExp(`\\b${loop.variable}\\b`, 'g');
+        const lines = [];
+        loop.values.forEach(value => {
+            loop.body.forEach(tokens => {
+                lines.push(tokens.map(token => token.type === 'expr'
+                    ? { ...token, value: token.value.replace(pattern, `(${value})`) }
+                    : token));
+            });
+        });
+        return lines;
+    }
+
+    // Merge {expressions} written against a word, such as R{i} or D{i+1}, into the word
+    joinInterpolations(tokens, diagnostics) {
+        const joined = [];
+        tokens.forEach(token => {
+            const previous = joined[joined.length - 1];
+            const touches = previous && previous.endColumn === token.column &&
+                ['word', 'expr'].includes(previous.type) && ['word', 'expr'].includes(token.type) &&
+                !(previous.type === 'word' && previous.value.endsWith('='));
+            if (!touches) {
+                joined.push(token);
+                return;
+            }
+
+            const text = [previous, token].map(t => t.type === 'expr' ? this.interpolate(t, diagnostics) : t.value);
+            if (text.includes(null)) {
+                joined[joined.length - 1] = { ...previous, type: 'invalid' };
+                return;
+            }
+            joined[joined.length - 1] = { ...this.span(previous, token), type: 'word', value: text.join('') };
+        });
+
+        if (joined.some(t => t.type === 'invalid')) return [];
+        return joined;
+    }
+
+    // Value of an expression used inside a name; must be a whole, unitless number
+    interpolate(token, diagnostics) {
+        const result = this.evaluate(token.value, token, diagnostics);
+        if (!result) return null;
+        if (result.unit || !Number.isInteger(result.value)) {
+            diagnostics.error('invalid-expression', `An expression inside a name must give a whole number, not ${formatEngineeringValue(result.value, result.unit, 6)}`, token);
+            return null;
+        }
+        return String(result.value);
+    }
+
+    // NAME[FIRST..LAST]: TYPE ... declares one component per value; other lines pass through
+    expandNameRange(tokens, diagnostics) {
+        const name = tokens[0];
+        const match = name && tokens[1] && tokens[1].type === ':' && name.type === 'word' && name.value.match(/^(\w+)\[(.*)\]$/);
+        if (!match) return tokens.length ? [{ tokens, offset: 0 }] : [];
+
+        const values = this.parseRange(match[2], name, diagnostics);
+        if (!values) return [];
+
+        return values.map((value, i) => ({
+            tokens: [{ ...name, value: `${match[1]}${value}` }, ...tokens.slice(1)],
+            offset: i * RANGE_SPACING
+        }));
+    }
+
+    // NAME[FIRST..LAST] or NAME[FIRST..LAST].PIN in a connection, as one word per value
+    expandReferenceRange(token, diagnostics) {
+        const match = token.value.match(/^(\w+)\[(.*?)\](.*)$/);
+        if (!match) return [token];
+
+        const values = this.parseRange(match[2], token, diagnostics);
+        return values ? values.map(value => ({ ...token, value: `${match[1]}${value}${match[3]}` })) : null;
+    }
+
+    // Ports must not shadow parts, and every port should be used
+    checkDefinition(definition, diagnostics) {
+        const parts = definition.body.filter(s => s.kind === 'component').map(s => s.name);
+        const used = new Set();
+        definition.body.forEach(statement => {
+            if (statement.kind === 'connection') statement.refs.forEach(ref => used.add(ref.name));
+            if (statement.kind === 'attachment') used.add(statement.net);
+        });
+
+        definition.ports.forEach((port, i) => {
+            if (parts.includes(port)) {
+                diagnostics.error('port-name-conflict', `Port '${port}' has the same name as a part of '${definition.name}'`, definition.portRanges[i]);
+            } else if (!used.has(port)) {
+                diagnostics.hint('unused-port', `Port '${port}' is not connected inside '${definition.name}'`, definition.portRanges[i]);
+            }
+        });
+    }
+
+    // Replace subcircuit instances by their parts, named INSTANCE/PART, with ports wired to the instance's pins
+    expandSubcircuits(statements, definitions, diagnostics) {
+        const flat = [];
+        const reported = new Set();
+
+        const expand = (list, scope, muted) => {
+            const mapRef = ref => {
+                if (scope.instance && !ref.pin && scope.ports.includes(ref.name)) {
+                    return { ...ref, name: scope.instance, pin: ref.name, label: ref.name };
+                }
+                return scope.instance ? { ...ref, name: `${scope.instance}/${ref.name}`, label: ref.name } : ref;
+            };
+
+            list.forEach(statement => {
+                if (statement.kind === 'component') {
+                    const name = scope.instance ? `${scope.instance}/${statement.name}` : statement.name;
+                    const definition = definitions.get(statement.type);
+                    const placement = statement.placement && scope.instance
+                        ? { ...statement.placement, target: `${scope.instance}/${statement.placement.target}` }
+                        : statement.placement;
+                    flat.push({ ...statement, name, label: statement.name, parent: scope.instance, placement, muted });
+                    if (!definition) return;
+
+                    if (scope.stack.includes(definition.name) || scope.stack.length >= MAX_SUBCIRCUIT_DEPTH) {
+                        if (!muted) {
+                            diagnostics.error('recursive-subcircuit', `Subcircuit '${definition.name}' contains itself`, statement.typeRange);
+                        }
+                        return;
+                    }
+
+                    const first = !reported.has(definition.name);
+                    reported.add(definition.name);
+                    expand(definition.body, {
+                        instance: name,
+                        ports: definition.ports,
+                        stack: [...scope.stack, definition.name]
+                    }, !first);
+                } else if (statement.kind === 'connection') {
+                    const refs = new Map(statement.refs.map(ref => [ref, mapRef(ref)]));
+                    flat.push({
+                        ...statement,
+                        refs: [...refs.values()],
+                        segments: statement.segments.map(seg => ({ ...seg, from: refs.get(seg.from), to: refs.get(seg.to) })),
+                        muted
+                    });
+                } else if (statement.kind === 'attachment' && scope.instance && scope.ports.includes(statement.net)) {
+                    // Attaching to a port wires the pin to the instance's port
+                    const ref = mapRef(statement.ref);
+                    const port = { name: scope.instance, pin: statement.net, label: statement.net, nameRange: statement.netRange, pinRange: null };
+                    flat.push({
+                        kind: 'connection',
+                        refs: [ref, port],
+                        segments: [{ from: ref, to: port, directed: false, source: statement.source }],
+                        source: statement.source,
+                        muted
+                    });
+                } else if (statement.kind === 'attachment') {
+                    flat.push({ ...statement, ref: mapRef(statement.ref), muted });
+                } else {
+                    flat.push({ ...statement, muted });
+                }
+            });
+        };
+
+        expand(statements, { instance: null, ports: [], stack: [] }, false);
+
+        definitions.forEach(definition => {
+            if (!reported.has(definition.name)) {
+                diagnostics.hint('unused-subcircuit', `Subcircuit '${definition.name}' is never used`, definition.nameRange);
+            }
+        });
+
+        return flat;
+    }
+
+    // Split one line into tokens with column ranges; a // comment ends the line
+    tokenize(text, line) {
+        const tokens = [];
+        const token = (type, value, start, end) => ({ type, value, line, column: start + 1, endColumn: end + 1 });
+        const isWordChar = i => i < text.length &&
+            !/\s/.test(text[i]) &&
+            !PUNCTUATION.includes(text[i]) &&
+            !text.startsWith('->', i) &&
+            !text.startsWith('--', i) &&
+            !text.startsWith('//', i);
+
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+            } else if (text.startsWith('//', i)) {
+                break;
+            } else if (text[i] === '{' && this.findExpressionEnd(text, i) !== -1) {
+                // {expression}, kept whole so its operators are not split into tokens
+                const end = this.findExpressionEnd(text, i);
+                tokens.push(token('expr', text.slice(i + 1, end), i, end + 1));
+                i = end + 1;
+            } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+                tokens.push(token(text.slice(i, i + 2), text.slice(i, i + 2), i, i + 2));
+                i += 2;
+            } else if (PUNCTUATION.includes(text[i])) {
+                tokens.push(token(text[i], text[i], i, i + 1));
+                i++;
+            } else {
+                const start = i;
+                while (isWordChar(i)) {
+                    // A [A, B, C] list stays in its word, commas and spaces included
+                    const close = text[i] === '[' ? text.indexOf(']', i) : -1;
+                    i = close !== -1 && !text.slice(i, close).includes('//') ? close + 1 : i + 1;
+                }
+                tokens.push(token('word', text.slice(start, i), start, i));
+            }
+        }
+
+        return tokens;
+    }
+
+    // Index of the '}' closing an expression opened at start, or -1 if it is a block brace
+    findExpressionEnd(text, start) {
+        const end = text.indexOf('}', start);
+        const inner = text.slice(start + 1, end);
+        if (end <= start + 1 || inner.includes('//') || inner.includes('{')) return -1;
+        return end;
+    }
+
+    // Recognise the statement a line of tokens forms
+    parseStatement(tokens, diagnostics) {
+        const first = tokens[0];
+        const source = this.span(tokens[0], tokens[tokens.length - 1]);
+
+        if (first.type === 'word' && first.value === 'param') {
+            this.parseParam(tokens, source, diagnostics);
+            return null;
+        }
+
+        if (first.type === 'word' && first.value === 'net' && tokens.length > 1 && tokens[1].type === 'word') {
+            return this.parseNetDeclaration(tokens, source, diagnostics);
+        }
+        if (tokens[1] && tokens[1].type === ':') {
+            return this.parseComponent(tokens, source, diagnostics);
+        }
+        if (tokens.some(t => t.type === '~')) {
+            return this.parseAttachment(tokens, source, diagnostics);
+        }
+        if (tokens.some(t => t.type === '->' || t.type === '--')) {
+            return this.parseConnection(tokens, source, diagnostics);
+        }
+
+        diagnostics.error('syntax-error', 'Unrecognised statement (expected a component, connection or net)', source);
+        return null;
+    }
+
+    // param NAME = EXPRESSION; evaluated in order, so later parameters may use earlier ones
+    parseParam(tokens, source, diagnostics) {
+        // Braces in the expression act as parentheses
+        const text = tokens.slice(1).map(t => t.type === 'expr' ? `(${t.value})` : t.value).join(' ');
+        const match = text.match(/^(\S+?)\s*=\s*(.+)$/);
+        const name = tokens[1];
+        if (!match) {
+            diagnostics.error('syntax-error', 'Parameter must be written as param NAME = VALUE', source);
+            return;
+        }
+        if (!/^[A-Za-z_]\w*$/.test(match[1])) {
+            diagnostics.error('invalid-name', `Invalid parameter name '${match[1]}'`, name);
+            return;
+        }
+        if (this.params.has(match[1])) {
+            diagnostics.error('duplicate-param', `Parameter '${match[1]}' is already declared`, name);
+            return;
+        }
+
+        const range = { line: source.line, column: tokens[1].column, endColumn: source.endColumn };
+        const result = this.evaluate(match[2], range, diagnostics);
+        if (!result) return;
+
+        if (this.overrides.has(match[1])) {
+            const override = this.readOverride(this.overrides.get(match[1]), result.unit);
+            if (!override) {
+                diagnostics.error('invalid-param', `Override for '${match[1]}' is not a valid value`, name);
+                return;
+            }
+            this.params.set(match[1], override);
+        } else {
+            this.params.set(match[1], result);
+        }
+    }
+
+    // A sweep override: a number in the parameter's own unit, or text such as '4k7'
+    readOverride(value, unit) {
+        if (typeof value === 'number') return { value, unit };
+
+        const parsed = parseEngineeringValue(value);
+        if (!parsed) return null;
+        return { value: parsed.value, unit: parsed.unit || unit };
+    }
+
+    // Evaluate an expression against the parameters, reporting failures at range
+    evaluate(text, range, diagnostics) {
+        try {
+            return evaluateExpression(text, this.params);
+        } catch (error) {
+            diagnostics.error('invalid-expression', error.message, range);
+            return null;
+        }
+    }
+
+    // Text of a value token; {expressions} are evaluated and written back as an engineering value
+    valueText(token, diagnostics) {
+        if (token.type !== 'expr') return token.value;
+
+        const result = this.evaluate(token.value, token, diagnostics);
+        return result ? formatEngineeringValue(result.value, result.unit, 6) : null;
+    }
+
+    // net NAME
+    parseNetDeclaration(tokens, source, diagnostics) {
+        const name = tokens[1];
+        if (!this.isName(name.value)) {
+            diagnostics.error('invalid-name', `Invalid net name '${name.value}'`, name);
+            return null;
+        }
+        if (!this.expectEnd(tokens, 2, diagnostics)) return null;
+
+        return { kind: 'net', name: name.value, nameRange: name, source };
+    }
+
+    // NAME: TYPE [VALUE] [KEY=VALUE ...] [DIRECTION OTHER] [(X, Y)]
+    parseComponent(tokens, source, diagnostics) {
+        const [name, colon, type] = tokens;
+
+        if (name.type !== 'word' || !this.isName(name.value)) {
+            diagnostics.error('invalid-name', `Invalid component name '${name.value}'`, name);
+            return null;
+        }
+        if (!type || type.type !== 'word') {
+            diagnostics.error('missing-type', `Component '${name.value}' needs a type after ':'`, type || colon);
+            return null;
+        }
+
+        const statement = {
+            kind: 'component',
+            name: name.value,
+            nameRange: name,
+            type: type.value.toLowerCase(),
+            typeRange: type,
+            value: '',
+            properties: [],
+            position: null,
+            placement: null,
+            source
+        };
+
+        let index = 3;
+        const value = tokens[index];
+        const isValue = value && (value.type === 'expr' ||
+            (value.type === 'word' && !value.value.includes('=') && !PLACEMENT_DIRECTIONS.includes(value.value.toLowerCase())));
+        if (isValue) {
+            statement.value = this.valueText(value, diagnostics) || '';
+            statement.valueRange = value;
+            index++;
+        }
+
+        // key=value properties, placement and position in any order
+        while (index < tokens.length) {
+            const token = tokens[index];
+            if (token.type === 'word' && PLACEMENT_DIRECTIONS.includes(token.value.toLowerCase()) && !statement.placement) {
+                const target = tokens[index + 1];
+                if (!target || target.type !== 'word' || !this.isName(target.value)) {
+                    diagnostics.error('syntax-error', `Expected a component name after '${token.value}'`, target || token);
+                    return null;
+                }
+                statement.placement = {
+                    direction: token.value.toLowerCase(),
+                    target: target.value,
+                    targetRange: target,
+                    range: this.span(token, target)
+                };
+                index += 2;
+            } else if (token.type === 'word' && token.value.endsWith('=') && tokens[index + 1] && tokens[index + 1].type === 'expr') {
+                const property = this.parseProperty(token, diagnostics, tokens[index + 1]);
+                if (property) statement.properties.push(property);
+                index += 2;
+            } else if (token.type === 'word' && token.value.includes('=')) {
+                const property = this.parseProperty(token, diagnostics);
+                if (property) statement.properties.push(property);
+                index++;
+            } else if (token.type === '(' && !statement.position) {
+                const position = this.parsePosition(tokens, index, diagnostics);
+                if (!position) return statement;
+                statement.position = position;
+                index = position.next;
+            } else {
+                break;
+            }
+        }
+
+        this.expectEnd(tokens, index, diagnostics);
+        return statement;
+    }
+
+    // KEY=VALUE, or KEY={EXPRESSION} when the value comes as a separate expression token
+    parseProperty(token, diagnostics, expression = null) {
+        const split = token.value.indexOf('=');
+        const key = token.value.slice(0, split);
+        const valueRange = expression || { line: token.line, column: token.column + split + 1, endColumn: token.endColumn };
+        const text = expression ? this.valueText(expression, diagnostics) : token.value.slice(split + 1);
+
+        if (!this.isName(key) || text === '') {
+            diagnostics.error('invalid-property', `Property must be written as key=value`, token);
+            return null;
+        }
+        if (text === null) return null;
+
+        return {
+            key: key.toLowerCase(),
+            text,
+            keyRange: { line: token.line, column: token.column, endColumn: token.column + split },
+            valueRange
+        };
+    }
+
+    // (X, Y) starting at tokens[index]; coordinates may be negative or fractional
+    parsePosition(tokens, index, diagnostics) {
+        const [open, x, comma, y, close] = tokens.slice(index, index + 5);
+        const range = this.span(open, close || tokens[tokens.length - 1]);
+
+        if (!x || !comma || !y || !close || comma.type !== ',' || close.type !== ')') {
+            diagnostics.error('invalid-position', 'Position must be written as (x, y)', range);
+            return null;
+        }
+
+        const coordinates = [];
+        for (const coordinate of [x, y]) {
+            if (coordinate.type === 'expr') {
+                const result = this.evaluate(coordinate.value, coordinate, diagnostics);
+                if (!result) return null;
+                if (result.unit) {
+                    diagnostics.error('invalid-position', `Coordinate must be a plain number, not ${result.unit}`, coordinate);
+                    return null;
+                }
+                coordinates.push(result.value);
+            } else if (/^-?(\d+(\.\d+)?|\.\d+)$/.test(coordinate.value)) {
+                coordinates.push(parseFloat(coordinate.value));
+            } else {
+                diagnostics.error('invalid-position', `Coordinate '${coordinate.value}' must be a number or {expression}`, coordinate);
+                return null;
+            }
+        }
+
+        return { x: coordinates[0], y: coordinates[1], range, next: index + 5 };
+    }
+
+    // FROM[.PIN] -> TO[.PIN], chained (A -> B -> C), fanned out (A -> B, C) or undirected (A -- B)
+    parseConnection(tokens, source, diagnostics) {
+        const groups = [[]];
+        const operators = [];
+        let expectRef = true;
+
+        for (const token of tokens) {
+            if (expectRef) {
+                if (token.type !== 'word') {
+                    diagnostics.error('syntax-error', `Expected a component before '${token.value}'`, token);
+                    return null;
+                }
+                // R[1..8] stands for R1, R2, ... R8 in the same group
+                const words = this.expandReferenceRange(token, diagnostics);
+                if (!words) return null;
+                for (const word of words) {
+                    const ref = this.parseReference(word, diagnostics);
+                    if (!ref) return null;
+                    groups[groups.length - 1].push(ref);
+                }
+                expectRef = false;
+            } else if (token.type === ',') {
+                expectRef = true;
+            } else if (token.type === '->' || token.type === '--') {
+                operators.push(token.type);
+                groups.push([]);
+                expectRef = true;
+            } else {
+                diagnostics.error('unexpected-token', `Unexpected '${token.value}' (expected '->', '--' or ',')`, token);
+                return null;
+            }
+        }
+
+        if (expectRef || groups.length < 2) {
+            diagnostics.error('syntax-error', 'Connection must be written as A -> B', source);
+            return null;
+        }
+
+        // Every part in one group connects to every part in the next
+        const segments = [];
+        operators.forEach((operator, i) => {
+            groups[i].forEach(from => {
+                groups[i + 1].forEach(to => {
+                    segments.push({
+                        from,
+                        to,
+                        directed: operator === '->',
+                        source: { line: source.line, column: from.nameRange.column, endColumn: (to.pinRange || to.nameRange).endColumn }
+                    });
+                });
+            });
+        });
+
+        return { kind: 'connection', refs: groups.flat(), segments, source };
+    }
+
+    // COMPONENT[.PIN] ~ NET
+    parseAttachment(tokens, source, diagnostics) {
+        const [pin, tilde, net] = tokens;
+        if (tokens.length < 3 || pin.type !== 'word' || tilde.type !== '~' || net.type !== 'word') {
+            diagnostics.error('syntax-error', 'Net attachment must be written as PART.PIN ~ NET', source);
+            return null;
+        }
+
+        const ref = this.parseReference(pin, diagnostics);
+        if (!ref || !this.expectEnd(tokens, 3, diagnostics)) return null;
+        if (!this.isName(net.value)) {
+            diagnostics.error('invalid-name', `Invalid net name '${net.value}'`, net);
+            return null;
+        }
+
+        return { kind: 'attachment', ref, net: net.value, netRange: net, source };
+    }
+
+    // Split a COMPONENT.PIN word into its parts with their own ranges
+    parseReference(token, diagnostics) {
+        const dot = token.value.indexOf('.');
+        const name = dot === -1 ? token.value : token.value.slice(0, dot);
+        const pin = dot === -1 ? null : token.value.slice(dot + 1);
+
+        if (!this.isName(name) || (pin !== null && !this.isName(pin))) {
+            diagnostics.error('invalid-reference', `Invalid reference '${token.value}' (expected NAME or NAME.PIN)`, token);
+            return null;
+        }
+
+        const nameRange = { line: token.line, column: token.column, endColumn: token.column + name.length };
+        const pinRange = pin === null ? null : { line: token.line, column: nameRange.endColumn + 1, endColumn: token.endColumn };
+        return { name, pin, nameRange, pinRange };
+    }
+
+    // Report anything left over after a complete statement
+    expectEnd(tokens, index, diagnostics) {
+        if (index >= tokens.length) return true;
+
+        const extra = this.span(tokens[index], tokens[tokens.length - 1]);
+        diagnostics.error('unexpected-token', `Unexpected '${tokens[index].value}'`, extra);
+        return false;
+    }
+
+    addComponent(netlist, statement, diagnostics, subcircuits) {
+        if (netlist.getComponent(statement.name)) {
+            diagnostics.error('duplicate-component', `Duplicate component name '${statement.label}'`, statement.nameRange);
+            return;
+        }
+
+        const subcircuit = subcircuits.get(statement.type) || null;
+        if (!subcircuit && !COMPONENT_TYPES.includes(statement.type)) {
+            diagnostics.error('unknown-type', `Unknown component type '${statement.typeRange.value}'`, statement.typeRange);
+        }
+
+        const quantity = resolveComponentValue(statement.type, statement.value);
+        if (quantity.error) {
+            diagnostics.error('invalid-value', quantity.error, statement.valueRange);
+        }
+
+        const properties = this.resolveProperties(statement, diagnostics, Boolean(subcircuit));
+
+        // Rules a symbol adds beyond its value's unit
+        const definition = subcircuit ? null : getSymbolDefinition(statement.type);
+        if (definition && definition.validate && !quantity.error) {
+            const problem = definition.validate({ type: statement.type, value: statement.value, ...quantity, properties });
+            if (problem) diagnostics.error('invalid-value', problem, statement.valueRange || statement.typeRange);
+        }
+        // Symbols generated per component, such as ic, lay out their pins from the properties
+        const layout = definition && definition.layout ? definition.layout({ type: statement.type, value: statement.value, properties }) : null;
+        if (!statement.placement) {
+            const unused = statement.properties.find(p => p.key === 'gap' || p.key === 'align');
+            if (unused) {
+                diagnostics.warning('placement-ignored', `'${unused.key}' only applies to a part placed with right-of, left-of, above or below`, unused.keyRange);
+            }
+        }
+
+        const position = this.placeComponent(netlist, statement);
+        netlist.addComponent({
+            name: statement.name,
+            type: statement.type,
+            value: statement.value,
+            x: position.x,
+            y: position.y,
+            rotation: properties.rot || 0,
+            flip: properties.flip || '',
+            positioning: statement.placement ? 'relative' : statement.parent ? 'parent' : statement.position ? 'fixed' : 'auto',
+            positionRange: statement.position ? statement.position.range : null,
+            pins: subcircuit ? subcircuit.ports : layout ? layout.pins.map(pin => pin.name) : null,
+            layout,
+            properties,
+            subcircuit: subcircuit ? subcircuit.name : null,
+            parent: statement.parent,
+            source: statement.source
+        });
+    }
+
+    // Absolute position of a component; parts inside a subcircuit are placed relative to their instance.
+    // Parts placed next to another one start at their written offset and are moved by resolvePlacements;
+    // parts without a position are placed by the layout engine.
+    placeComponent(netlist, statement) {
+        const parent = statement.parent ? netlist.getComponent(statement.parent) : null;
+        if (statement.placement || !parent) {
+            return statement.position || { x: 0, y: 0 };
+        }
+
+        const index = netlist.getChildren(parent.name).length;
+        const offset = statement.position || { x: 20 + (index % 3) * 100, y: 20 + Math.floor(index / 3) * 80 };
+        return { x: parent.x + offset.x, y: parent.y + offset.y };
+    }
+
+    // Move parts written as 'right-of R1', 'below U1', ... next to their target, targets first
+    resolvePlacements(netlist, statements, sink) {
+        let pending = statements.filter(s => netlist.getComponent(s.name) && netlist.getComponent(s.name).source === s.source);
+
+        while (pending.length > 0) {
+            const ready = pending.filter(s => !pending.some(other => other.name === s.placement.target));
+            if (ready.length === 0) {
+                pending.forEach(s => {
+                    sink(s).error('placement-cycle', `'${s.label || s.name}' is placed relative to a part that is placed relative to it`, s.placement.range);
+                });
+                return;
+            }
+
+            ready.forEach(s => {
+                const component = netlist.getComponent(s.name);
+                const target = netlist.getComponent(s.placement.target);
+                if (!target) {
+                    sink(s).error('unknown-component', `Component '${s.placement.targetRange.value}' not found`, s.placement.targetRange);
+                } else if (target === component) {
+                    sink(s).error('placement-cycle', `'${s.label || s.name}' cannot be placed relative to itself`, s.placement.range);
+                } else {
+                    this.placeNextTo(netlist, component, target, s.placement.direction, s.position);
+                }
+            });
+            pending = pending.filter(s => !ready.includes(s));
+        }
+    }
+
+    // Put a component beside its target, gap px away, lined up by its align property.
+    // A written position is kept as an offset from the spot found.
+    placeNextTo(netlist, component, target, direction, offset) {
+        const gap = component.properties.gap !== undefined ? component.properties.gap : 40;
+        const align = component.properties.align || 'center';
+        const box = getSymbolBox(component);
+        const other = getSymbolBox(target);
+        const line = (start, length, size) =>
+            align === 'start' ? start : align === 'end' ? start + length - size : start + (length - size) / 2;
+
+        let left;
+        let top;
+        if (direction === 'right-of' || direction === 'left-of') {
+            left = direction === 'right-of' ? other.x + other.width + gap : other.x - gap - box.width;
+            top = line(other.y, other.height, box.height);
+        } else {
+            left = line(other.x, other.width, box.width);
+            top = direction === 'below' ? other.y + other.height + gap : other.y - gap - box.height;
+        }
+
+        const x = left - (box.x - component.x) + (offset ? offset.x : 0);
+        const y = top - (box.y - component.y) + (offset ? offset.y : 0);
+        netlist.moveComponent(component.name, x - component.x, y - component.y);
+    }
+
+    // Check each property against the ones the component type accepts
+    resolveProperties(statement, diagnostics, isSubcircuit = false) {
+        const definitions = isSubcircuit
+            ? { ...getPropertyDefinitions(statement.type), ...SUBCIRCUIT_PROPERTIES }
+            : getPropertyDefinitions(statement.type);
+        const properties = {};
+
+        statement.properties.forEach(property => {
+            if (property.key in properties) {
+                diagnostics.warning('duplicate-property', `Property '${property.key}' is set more than once; the last value is used`, property.keyRange);
+            }
+
+            const definition = definitions[property.key];
+            if (!definition) {
+                diagnostics.warning('unknown-property', `Unknown property '${property.key}' for ${statement.type} (accepts: ${Object.keys(definitions).join(', ')})`, property.keyRange);
+                properties[property.key] = property.text;
+                return;
+            }
+
+            const parsed = parsePropertyValue(definition, property.text);
+            if (parsed.error) {
+                diagnostics.error('invalid-property', `Invalid ${property.key} '${property.text}': ${parsed.error}`, property.valueRange);
+                return;
+            }
+            properties[property.key] = parsed.value;
+        });
+
+        return properties;
+    }
+
+    declareNet(netlist, statement, diagnostics) {
+        if (netlist.declaredNets.includes(statement.name)) {
+            diagnostics.warning('duplicate-net', `Net '${statement.name}' is already declared`, statement.nameRange);
+            return;
+        }
+        if (netlist.getComponent(statement.name)) {
+            diagnostics.error('net-name-conflict', `Net '${statement.name}' has the same name as a component`, statement.nameRange);
+            return;
+        }
+
+        netlist.declareNet(statement.name, statement.source);
+    }
+
+    addConnection(netlist, statement, diagnostics) {
+        // Check each written reference once, even when fan-out uses it in several segments
+        const valid = new Set(statement.refs.filter(ref => this.checkReference(netlist, ref, diagnostics)));
+
+        statement.segments
+            .filter(segment => valid.has(segment.from) && valid.has(segment.to))
+            .forEach(segment => this.addSegment(netlist, segment, diagnostics));
+    }
+
+    // Add one expanded FROM -> TO connection
+    addSegment(netlist, segment, diagnostics) {
+        const { from, to, directed } = segment;
+        if (from.name === to.name && from.pin === to.pin) {
+            diagnostics.warning('self-connection', `'${from.label || from.name}' is connected to itself`, segment.source);
+            return;
+        }
+
+        const samePin = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+        const duplicate = netlist.connections.some(c =>
+            (c.from === from.name && c.to === to.name && samePin(c.fromPin, from.pin) && samePin(c.toPin, to.pin)) ||
+            ((!c.directed || !directed) && c.from === to.name && c.to === from.name && samePin(c.fromPin, to.pin) && samePin(c.toPin, from.pin))
+        );
+        if (duplicate) {
+            diagnostics.warning('duplicate-connection', `'${from.label || from.name}' and '${to.label || to.name}' are already connected this way`, segment.source);
+        }
+
+        netlist.addConnection({
+            from: from.name,
+            fromPin: from.pin,
+            to: to.name,
+            toPin: to.pin,
+            directed,
+            source: segment.source
+        });
+    }
+
+    attachToNet(netlist, statement, diagnostics) {
+        if (!this.checkReference(netlist, statement.ref, diagnostics)) return;
+
+        const target = netlist.getComponent(statement.net);
+        const isImplicitNet = statement.net.toUpperCase() === 'GND' ||
+            (target && (target.type === 'ground' || target.type === 'battery'));
+
+        if (!netlist.declaredNets.includes(statement.net) && !isImplicitNet) {
+            if (target) {
+                diagnostics.error('not-a-net', `'${statement.net}' is a ${target.type}, not a net (only ground and battery act as nets)`, statement.netRange);
+            } else {
+                diagnostics.error('undeclared-net', `Net '${statement.net}' not declared (add 'net ${statement.net}')`, statement.netRange);
+            }
+            return;
+        }
+
+        netlist.attachToNet(statement.ref.name, statement.ref.pin, statement.net, statement.source);
+    }
+
+    // Check that a reference names an existing component and one of its pins
+    checkReference(netlist, ref, diagnostics) {
+        const component = netlist.getComponent(ref.name);
+        if (!component) {
+            diagnostics.error('unknown-component', `Component '${ref.label || ref.name}' not found`, ref.nameRange);
+            return false;
+        }
+        if (!ref.pin) return true;
+
+        const pins = netlist.getPinsOf(component);
+        if (!pins) return true;
+
+        const resolved = netlist.findPin(component, ref.pin);
+        if (!resolved) {
+            const available = pins.length === 0 ? 'no pins'
+                : pins.length <= 16 ? `pins: ${pins.join(', ')}`
+                : `pins: ${pins.slice(0, 16).join(', ')}, ...`;
+            diagnostics.error('unknown-pin', `Unknown pin '${ref.pin}' on ${component.type} '${ref.label || ref.name}' (${available})`, ref.pinRange);
+            return false;
+        }
+        if (resolved !== ref.pin) {
+            diagnostics.hint('pin-case', `Pin '${ref.pin}' is declared as '${resolved}'`, ref.pinRange);
+        }
+        return true;
+    }
+
+    // Range covering two tokens
+    span(first, last) {
+        return { line: first.line, column: first.column, endColumn: last.endColumn };
+    }
+
+    isName(text) {
+        return /^\w+$/.test(text);
+    }
+}
@@ -0,0 +1,852 @@
+// Circuit Solver
+// DC operating point, transient and AC analysis by modified nodal analysis. Each part with a circuit model
+// (the stamp of its symbol definition) adds its equations to one linear system whose unknowns are the node
+// voltages and the currents through voltage sources. Diodes and transistors are non-linear: they are
+// stamped linearised at the last solution and the system is solved again until the voltages stop changing
+// (Newton-Raphson). The transient analysis solves the system once per time point, with capacitors and
+// inductors replaced by the companion model of the integration method over the step. The AC analysis
+// solves the circuit linearised at its operating point once per frequency, with complex unknowns.
+
+// Conductance from every node to ground, so a node reached only through open parts still has an equation
+const SOLVER_GMIN = 1e-12;
+
+// Newton rounds before the solution is reported as not converging
+const SOLVER_MAX_ITERATIONS = 200;
+
+// Change in every node voltage (V) below which the iteration has converged
+const SOLVER_TOLERANCE = 1e-6;
+
+// Resistance of a closed switch, a fuse or a winding
+const SOLVER_SHORT_RESISTANCE = 1e-3;
+
+// Thermal voltage kT/q at room temperature
+const THERMAL_VOLTAGE = 0.02585;
+
+// Transistor model parameters
+const BJT_SATURATION_CURRENT = 1e-14;
+const BJT_FORWARD_BETA = 100;
+const BJT_REVERSE_BETA = 1;
+const MOSFET_THRESHOLD = 2;
+const MOSFET_ON_RESISTANCE = 0.1;
+const MOSFET_DRIVE_VOLTAGE = 5;
+
+// Current at which a zener's breakdown voltage is given
+const ZENER_KNEE_CURRENT = 0.01;
+
+// Pulse period and sine frequency of a source that does not give them
+const SOURCE_PERIOD = 1e-3;
+const SOURCE_FREQUENCY = 50;
+
+// Transient steps: the most each may take (a sine also allows no more than SINE_STEP_DIVISIONS per period),
+// the first after the start or a breakpoint as a fraction of that, and the smallest, all relative to the
+// stop time
+const TRANSIENT_STEP_DIVISIONS = 100;
+const SINE_STEP_DIVISIONS = 40;
+const TRANSIENT_FIRST_STEP = 1e-3;
+const TRANSIENT_MIN_STEP = 1e-9;
+
+// Largest difference, relative to 1V plus the voltage, a step may leave between a node voltage and the
+// straight line through the two time points before it
+const TRANSIENT_TOLERANCE = 1e-3;
+
+// Time points a transient analysis may produce before it stops
+const TRANSIENT_MAX_POINTS = 20000;
+
+// Frequencies per decade of an AC sweep
+const AC_POINTS_PER_DECADE = 20;
+
+// Solve matrix × x = rhs by Gaussian elimination with partial pivoting; null when the matrix is singular
+function solveLinearSystem(matrix, rhs) {
+    const n = rhs.length;
+    const rows = matrix.map((row, i) => [...row, rhs[i]]);
+
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][column]) < 1e-20) return null;
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+        for (let row = column + 1; row < n; row++) {
+            const factor = rows[row][column] / rows[column][column];
+            if (factor === 0) continue;
+            for (let k = column; k <= n; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rows[row][n];
+        for (let k = row + 1; k < n; k++) sum -= rows[row][k] * x[k];
+        x[row] = sum / rows[row][row];
+    }
+    return x;
+}
+
+// Current through a pn junction, I = Is (e^(v / nVt) - 1), and its slope dI/dv. Past the voltage where the
+// current reaches 10 A the exponential continues along its tangent, so a Newton step cannot overflow.
+function junctionCurrent(voltage, saturation, emission = 1) {
+    const nvt = emission * THERMAL_VOLTAGE;
+    const limit = nvt * Math.log(10 / saturation + 1);
+    if (voltage > limit) {
+        const top = saturation * Math.exp(limit / nvt);
+        return { current: top * (1 + (voltage - limit) / nvt) - saturation, conductance: top / nvt };
+    }
+    const exponential = Math.exp(voltage / nvt);
+    return { current: saturation * (exponential - 1), conductance: saturation * exponential / nvt };
+}
+
+// Saturation current of a junction that carries current at voltage, as a part's vf and if give them
+function saturationCurrent(voltage, current, emission = 1) {
+    return current / (Math.exp(voltage / (emission * THERMAL_VOLTAGE)) - 1);
+}
+
+// Diode from anode to cathode; a zener also conducts backwards past its breakdown voltage
+function stampDiode(mna, component, { anode = 'A', cathode = 'K', saturation, emission = 1, breakdown = null }) {
+    const voltage = mna.voltage(component, anode) - mna.voltage(component, cathode);
+    const forward = junctionCurrent(voltage, saturation, emission);
+    let current = forward.current + SOLVER_GMIN * voltage;
+    let conductance = forward.conductance + SOLVER_GMIN;
+    if (breakdown !== null) {
+        const reverse = junctionCurrent(-voltage - breakdown, ZENER_KNEE_CURRENT);
+        current -= reverse.current + ZENER_KNEE_CURRENT;
+        conductance += reverse.conductance;
+    }
+    mna.device(component, [anode, cathode], [current, -current], [[conductance, -conductance], [-conductance, conductance]]);
+}
+
+// Ebers-Moll transistor on pins C, B and E; polarity is 1 for NPN and -1 for PNP
+function stampBjt(mna, component, polarity) {
+    const level = pin => polarity * mna.voltage(component, pin);
+    const forward = junctionCurrent(level('B') - level('E'), BJT_SATURATION_CURRENT);
+    const reverse = junctionCurrent(level('B') - level('C'), BJT_SATURATION_CURRENT);
+    const collector = forward.current - reverse.current * (1 + 1 / BJT_REVERSE_BETA);
+    const base = forward.current / BJT_FORWARD_BETA + reverse.current / BJT_REVERSE_BETA;
+
+    // Slopes by the C, B and E voltages, from those by VBE and VBC
+    const slopes = (byVbe, byVbc) => [-byVbc, byVbe + byVbc, -byVbe];
+    const collectorSlopes = slopes(forward.conductance, -reverse.conductance * (1 + 1 / BJT_REVERSE_BETA));
+    const baseSlopes = slopes(forward.conductance / BJT_FORWARD_BETA, reverse.conductance / BJT_REVERSE_BETA);
+    const emitterSlopes = collectorSlopes.map((slope, i) => -(slope + baseSlopes[i]));
+
+    mna.device(component, ['C', 'B', 'E'],
+        [collector, base, -(collector + base)].map(current => polarity * current),
+        [collectorSlopes, baseSlopes, emitterSlopes]);
+}
+
+// Square-law MOSFET on pins D, G and S; polarity is 1 for N channel and -1 for P channel. The vth and rds
+// properties set the threshold and the on resistance with 5 V of gate drive.
+function stampMosfet(mna, component, polarity) {
+    const threshold = component.properties.vth !== undefined ? Math.abs(component.properties.vth) : MOSFET_THRESHOLD;
+    const onResistance = component.properties.rds || MOSFET_ON_RESISTANCE;
+    const gain = 1 / (onResistance * Math.max(MOSFET_DRIVE_VOLTAGE - threshold, 1));
+
+    // The channel is symmetric: whichever end is lower (higher for P) acts as the source
+    const level = pin => polarity * mna.voltage(component, pin);
+    const [drain, source] = level('D') >= level('S') ? ['D', 'S'] : ['S', 'D'];
+    const overdrive = level('G') - level(source) - threshold;
+    const vds = level(drain) - level(source);
+
+    let current = SOLVER_GMIN * vds;
+    let gm = 0;
+    let gds = SOLVER_GMIN;
+    if (overdrive > 0 && vds < overdrive) {
+        current += gain * (overdrive * vds - vds * vds / 2);
+        gm = gain * vds;
+        gds += gain * (overdrive - vds);
+    } else if (overdrive > 0) {
+        current += gain / 2 * overdrive * overdrive;
+        gm = gain * overdrive;
+    }
+
+    const drainSlopes = [gds, gm, -(gm + gds)];
+    mna.device(component, [drain, 'G', source],
+        [polarity * current, 0, -polarity * current],
+        [drainSlopes, [0, 0, 0], drainSlopes.map(slope => -slope)]);
+}
+
+// Voltage of a source at mna.time: its value (dc), a step up to it at delay, a pulse train up to it for
+// width every period from delay, or a sine of that amplitude at freq from delay. Every edge happens just
+// after its time and is a breakpoint the transient analysis lands on.
+// In the AC analysis it is the source's AC amplitude instead.
+function sourceVoltage(mna, component, amplitude, wave = component.properties.wave || 'dc') {
+    const { delay = 0, period = SOURCE_PERIOD, freq = SOURCE_FREQUENCY } = component.properties;
+    if (mna.analysis === 'ac') return mna.excitation(component);
+    if (wave === 'dc') return amplitude;
+
+    mna.breakAt(delay);
+    if (mna.time <= delay) return 0;
+    if (wave === 'step') return amplitude;
+    if (wave === 'sine') {
+        mna.limitStep(1 / (freq * SINE_STEP_DIVISIONS));
+        return amplitude * Math.sin(2 * Math.PI * freq * (mna.time - delay));
+    }
+
+    // Time into the current period, with breakpoints at this period's fall and the next one's rise
+    const width = component.properties.width !== undefined ? component.properties.width : period / 2;
+    const start = delay + Math.floor((mna.time - delay) / period) * period;
+    const phase = mna.time - start;
+    mna.breakAt(start + width);
+    mna.breakAt(start + period);
+    const slack = period * TRANSIENT_MIN_STEP;
+    return phase > slack && phase <= width + slack ? amplitude : 0;
+}
+
+// Join the pins the circuit code wires together into nodes. A connection joins the pins at its ends, taking
+// a part's default pin where none is written (see Netlist.connectionPin); "PIN ~ NET" joins a pin to its net,
+// and ground symbols and the GND net are ground. Returns the union-find over pin keys ('R1.2') and net keys
+// ('#VCC'), the pin keys that are wired, the ground key, and the connections with an end whose pin cannot be told.
+function joinWiredPins(netlist) {
+    const parent = new Map();
+    const find = key => {
+        if (!parent.has(key)) parent.set(key, key);
+        while (parent.get(key) !== key) key = parent.get(key);
+        return key;
+    };
+    const wired = new Set();
+    const union = (a, b) => {
+        [a, b].filter(key => !key.startsWith('#')).forEach(key => wired.add(key));
+        parent.set(find(a), find(b));
+    };
+    const ground = '#GND';
+    find(ground);
+
+    netlist.components
+        .filter(component => component.type === 'ground')
+        .forEach(component => union(`${component.name}.GND`, ground));
+
+    const unresolved = [];
+    netlist.connections.forEach(connection => {
+        const from = netlist.connectionPin(connection, 'from');
+        const to = netlist.connectionPin(connection, 'to');
+        if (from && to) union(`${connection.from}.${from}`, `${connection.to}.${to}`);
+        else unresolved.push(connection);
+    });
+    netlist.netAttachments.forEach(attachment => {
+        union(`${attachment.component}.${attachment.pin}`, netlist.resolveNetTarget(attachment.net).key);
+    });
+    return { find, union, wired, ground, unresolved };
+}
+
+// One assembly of the circuit equations, handed to each part's stamp. Rows and columns are the nodes
+// (ground is left out) followed by one branch current per voltage source. conditions.analysis is 'dc',
+// 'tran' or 'ac'. A transient assembly is for the time point step seconds after the previous one
+// ({ solution, currents } at that point), integrated by method ('trapezoidal' or 'euler'); an AC assembly
+// is for one frequency, linearised at the operating point in solution, with the imaginary parts of the
+// matrix kept apart.
+class MnaSystem {
+    constructor(solver, solution, conditions = { analysis: 'dc' }) {
+        this.solver = solver;
+        this.solution = solution;
+        this.analysis = conditions.analysis;
+        this.time = conditions.time || 0;
+        this.step = conditions.step || 0;
+        this.method = conditions.method || null;
+        this.previous = conditions.previous || null;
+        this.frequency = conditions.frequency || 0;
+        this.breakpoints = [];
+        this.stepLimit = Infinity;
+        this.closed = solver.closed;
+        this.entries = [];
+        this.imaginary = [];
+        this.constants = [];
+        this.sources = [];
+        this.edges = [];
+        this.terms = new Map();
+        this.nonlinear = false;
+    }
+
+    // Index of a pin's node, or -1 for ground
+    node(component, pin) {
+        return this.solver.nodeOf(component.name, pin);
+    }
+
+    // Voltage on a pin at the last solution
+    voltage(component, pin) {
+        const index = this.node(component, pin);
+        return index < 0 ? 0 : this.solution[index] || 0;
+    }
+
+    // A part's value, or its type's default value with a warning when it has none
+    valueOf(component) {
+        if (component.numericValue > 0) return component.numericValue;
+
+        const definition = getSymbolDefinition(component.type);
+        const fallback = resolveComponentValue(component.type, definition.defaultValue).numericValue;
+        this.solver.warn(component, 'missing-value', `${component.name} has no value; the analysis takes ${formatEngineeringValue(fallback, VALUE_UNITS[component.type] || '')}`);
+        return fallback;
+    }
+
+    add(row, column, value) {
+        if (row >= 0 && column >= 0) this.entries.push([row, column, value]);
+    }
+
+    addImaginary(row, column, value) {
+        if (row >= 0 && column >= 0) this.imaginary.push([row, column, value]);
+    }
+
+    addConstant(row, value) {
+        if (row >= 0) this.constants[row] = (this.constants[row] || 0) + value;
+    }
+
+    // Add to the current flowing into a pin: a constant plus a coefficient times each unknown
+    record(component, pin, constant, coefficients) {
+        const key = `${component.name}.${pin}`;
+        if (!this.terms.has(key)) this.terms.set(key, { component: component.name, pin, constant: 0, coefficients: [] });
+        const term = this.terms.get(key);
+        term.constant += constant;
+        term.coefficients.push(...coefficients.filter(([index]) => index >= 0));
+    }
+
+    // Resistive path of conductance g between two pins
+    conductance(component, a, b, g) {
+        const i = this.node(component, a);
+        const j = this.node(component, b);
+        this.add(i, i, g);
+        this.add(j, j, g);
+        this.add(i, j, -g);
+        this.add(j, i, -g);
+        this.record(component, a, 0, [[i, g], [j, -g]]);
+        this.record(component, b, 0, [[i, -g], [j, g]]);
+        this.edges.push([i, j]);
+    }
+
+    // Fixed current through the part from pin a to pin b; it carries no signal in the AC analysis
+    current(component, a, b, amps) {
+        if (this.analysis === 'ac') return;
+        const i = this.node(component, a);
+        const j = this.node(component, b);
+        this.addConstant(i, -amps);
+        this.addConstant(j, amps);
+        this.record(component, a, amps, []);
+        this.record(component, b, -amps, []);
+    }
+
+    // Fixed voltage from the negative pin to the positive one; its current is an extra unknown, whose row
+    // and column are returned
+    voltageSource(component, positive, negative, volts) {
+        const i = this.node(component, positive);
+        const j = this.node(component, negative);
+        const branch = this.solver.nodeCount + this.sources.length;
+        this.add(i, branch, 1);
+        this.add(j, branch, -1);
+        this.add(branch, i, 1);
+        this.add(branch, j, -1);
+        this.addConstant(branch, volts);
+        this.record(component, positive, 0, [[branch, 1]]);
+        this.record(component, negative, 0, [[branch, -1]]);
+        this.sources.push({ component, nodes: [i, j] });
+        this.edges.push([i, j]);
+        return branch;
+    }
+
+    // Amplitude a source drives the AC analysis with: 1V, or its ac property, when it is one of the inputs
+    excitation(component) {
+        if (!this.solver.acInputs.has(component.name)) return 0;
+        return component.properties.ac !== undefined ? component.properties.ac : 1;
+    }
+
+    // Capacitor between two pins: open at DC; in the transient analysis a conductance in parallel with a
+    // current set by the previous time point; an admittance of jωC in the AC analysis
+    capacitance(component, a, b, farads) {
+        if (this.analysis === 'dc') return;
+        if (this.analysis === 'ac') {
+            const susceptance = 2 * Math.PI * this.frequency * farads;
+            const i = this.node(component, a);
+            const j = this.node(component, b);
+            this.addImaginary(i, i, susceptance);
+            this.addImaginary(j, j, susceptance);
+            this.addImaginary(i, j, -susceptance);
+            this.addImaginary(j, i, -susceptance);
+            return;
+        }
+
+        const trapezoidal = this.method === 'trapezoidal';
+        const g = (trapezoidal ? 2 : 1) * farads / this.step;
+        const history = -g * this.previousVoltage(component, a, b) - (trapezoidal ? this.previousCurrent(component, a) : 0);
+        this.conductance(component, a, b, g);
+        this.current(component, a, b, history);
+    }
+
+    // Inductor between two pins: a short at DC, whose current is solved for like a source's; in the
+    // transient analysis a conductance in parallel with a current set by the previous time point; in the
+    // AC analysis the same branch, with its voltage jωL times its current
+    inductance(component, a, b, henries) {
+        if (this.analysis !== 'tran') {
+            const branch = this.voltageSource(component, a, b, 0);
+            this.addImaginary(branch, branch, -2 * Math.PI * this.frequency * henries);
+            return;
+        }
+
+        const trapezoidal = this.method === 'trapezoidal';
+        const g = this.step / ((trapezoidal ? 2 : 1) * henries);
+        const history = this.previousCurrent(component, a) + (trapezoidal ? g * this.previousVoltage(component, a, b) : 0);
+        this.conductance(component, a, b, g);
+        this.current(component, a, b, history);
+    }
+
+    // Voltage from pin b to pin a at the previous time point
+    previousVoltage(component, a, b) {
+        const at = pin => {
+            const index = this.node(component, pin);
+            return index < 0 ? 0 : this.previous.solution[index];
+        };
+        return at(a) - at(b);
+    }
+
+    // Current into a pin at the previous time point
+    previousCurrent(component, pin) {
+        return this.previous.currents.get(`${component.name}.${pin}`) || 0;
+    }
+
+    // A time at which a source or switch changes abruptly; the transient analysis steps onto it
+    breakAt(time) {
+        if (time > this.time) this.breakpoints.push(time);
+    }
+
+    // Largest step the transient analysis may take with this part in the circuit
+    limitStep(seconds) {
+        this.stepLimit = Math.min(this.stepLimit, seconds);
+    }
+
+    // Non-linear part linearised at the last solution: currents[k] flows into pins[k] and
+    // slopes[k][j] is its derivative by the voltage on pins[j]
+    device(component, pins, currents, slopes) {
+        const nodes = pins.map(pin => this.node(component, pin));
+        const voltages = pins.map(pin => this.voltage(component, pin));
+        nodes.forEach((row, k) => {
+            const constant = currents[k] - slopes[k].reduce((sum, slope, j) => sum + slope * voltages[j], 0);
+            nodes.forEach((column, j) => this.add(row, column, slopes[k][j]));
+            // Small signals see only the slopes
+            if (this.analysis === 'ac') return;
+            this.addConstant(row, -constant);
+            this.record(component, pins[k], constant, nodes.map((column, j) => [column, slopes[k][j]]));
+        });
+        nodes.slice(1).forEach(node => this.edges.push([nodes[0], node]));
+        this.nonlinear = true;
+    }
+
+    // Dense matrix and right-hand side of the assembled equations. An AC system G + jB is returned as the
+    // real one [G -B; B G] of twice the size, whose unknowns are the real parts followed by the imaginary.
+    build() {
+        const size = this.solver.nodeCount + this.sources.length;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        this.entries.forEach(([row, column, value]) => {
+            matrix[row][column] += value;
+        });
+        for (let node = 0; node < this.solver.nodeCount; node++) matrix[node][node] += SOLVER_GMIN;
+        const rhs = Array.from({ length: size }, (_, row) => this.constants[row] || 0);
+        if (this.analysis !== 'ac') return { matrix, rhs };
+
+        const complex = Array.from({ length: 2 * size }, () => new Array(2 * size).fill(0));
+        matrix.forEach((values, row) => values.forEach((value, column) => {
+            complex[row][column] = value;
+            complex[row + size][column + size] = value;
+        }));
+        this.imaginary.forEach(([row, column, value]) => {
+            complex[row][column + size] -= value;
+            complex[row + size][column] += value;
+        });
+        return { matrix: complex, rhs: [...rhs, ...new Array(size).fill(0)] };
+    }
+
+    // Current into a pin at a solution
+    pinCurrent(term, solution) {
+        return term.coefficients.reduce((sum, [index, coefficient]) => sum + coefficient * solution[index], term.constant);
+    }
+}
+
+class CircuitSolver {
+    // closed names the switches and pushbuttons held closed, besides those written with state=closed
+    constructor(netlist, { closed = new Set() } = {}) {
+        this.netlist = netlist;
+        this.closed = closed;
+        this.acInputs = new Set();
+        this.diagnostics = new DiagnosticList();
+        this.parts = netlist.getLeafComponents().filter(component => {
+            const definition = getSymbolDefinition(component.type);
+            return definition && definition.stamp;
+        });
+        this.buildNodes();
+    }
+
+    // Group every pin into nodes from the wiring (see joinWiredPins); an unwired negative terminal of a
+    // source is grounded.
+    buildNodes() {
+        const { find, union, wired, ground: GROUND, unresolved } = joinWiredPins(this.netlist);
+        unresolved.forEach(connection => {
+            [[connection.from, 'from'], [connection.to, 'to']]
+                .filter(([, end]) => !this.netlist.connectionPin(connection, end))
+                .forEach(([name]) => {
+                    this.diagnostics.warning('unnamed-pin', `Name the pin of ${name} this wire goes to (e.g. ${name}.${(this.netlist.getPinsOf(this.netlist.getComponent(name)) || ['PIN'])[0]}) so the analysis knows where it connects`, connection.source);
+                });
+        });
+
+        // Keys of every pin the stamps can name
+        const pinKeys = this.parts.flatMap(component =>
+            (this.netlist.getPinsOf(component) || []).map(pin => ({ component, pin, key: `${component.name}.${pin}` })));
+        pinKeys
+            .filter(({ component, pin, key }) => pin === 'NEG' && !wired.has(key) && (getComponentPin(component, pin) || {}).type === 'power-out')
+            .forEach(({ key }) => union(key, GROUND));
+
+        // Without a ground the first source's negative terminal is the reference
+        if (!pinKeys.some(({ key }) => find(key) === find(GROUND))) {
+            const reference = pinKeys.find(({ component, pin }) => pin === 'NEG' && (getComponentPin(component, pin) || {}).type === 'power-out') || pinKeys[0];
+            if (reference) {
+                this.warn(reference.component, 'no-ground', `The circuit has no ground; voltages are measured from ${reference.key}`);
+                union(reference.key, GROUND);
+            }
+        }
+
+        // Number the nodes, naming each after the netlist net its pins are on when that net is only theirs
+        this.nodeIndex = new Map();
+        this.nodes = [];
+        pinKeys.forEach(({ component, pin, key }) => {
+            const root = find(key);
+            if (root === find(GROUND)) {
+                this.nodeIndex.set(key, -1);
+                return;
+            }
+            if (!wired.has(key)) {
+                // A pin wired to nothing is a node of its own, left out of the results
+                this.nodeIndex.set(key, this.nodes.length);
+                this.nodes.push({ name: key, pins: [{ component: component.name, pin }], unconnected: true });
+                return;
+            }
+            if (!this.nodeIndex.has(root)) {
+                this.nodeIndex.set(root, this.nodes.length);
+                this.nodes.push({ name: null, pins: [], unconnected: false });
+            }
+            const node = this.nodes[this.nodeIndex.get(root)];
+            this.nodeIndex.set(key, this.nodeIndex.get(root));
+            node.pins.push({ component: component.name, pin });
+
+            const net = this.netlist.getNetOfPin(component.name, pin);
+            if (!node.name && net && net.pins.every(p => p.pin)) node.name = net.name;
+        });
+        this.nodes.forEach(node => {
+            if (!node.name) node.name = `${node.pins[0].component}.${node.pins[0].pin}`;
+        });
+        this.nodeCount = this.nodes.length;
+    }
+
+    // Node index of a component pin, or -1 for ground
+    nodeOf(component, pin) {
+        const index = this.nodeIndex.get(`${component}.${pin}`);
+        return index === undefined ? -1 : index;
+    }
+
+    warn(component, code, message) {
+        this.diagnostics.warning(code, message, component.source || {});
+    }
+
+    // Stamp every part at a solution, under the conditions of the analysis (see MnaSystem)
+    assemble(solution, conditions) {
+        const mna = new MnaSystem(this, solution, conditions);
+        this.parts.forEach(component => getSymbolDefinition(component.type).stamp(mna, component));
+        return mna;
+    }
+
+    // Solve the equations by Newton-Raphson from a starting solution. Returns { mna, solution, iterations },
+    // or { error, iterations } with the diagnostic code of the failure.
+    newton(solution, conditions) {
+        let mna = this.assemble(solution, conditions);
+        for (let iteration = 1; iteration <= SOLVER_MAX_ITERATIONS; iteration++) {
+            const { matrix, rhs } = mna.build();
+            const next = solveLinearSystem(matrix, rhs);
+            if (!next) return { error: 'singular-circuit', iterations: iteration };
+
+            const change = Math.max(0, ...next.slice(0, this.nodeCount).map((voltage, i) => Math.abs(voltage - (solution[i] || 0))));
+            solution = next;
+            if (!mna.nonlinear || (iteration > 1 && change < SOLVER_TOLERANCE * (1 + Math.max(0, ...solution.map(Math.abs))))) {
+                return { mna, solution, iterations: iteration };
+            }
+            mna = this.assemble(solution, conditions);
+        }
+        return { error: 'no-convergence', iterations: SOLVER_MAX_ITERATIONS };
+    }
+
+    // Report a failed solution; at is the time of a transient point or the frequency of an AC one, e.g. '2ms'
+    reportFailure(code, at = null) {
+        const when = at === null ? '' : ` at ${at}`;
+        if (code === 'singular-circuit') {
+            this.diagnostics.error(code, `The circuit equations have no single solution${when}; look for parts joined only to each other or sources with nothing across them`);
+        } else if (at === null) {
+            this.diagnostics.error(code, `The operating point did not settle after ${SOLVER_MAX_ITERATIONS} iterations; a diode or transistor may be driven far outside its range`);
+        } else {
+            this.diagnostics.error(code, `The transient analysis could not take a step${when}, even the smallest; a diode or transistor may be switching faster than the circuit allows`);
+        }
+    }
+
+    // Solve for the DC operating point. The result has the node voltages, the current into each pin of
+    // every part and the power each part takes (negative when it delivers power), and diagnostics.
+    solveOperatingPoint() {
+        const start = new Array(this.nodeCount).fill(0);
+        if (!this.checkTopology(this.assemble(start))) return this.result(null, null, 0);
+
+        const outcome = this.newton(start);
+        if (outcome.error) {
+            this.reportFailure(outcome.error);
+            return this.result(null, null, outcome.iterations);
+        }
+        return this.result(outcome.mna, outcome.solution, outcome.iterations);
+    }
+
+    // Node voltages from time 0 to stop seconds, starting from the DC operating point. Steps are taken by
+    // the trapezoidal rule, or backward Euler when method is 'euler', and are halved whenever a node
+    // voltage strays further than TRANSIENT_TOLERANCE from the line through the two points before, then
+    // grown again as the waveforms straighten. The first step after the start and after each breakpoint
+    // is a short backward Euler step, so the trapezoidal rule does not ring on the jump.
+    solveTransient({ stop, maxStep = stop / TRANSIENT_STEP_DIVISIONS, method = 'trapezoidal' }) {
+        const start = new Array(this.nodeCount).fill(0);
+        if (!this.checkTopology(this.assemble(start))) return this.waveforms([], [], false);
+
+        const operatingPoint = this.newton(start);
+        if (operatingPoint.error) {
+            this.reportFailure(operatingPoint.error);
+            return this.waveforms([], [], false);
+        }
+
+        const minStep = stop * TRANSIENT_MIN_STEP;
+        const times = [0];
+        const samples = [operatingPoint.solution.slice(0, this.nodeCount)];
+        let mna = operatingPoint.mna;
+        let previous = this.timePoint(operatingPoint);
+        let time = 0;
+        let step = Infinity;
+        let jump = 0;
+
+        while (time < stop - minStep) {
+            if (times.length >= TRANSIENT_MAX_POINTS) {
+                this.diagnostics.warning('too-many-points', `The transient analysis stopped at ${formatEngineeringValue(time, 's')} after ${TRANSIENT_MAX_POINTS} time points; try a shorter stop time`);
+                return this.waveforms(times, samples, false);
+            }
+
+            // Points since the last jump; the first step after one is short and taken by backward Euler
+            const settled = samples.length - 1 - jump;
+            const limit = Math.min(maxStep, mna.stepLimit);
+            step = Math.min(step, settled === 0 ? limit * TRANSIENT_FIRST_STEP : limit);
+            const breakpoint = Math.min(stop, ...mna.breakpoints.filter(t => t > time + minStep));
+            const landing = time + step >= breakpoint - minStep;
+            const next = landing ? breakpoint : time + step;
+            const h = next - time;
+
+            const outcome = this.newton(previous.solution, { analysis: 'tran', time: next, step: h, method: settled === 0 ? 'euler' : method, previous });
+            if (outcome.error) {
+                if (h / 2 < minStep) {
+                    this.reportFailure(outcome.error, formatEngineeringValue(next, 's'));
+                    return this.waveforms(times, samples, false);
+                }
+                step = h / 2;
+                continue;
+            }
+
+            // Compare with the line through the last two points once both are past the jump
+            const voltages = outcome.solution.slice(0, this.nodeCount);
+            let error = 0;
+            if (settled >= 2) {
+                const last = samples[samples.length - 1];
+                const before = samples[samples.length - 2];
+                const span = time - times[times.length - 2];
+                voltages.forEach((voltage, i) => {
+                    const predicted = last[i] + (last[i] - before[i]) * h / span;
+                    error = Math.max(error, Math.abs(voltage - predicted) / (TRANSIENT_TOLERANCE * (1 + Math.abs(voltage))));
+                });
+                if (error > 1 && h / 2 >= minStep) {
+                    step = h / 2;
+                    continue;
+                }
+            }
+
+            time = next;
+            times.push(time);
+            samples.push(voltages);
+            mna = outcome.mna;
+            previous = this.timePoint(outcome);
+            if (landing) jump = samples.length - 1;
+            step = error > 0 ? h * Math.min(2, Math.max(0.5, 0.9 / Math.sqrt(error))) : h * 2;
+        }
+        return this.waveforms(times, samples, true);
+    }
+
+    // Small-signal response from start to stop Hz, pointsPerDecade frequencies per decade. The circuit is
+    // linearised at its DC operating point and driven by its AC inputs: the sources written with ac=, or
+    // the first source when none is. Each connected node's magnitude (V) and phase (degrees) is returned
+    // at every frequency.
+    solveAc({ start, stop, pointsPerDecade = AC_POINTS_PER_DECADE }) {
+        const sources = this.parts.filter(component => (this.netlist.getPinsOf(component) || [])
+            .some(pin => (getComponentPin(component, pin) || {}).type === 'power-out'));
+        const written = sources.filter(component => component.properties.ac !== undefined);
+        this.acInputs = new Set((written.length > 0 ? written : sources.slice(0, 1)).map(component => component.name));
+        if (this.acInputs.size === 0) {
+            this.diagnostics.error('no-ac-input', 'The circuit has no source to drive the AC analysis');
+            return this.response([], [], false);
+        }
+
+        const origin = new Array(this.nodeCount).fill(0);
+        if (!this.checkTopology(this.assemble(origin))) return this.response([], [], false);
+        const operatingPoint = this.newton(origin);
+        if (operatingPoint.error) {
+            this.reportFailure(operatingPoint.error);
+            return this.response([], [], false);
+        }
+
+        const count = Math.max(1, Math.round(Math.log10(stop / start) * pointsPerDecade));
+        const frequencies = Array.from({ length: count + 1 }, (_, i) => start * (stop / start) ** (i / count));
+        const samples = [];
+        for (const frequency of frequencies) {
+            const mna = this.assemble(operatingPoint.solution, { analysis: 'ac', frequency });
+            const { matrix, rhs } = mna.build();
+            const solution = solveLinearSystem(matrix, rhs);
+            if (!solution) {
+                this.reportFailure('singular-circuit', formatEngineeringValue(frequency, 'Hz'));
+                return this.response(frequencies.slice(0, samples.length), samples, false);
+            }
+            const size = rhs.length / 2;
+            samples.push(this.nodes.map((node, index) => [solution[index], solution[index + size]]));
+        }
+        return this.response(frequencies, samples, true);
+    }
+
+    // AC results: the frequencies, the inputs, each connected node's magnitude and phase at them (the phase
+    // unwrapped so it runs on past ±180°), whether the sweep finished, and diagnostics
+    response(frequencies, samples, complete) {
+        return {
+            complete,
+            frequencies,
+            inputs: [...this.acInputs],
+            series: this.nodes
+                .map((node, index) => ({ node, index }))
+                .filter(({ node }) => !node.unconnected)
+                .map(({ node, index }) => {
+                    const phase = [];
+                    samples.forEach(sample => {
+                        const [re, im] = sample[index];
+                        let degrees = Math.atan2(im, re) * 180 / Math.PI;
+                        if (phase.length > 0) degrees += 360 * Math.round((phase[phase.length - 1] - degrees) / 360);
+                        phase.push(degrees);
+                    });
+                    return {
+                        name: node.name,
+                        pins: node.pins,
+                        magnitude: samples.map(sample => Math.hypot(...sample[index])),
+                        phase
+                    };
+                }),
+            diagnostics: this.diagnostics.sorted()
+        };
+    }
+
+    // Node voltages and pin currents of a solved time point, which the next one integrates from
+    timePoint({ mna, solution }) {
+        const currents = new Map();
+        mna.terms.forEach((term, key) => currents.set(key, mna.pinCurrent(term, solution)));
+        return { solution, currents };
+    }
+
+    // Transient results: the time points, each connected node's voltage at them, whether the analysis
+    // reached its stop time, and diagnostics
+    waveforms(times, samples, complete) {
+        return {
+            complete,
+            times,
+            series: this.nodes
+                .map((node, index) => ({ node, index }))
+                .filter(({ node }) => !node.unconnected)
+                .map(({ node, index }) => ({ name: node.name, pins: node.pins, values: samples.map(sample => sample[index]) })),
+            diagnostics: this.diagnostics.sorted()
+        };
+    }
+
+    // Check for loops of voltage sources, which have no solution, and for nodes with no DC path to ground,
+    // whose voltage is undefined; false when the circuit cannot be solved
+    checkTopology(mna) {
+        const parent = new Map();
+        const find = node => {
+            if (!parent.has(node)) parent.set(node, node);
+            while (parent.get(node) !== node) node = parent.get(node);
+            return node;
+        };
+        const nodeName = index => (index < 0 ? 'GND' : this.nodes[index].name);
+
+        let solvable = true;
+        const reported = new Set();
+        mna.sources.forEach(({ component, nodes: [a, b] }) => {
+            if (a === b) {
+                this.diagnostics.error('shorted-source', `${component.name} is shorted: both its terminals are on ${nodeName(a)}`, component.source);
+                solvable = false;
+            } else if (find(a) === find(b)) {
+                if (!reported.has(find(a))) {
+                    const loop = mna.sources
+                        .filter(source => source.nodes.some(node => find(node) === find(a)))
+                        .map(source => source.component.name);
+                    this.diagnostics.error('source-loop', `Voltage sources ${loop.join(', ')} form a loop, so the current around it is undefined`, component.source);
+                    reported.add(find(a));
+                }
+                solvable = false;
+            }
+            parent.set(find(a), find(b));
+        });
+
+        // Nodes reached from ground through parts that conduct at DC
+        const reached = new Set([-1]);
+        let grown = true;
+        while (grown) {
+            grown = false;
+            mna.edges.forEach(([a, b]) => {
+                if (reached.has(a) !== reached.has(b)) {
+                    reached.add(reached.has(a) ? b : a);
+                    grown = true;
+                }
+            });
+        }
+        const floating = this.nodes.filter((node, index) => !node.unconnected && !reached.has(index));
+        if (floating.length > 0) {
+            const component = this.netlist.getComponent(floating[0].pins[0].component);
+            const names = floating.map(node => node.name).join(', ');
+            this.warn(component, 'floating-net', `${floating.length === 1 ? 'Net' : 'Nets'} ${names} ${floating.length === 1 ? 'has' : 'have'} no DC path to ground, so ${floating.length === 1 ? 'its voltage is' : 'their voltages are'} undefined (shown as 0 V)`);
+        }
+        return solvable;
+    }
+
+    // Results at a solution, or only the diagnostics when there is none
+    result(mna, solution, iterations) {
+        const result = {
+            converged: Boolean(solution),
+            iterations,
+            nodes: [],
+            voltages: {},
+            currents: {},
+            power: {},
+            unmodelled: this.netlist.getLeafComponents()
+                .filter(c => c.type !== 'ground' && !this.parts.includes(c) && (this.netlist.getPinsOf(c) || []).length > 0)
+                .map(c => c.name),
+            diagnostics: this.diagnostics.sorted()
+        };
+        if (!solution) return result;
+
+        // Values below the solver's accuracy are shown as zero
+        const clean = (value, floor) => (Math.abs(value) < floor ? 0 : value);
+        this.nodes.forEach((node, index) => {
+            if (node.unconnected) return;
+            const voltage = clean(solution[index], 1e-9);
+            result.nodes.push({ name: node.name, voltage, pins: node.pins });
+            result.voltages[node.name] = voltage;
+        });
+        mna.terms.forEach(term => {
+            const current = clean(mna.pinCurrent(term, solution), 1e-10);
+            const index = this.nodeOf(term.component, term.pin);
+            if (!result.currents[term.component]) {
+                result.currents[term.component] = {};
+                result.power[term.component] = 0;
+            }
+            result.currents[term.component][term.pin] = current;
+            result.power[term.component] += (index < 0 ? 0 : solution[index]) * current;
+        });
+        Object.keys(result.power).forEach(name => {
+            result.power[name] = clean(result.power[name], 1e-10);
+        });
+        return result;
+    }
+}
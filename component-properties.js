@@ -0,0 +1,170 @@
+// Component Properties
+// key=value properties such as tol=1%, power=0.25W or range=0..180, checked per component type
+
+// Properties every component accepts
+const COMMON_PROPERTIES = {
+    mpn: { kind: 'text', description: 'Manufacturer part number' },
+    note: { kind: 'text', description: 'Free-form note' }
+};
+
+// Placement attributes every component accepts
+const PLACEMENT_PROPERTIES = {
+    rot: { kind: 'angle', description: 'Rotation in degrees, clockwise (0, 90, 180 or 270)' },
+    flip: { kind: 'choice', choices: ['x', 'y', 'xy'], description: 'Mirror left-right (x), top-bottom (y) or both' },
+    gap: { kind: 'number', signed: true, description: 'Space in px to the part placed next to' },
+    align: { kind: 'choice', choices: ['start', 'center', 'end'], description: 'Edge lined up with the part placed next to' }
+};
+
+// Properties each component type accepts
+const COMPONENT_PROPERTIES = {
+    resistor: {
+        tol: { kind: 'percent', description: 'Tolerance' },
+        power: { kind: 'quantity', unit: 'W', description: 'Power rating' }
+    },
+    potentiometer: {
+        tol: { kind: 'percent', description: 'Tolerance' },
+        power: { kind: 'quantity', unit: 'W', description: 'Power rating' },
+        position: { kind: 'percent', description: 'Wiper position from pin 1 (default 50%)' }
+    },
+    switch: {
+        state: { kind: 'choice', choices: ['open', 'closed'], description: 'Position the circuit analysis assumes' },
+        toggle: { kind: 'quantity', unit: 's', description: 'Time the transient analysis flips the switch' }
+    },
+    pushbutton: {
+        state: { kind: 'choice', choices: ['open', 'closed'], description: 'Position the circuit analysis assumes' },
+        toggle: { kind: 'quantity', unit: 's', description: 'Time the transient analysis flips the button' }
+    },
+    capacitor: {
+        tol: { kind: 'percent', description: 'Tolerance' },
+        voltage: { kind: 'quantity', unit: 'V', description: 'Voltage rating' }
+    },
+    inductor: {
+        tol: { kind: 'percent', description: 'Tolerance' },
+        current: { kind: 'quantity', unit: 'A', description: 'Current rating' }
+    },
+    led: {
+        vf: { kind: 'quantity', unit: 'V', description: 'Forward voltage' },
+        if: { kind: 'quantity', unit: 'A', description: 'Forward current' }
+    },
+    rgb_led: {
+        vf: { kind: 'quantity', unit: 'V', description: 'Forward voltage' },
+        if: { kind: 'quantity', unit: 'A', description: 'Forward current' }
+    },
+    battery: {
+        capacity: { kind: 'text', description: 'Capacity (e.g. 2000mAh)' },
+        wave: { kind: 'choice', choices: ['dc', 'step', 'pulse', 'sine'], description: 'Waveform in the transient analysis (default dc)' },
+        delay: { kind: 'quantity', unit: 's', description: 'Time the step, pulse train or sine starts' },
+        period: { kind: 'quantity', unit: 's', description: 'Pulse period (default 1ms)' },
+        width: { kind: 'quantity', unit: 's', description: 'Pulse width (default half the period)' },
+        freq: { kind: 'quantity', unit: 'Hz', description: 'Sine frequency (default 50Hz)' },
+        ac: { kind: 'quantity', unit: 'V', description: 'Amplitude driving the AC analysis' }
+    },
+    servo: {
+        range: { kind: 'range', unit: '°', description: 'Rotation range in degrees' }
+    },
+    relay: {
+        coil: { kind: 'quantity', unit: 'V', description: 'Coil voltage' }
+    },
+    dc_motor: {
+        voltage: { kind: 'quantity', unit: 'V', description: 'Rated voltage' }
+    },
+    stepper: {
+        steps: { kind: 'number', description: 'Steps per revolution' }
+    }
+};
+
+// Properties of a subcircuit instance
+const SUBCIRCUIT_PROPERTIES = {
+    view: { kind: 'choice', choices: ['block', 'expanded'], description: 'Draw as a block or show the parts inside' }
+};
+
+// Get the property definitions accepted by a component type
+function getPropertyDefinitions(type) {
+    return { ...COMMON_PROPERTIES, ...PLACEMENT_PROPERTIES, ...(COMPONENT_PROPERTIES[type] || {}) };
+}
+
+// Parse a property value by its definition; returns { value } or { error }
+function parsePropertyValue(definition, text) {
+    switch (definition.kind) {
+        case 'percent': {
+            const match = text.match(/^(\d+(?:\.\d+)?)%$/);
+            if (!match) return { error: `expected a percentage such as 5%` };
+            return { value: parseFloat(match[1]) / 100 };
+        }
+        case 'quantity': {
+            const parsed = parseEngineeringValue(text);
+            if (!parsed) return { error: `expected a value in ${UNIT_NAMES[definition.unit]} such as 1${definition.unit}` };
+            if (parsed.unit && parsed.unit !== definition.unit) {
+                return { error: `expected ${UNIT_NAMES[definition.unit]} (${definition.unit}), not ${parsed.unit}` };
+            }
+            return { value: parsed.value };
+        }
+        case 'range': {
+            const match = text.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+            if (!match) return { error: 'expected a range such as 0..180' };
+            const min = parseFloat(match[1]);
+            const max = parseFloat(match[2]);
+            if (min >= max) return { error: 'range start must be below its end' };
+            return { value: { min, max } };
+        }
+        case 'choice': {
+            const choice = definition.choices.find(c => c === text.toLowerCase());
+            if (!choice) return { error: `expected one of ${definition.choices.join(', ')}` };
+            return { value: choice };
+        }
+        case 'number': {
+            const pattern = definition.signed ? /^-?\d+(?:\.\d+)?$/ : /^\d+(?:\.\d+)?$/;
+            if (!pattern.test(text)) return { error: 'expected a number' };
+            return { value: parseFloat(text) };
+        }
+        case 'list': {
+            const match = text.match(/^\[(.*)\]$/);
+            if (!match) return { error: 'expected a list such as [A, B, C0..C3]' };
+
+            const items = [];
+            for (const entry of match[1].split(',').map(item => item.trim()).filter(Boolean)) {
+                // Q0..Q7 (or Q0..7) stands for Q0, Q1, ... Q7; counting down works too. Anything after ':' is kept on each.
+                const range = entry.match(/^([A-Za-z_]\w*?)(\d+)\.\.(?:\1)?(\d+)((?::[\w-]+)*)$/);
+                if (range) {
+                    const [, prefix, first, last, suffix] = range;
+                    if (Math.abs(parseInt(last) - parseInt(first)) >= 256) return { error: `'${entry}' has too many items` };
+                    const step = parseInt(last) >= parseInt(first) ? 1 : -1;
+                    for (let n = parseInt(first); n !== parseInt(last) + step; n += step) {
+                        items.push(`${prefix}${n}${suffix}`);
+                    }
+                } else if (/^\w+(?::[\w-]+)*$/.test(entry)) {
+                    items.push(entry);
+                } else {
+                    return { error: `'${entry}' is not a name; use letters, digits and '_'` };
+                }
+            }
+            return { value: items };
+        }
+        case 'angle': {
+            if (!/^-?\d+$/.test(text) || parseInt(text) % 90 !== 0) return { error: 'expected a multiple of 90 such as 90 or 180' };
+            return { value: ((parseInt(text) % 360) + 360) % 360 };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+// Format a parsed property value for display
+function formatPropertyValue(definition, value) {
+    if (!definition) return String(value);
+
+    switch (definition.kind) {
+        case 'percent':
+            return `${parseFloat((value * 100).toPrecision(6))}%`;
+        case 'quantity':
+            return formatEngineeringValue(value, definition.unit);
+        case 'range':
+            return `${value.min}..${value.max}${definition.unit || ''}`;
+        case 'angle':
+            return `${value}°`;
+        case 'list':
+            return `[${value.join(', ')}]`;
+        default:
+            return String(value);
+    }
+}
@@ -0,0 +1,368 @@
+// Custom Parts
+// Parts described in JSON, drawn from an SVG body or as a generated box with named pins on each side.
+// They are registered like the built-in symbols, kept in this browser's local storage and shared as library packs.
+
+// Local storage key, and the format name and version written into exported packs
+const CUSTOM_PARTS_STORAGE_KEY = 'circuit-designer-custom-parts';
+const CUSTOM_PARTS_PACK_FORMAT = 'circuit-designer-parts';
+const CUSTOM_PARTS_PACK_VERSION = 1;
+
+// Spacing of the pins along a side, and the library section parts go in unless they name one
+const CUSTOM_PIN_PITCH = 20;
+const CUSTOM_PART_CATEGORY = 'Custom Parts';
+
+// Sides pins can be on, and the way their leads point
+const CUSTOM_PIN_SIDES = { left: 'left', right: 'right', top: 'up', bottom: 'down' };
+
+// Elements an SVG body may use; anything else (scripts, links, embedded documents) is dropped
+const CUSTOM_SVG_ELEMENTS = ['g', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'text', 'tspan'];
+
+// Read an SVG body into elements that can go inside a symbol group, without scripts, event handlers or links
+function parseCustomSvg(markup) {
+    const doc = new DOMParser().parseFromString(
+        `<svg xmlns="http://www.w3.org/2000/svg">${markup}</svg>`, 'image/svg+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('the SVG body is not well-formed');
+    }
+
+    const clean = element => {
+        [...element.children].forEach(child => {
+            if (!CUSTOM_SVG_ELEMENTS.includes(child.localName)) {
+                child.remove();
+                return;
+            }
+            [...child.attributes]
+                .filter(attribute => /^on/i.test(attribute.name) || /href$/i.test(attribute.name))
+                .forEach(attribute => child.removeAttribute(attribute.name));
+            clean(child);
+        });
+    };
+    clean(doc.documentElement);
+    return [...doc.documentElement.children];
+}
+
+// Draw a custom part: its SVG body or a box titled with its name, then its pins by drawPins
+function drawCustomPart(engine, svg, component, part) {
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.setAttribute('transform', symbolTransform(component));
+
+    if (part.svg) {
+        parseCustomSvg(part.svg).forEach(element => g.appendChild(document.importNode(element, true)));
+    } else {
+        const body = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        body.setAttribute('x', '0');
+        body.setAttribute('y', '0');
+        body.setAttribute('width', part.width);
+        body.setAttribute('height', part.height);
+        body.setAttribute('class', 'circuit-component');
+        body.setAttribute('fill', '#37474f');
+        body.setAttribute('rx', '3');
+        g.appendChild(body);
+
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        title.setAttribute('x', part.width / 2);
+        title.setAttribute('y', part.height / 2 + 4);
+        title.setAttribute('class', 'circuit-text circuit-header-label');
+        title.setAttribute('text-anchor', 'middle');
+        title.setAttribute('font-weight', 'bold');
+        title.setAttribute('font-size', '10');
+        title.textContent = part.label;
+        g.appendChild(title);
+    }
+
+    engine.addLabel(g, component.name, component.displayValue, part.width / 2, part.height + 20);
+    svg.appendChild(g);
+}
+
+class CustomPartLibrary {
+    constructor(storage) {
+        this.storage = storage;
+        this.parts = new Map();
+    }
+
+    // Register the parts saved in this browser; returns a message for each one that could not be loaded
+    load() {
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getItem(CUSTOM_PARTS_STORAGE_KEY) || '[]');
+        } catch (error) {
+            return [`Saved custom parts could not be read: ${error.message}`];
+        }
+
+        const problems = [];
+        saved.forEach(description => {
+            try {
+                this.register(this.normalize(description));
+            } catch (error) {
+                problems.push(error.message);
+            }
+        });
+        return problems;
+    }
+
+    save() {
+        this.storage.setItem(CUSTOM_PARTS_STORAGE_KEY, JSON.stringify([...this.parts.values()].map(p => p.description)));
+    }
+
+    // Check a part description and work out its pins and size; throws with every problem found
+    normalize(description) {
+        const problems = [];
+        if (!description || typeof description !== 'object' || Array.isArray(description)) {
+            throw new Error('A custom part must be a JSON object');
+        }
+
+        const type = String(description.type || '').toLowerCase();
+        if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+            problems.push(`type '${description.type || ''}' must start with a letter and use only letters, digits and '_'`);
+        }
+        const label = description.name || type;
+
+        // Pins: "NAME", "NAME:type" or { name, type } on each side
+        const pins = [];
+        const sides = description.pins || {};
+        Object.keys(sides).forEach(side => {
+            if (!CUSTOM_PIN_SIDES[side] || !Array.isArray(sides[side])) {
+                problems.push(`pins.${side} is not a side; use left, right, top or bottom with a list of pins`);
+                return;
+            }
+            sides[side].forEach(entry => {
+                const [name, pinType = 'passive'] = typeof entry === 'string' ? entry.split(':') : [entry.name, entry.type];
+                if (!/^\w+$/.test(name || '')) {
+                    problems.push(`pin '${name || ''}' may only use letters, digits and '_'`);
+                } else if (pins.some(pin => pin.name.toLowerCase() === name.toLowerCase())) {
+                    problems.push(`pin '${name}' is listed twice`);
+                } else if (!PIN_TYPES.includes(pinType)) {
+                    problems.push(`pin '${name}' has type '${pinType}'; use one of ${PIN_TYPES.join(', ')}`);
+                } else {
+                    pins.push({ name, type: pinType, side });
+                }
+            });
+        });
+        if (pins.length === 0 && problems.length === 0) {
+            problems.push('a part needs at least one pin');
+        }
+        if (description.valueUnit && !VALUE_EXAMPLES[description.valueUnit]) {
+            problems.push(`valueUnit must be one of ${Object.keys(VALUE_EXAMPLES).join(', ')}`);
+        }
+        if (description.svg !== undefined && typeof description.svg !== 'string') {
+            problems.push('svg must be a string of SVG elements');
+        }
+        ['width', 'height']
+            .filter(key => description[key] !== undefined && !(Number.isFinite(description[key]) && description[key] > 0))
+            .forEach(key => problems.push(`${key} must be a number of pixels above 0`));
+        const levels = description.levels;
+        if (levels !== undefined) {
+            const volts = value => typeof value === 'number' && value >= 0;
+            if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+                problems.push('levels must be an object of voltages');
+            } else {
+                if (levels.supply !== undefined && !(Array.isArray(levels.supply) && levels.supply.length === 2 &&
+                    levels.supply.every(volts) && levels.supply[0] <= levels.supply[1])) {
+                    problems.push('levels.supply must be [min, max] in volts');
+                }
+                ['logic', 'maxInput', 'output'].filter(key => levels[key] !== undefined && !volts(levels[key]))
+                    .forEach(key => problems.push(`levels.${key} must be a number of volts`));
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Custom part '${label || '?'}': ${problems.join('; ')}`);
+        }
+
+        // The box is big enough for its longest side unless a size is given
+        const count = side => pins.filter(pin => pin.side === side).length;
+        const width = description.width || Math.max(80, (Math.max(count('top'), count('bottom')) + 1) * CUSTOM_PIN_PITCH);
+        const height = description.height || Math.max(40, (Math.max(count('left'), count('right')) + 1) * CUSTOM_PIN_PITCH);
+
+        // Pins are centred along their side, on the 10px grid
+        const placed = pins.map(pin => {
+            const along = pins.filter(p => p.side === pin.side);
+            const index = along.indexOf(pin);
+            const length = pin.side === 'left' || pin.side === 'right' ? height : width;
+            const start = Math.round((length - (along.length - 1) * CUSTOM_PIN_PITCH) / 2 / 10) * 10;
+            const offset = start + index * CUSTOM_PIN_PITCH;
+            const x = pin.side === 'left' ? 0 : pin.side === 'right' ? width : offset;
+            const y = pin.side === 'top' ? 0 : pin.side === 'bottom' ? height : offset;
+            return { name: pin.name, x, y, dir: CUSTOM_PIN_SIDES[pin.side], type: pin.type, header: !description.svg };
+        });
+
+        return { type, label, width, height, pins: placed, svg: description.svg || '', description };
+    }
+
+    // Registry definition for a normalised part
+    toDefinition(part) {
+        const { description } = part;
+        return {
+            draw(svg, component) {
+                drawCustomPart(this, svg, component, part);
+            },
+            pins: part.pins,
+            size: { width: part.width, height: part.height },
+            defaultValue: description.value || '',
+            valueUnit: description.valueUnit,
+            levels: description.levels,
+            palette: {
+                category: description.category || CUSTOM_PART_CATEGORY,
+                name: part.label,
+                icon: description.icon || '🧩',
+                prefix: description.prefix || part.type.toUpperCase()
+            },
+            custom: true
+        };
+    }
+
+    register(part) {
+        const existing = getSymbolDefinition(part.type);
+        if (existing && !existing.custom) {
+            throw new Error(`Custom part '${part.label}': '${part.type}' is a built-in type`);
+        }
+        CircuitEngine.registerSymbol(part.type, this.toDefinition(part));
+        this.parts.set(part.type, part);
+    }
+
+    // Add a part from its description (an object or JSON text) and save it; a part of the same type is replaced
+    add(description) {
+        const part = this.normalize(typeof description === 'string' ? JSON.parse(description) : description);
+        this.register(part);
+        this.save();
+        return part;
+    }
+
+    remove(type) {
+        if (!this.parts.has(type)) return false;
+        this.parts.delete(type);
+        unregisterSymbolDefinition(type);
+        this.save();
+        return true;
+    }
+
+    // A library pack holding every saved part
+    exportPack() {
+        return JSON.stringify({
+            format: CUSTOM_PARTS_PACK_FORMAT,
+            version: CUSTOM_PARTS_PACK_VERSION,
+            parts: [...this.parts.values()].map(part => part.description)
+        }, null, 2);
+    }
+
+    // Add every part in a pack; returns the types added and a message for each part that was not
+    importPack(text) {
+        const pack = JSON.parse(text);
+        if (!pack || pack.format !== CUSTOM_PARTS_PACK_FORMAT || !Array.isArray(pack.parts)) {
+            throw new Error('This file is not a parts library pack');
+        }
+        if (pack.version > CUSTOM_PARTS_PACK_VERSION) {
+            throw new Error(`This pack was made by a newer version (format ${pack.version})`);
+        }
+
+        const added = [];
+        const problems = [];
+        pack.parts.forEach(description => {
+            try {
+                const part = this.normalize(description);
+                this.register(part);
+                added.push(part.type);
+            } catch (error) {
+                problems.push(error.message);
+            }
+        });
+        this.save();
+        return { added, problems };
+    }
+}
+
+// Saved parts are registered before any circuit is parsed
+const customPartLibrary = new CustomPartLibrary(window.localStorage);
+const customPartLoadProblems = customPartLibrary.load();
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderCustomPartsList();
+    if (customPartLoadProblems.length > 0) {
+        showMessage(customPartLoadProblems.join('\n'), 'error');
+    }
+});
+
+// List the saved parts with a button to remove each
+function renderCustomPartsList() {
+    const list = document.getElementById('custom-parts-list');
+    list.innerHTML = '';
+
+    customPartLibrary.parts.forEach(part => {
+        const item = document.createElement('li');
+        item.className = 'custom-part-item';
+
+        const name = document.createElement('span');
+        name.textContent = `${part.label} (${part.type}, ${part.pins.length} pins)`;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-sm';
+        remove.textContent = '✕';
+        remove.title = `Remove ${part.type}`;
+        remove.addEventListener('click', () => removeCustomPart(part.type));
+
+        item.appendChild(name);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// Library and preview after the set of parts changed
+function refreshCustomParts() {
+    renderCustomPartsList();
+    renderComponentLibrary();
+    generateCircuit();
+}
+
+// Add or replace the part described in the custom part box
+function addCustomPart() {
+    const text = document.getElementById('custom-part-json').value;
+    try {
+        const part = customPartLibrary.add(text);
+        refreshCustomParts();
+        showMessage(`Added custom part '${part.type}'`, 'success');
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+function removeCustomPart(type) {
+    if (!confirm(`Remove the custom part '${type}'?`)) return;
+    customPartLibrary.remove(type);
+    refreshCustomParts();
+}
+
+// Download every saved part as a library pack
+function exportPartsPack() {
+    if (customPartLibrary.parts.size === 0) {
+        showMessage('There are no custom parts to export', 'error');
+        return;
+    }
+
+    const blob = new Blob([customPartLibrary.exportPack()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'circuit-parts.json';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Add the parts of a pack chosen with the file input
+function importPartsPack(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { added, problems } = customPartLibrary.importPack(reader.result);
+            refreshCustomParts();
+            const summary = `Imported ${added.length} part${added.length === 1 ? '' : 's'}`;
+            showMessage(problems.length > 0 ? `${summary}\n${problems.join('\n')}` : summary, problems.length > 0 ? 'error' : 'success');
+        } catch (error) {
+            showMessage(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
@@ -0,0 +1,65 @@
+// Circuit Diagnostics
+// Errors, warnings and hints tied to a line and column range of the circuit code.
+// Lines and columns are 1-based; endColumn points one past the last character.
+
+const DIAGNOSTIC_SEVERITIES = ['error', 'warning', 'hint'];
+
+class DiagnosticList {
+    constructor() {
+        this.items = [];
+    }
+
+    // Record a diagnostic at a { line, column, endColumn } range
+    add(severity, code, message, range = {}) {
+        const diagnostic = {
+            severity,
+            code,
+            message,
+            line: range.line || 0,
+            column: range.column || 1,
+            endColumn: range.endColumn || range.column || 1
+        };
+        this.items.push(diagnostic);
+        return diagnostic;
+    }
+
+    error(code, message, range) {
+        return this.add('error', code, message, range);
+    }
+
+    warning(code, message, range) {
+        return this.add('warning', code, message, range);
+    }
+
+    hint(code, message, range) {
+        return this.add('hint', code, message, range);
+    }
+
+    hasErrors() {
+        return this.items.some(d => d.severity === 'error');
+    }
+
+    // Diagnostics ordered by position, most severe first on the same spot, and those about the whole
+    // circuit (line 0) last. Lines repeated by a loop can report the same problem more than once; it is listed once.
+    sorted() {
+        const seen = new Set();
+        const unique = this.items.filter(d => {
+            const key = [d.severity, d.code, d.line, d.column, d.endColumn, d.message].join('|');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return unique.sort((a, b) =>
+            (a.line === 0) - (b.line === 0) ||
+            a.line - b.line ||
+            a.column - b.column ||
+            DIAGNOSTIC_SEVERITIES.indexOf(a.severity) - DIAGNOSTIC_SEVERITIES.indexOf(b.severity)
+        );
+    }
+
+    // Human-readable one-line form of a diagnostic
+    static format(diagnostic) {
+        const where = diagnostic.line ? `Line ${diagnostic.line}:${diagnostic.column}` : 'Circuit';
+        return `${where}: ${diagnostic.message}`;
+    }
+}
@@ -0,0 +1,340 @@
+// Electrical Rules Check
+// Looks over a parsed circuit for wiring that is valid code but a faulty circuit: LEDs with nothing to
+// limit their current, shorted sources, no ground reference, required pins left unconnected, outputs
+// tied together, inputs nothing drives and parts wired to nothing. Each finding is a diagnostic that also
+// lists the components it is about, so they can be marked on the schematic.
+
+// Parts that pass current without limiting it, when looking for an LED without a series resistor
+const ERC_UNLIMITED_TYPES = ['switch', 'pushbutton', 'fuse', 'inductor', 'led', 'diode', 'schottky', 'zener'];
+
+// Parts that join their pins outright, when looking for a shorted source (closed switches do too)
+const ERC_SHORT_TYPES = ['fuse', 'inductor'];
+
+// Pin types that can set the level of a net an input is on
+const ERC_DRIVER_TYPES = ['output', 'io', 'power-out', 'passive'];
+
+// How far, in volts, a level may go over what a pin takes before it is reported
+const LEVEL_MARGIN = 0.05;
+
+// Supply range and logic levels a part type declares (see symbol-registry.js), or null
+function getComponentLevels(component) {
+    const definition = getSymbolDefinition(component.type);
+    return definition && definition.levels ? definition.levels : null;
+}
+
+// Voltage a pin or net name stands for, e.g. 5V, 12V or 3V3; null for other names
+function voltageFromName(name) {
+    const match = /^\+?(\d+)V(\d*)$/i.exec(name || '');
+    return match ? parseFloat(`${match[1]}.${match[2] || 0}`) : null;
+}
+
+class ElectricalRulesChecker {
+    constructor(netlist) {
+        this.netlist = netlist;
+        this.diagnostics = new DiagnosticList();
+        this.parts = netlist.getLeafComponents()
+            .filter(component => !component.type.startsWith('virtual_') && (netlist.getPinsOf(component) || []).length > 0);
+        this.unconnected = new Set();
+        this.buildNodes();
+    }
+
+    // Run every rule; returns the findings in code order
+    check() {
+        this.checkUnconnectedComponents();
+        this.checkGround();
+        this.checkShortedSources();
+        this.checkLedResistors();
+        this.checkPins();
+        this.checkTiedOutputs();
+        this.checkSupplyRanges();
+        this.checkLogicLevels();
+        return this.diagnostics.sorted();
+    }
+
+    // Only the voltage-level rules: parts powered outside their range and outputs too high for the inputs
+    // they drive
+    checkLevels() {
+        this.checkSupplyRanges();
+        this.checkLogicLevels();
+        return this.diagnostics.sorted();
+    }
+
+    // Record a finding at the first component's line unless a range is given, naming every component it concerns
+    report(severity, code, message, components, range = components[0].source) {
+        const diagnostic = this.diagnostics.add(severity, code, message, range || {});
+        diagnostic.components = components.map(component => component.name);
+    }
+
+    // Group pins into nodes as the circuit analysis does (see joinWiredPins): ground pins, ground nets and
+    // the unwired negative terminal of a source are ground. Parts with a wire whose pin cannot be told are
+    // left out of the pin rules.
+    buildNodes() {
+        const { find, union, wired, ground, unresolved } = joinWiredPins(this.netlist);
+        // A copy, so grounding a free negative terminal below does not make it count as wired
+        this.wired = new Set(wired);
+        this.vague = new Set();
+        unresolved.forEach(connection => {
+            [[connection.from, 'from'], [connection.to, 'to']].forEach(([name, end]) => {
+                const pin = this.netlist.connectionPin(connection, end);
+                if (pin) this.wired.add(`${name}.${pin}`);
+                else this.vague.add(name);
+            });
+        });
+
+        // Pins on a power rail are wired, and their nodes are supplies
+        this.powered = new Set();
+        this.netlist.nets.filter(net => net.kind === 'power').forEach(net => {
+            net.pins.filter(p => p.pin).forEach(p => {
+                this.wired.add(`${p.component}.${p.pin}`);
+                this.powered.add(`${p.component}.${p.pin}`);
+            });
+        });
+
+        // Every pin of every part, with its electrical type and whether it is a board header pin
+        this.pins = this.parts.flatMap(component => (this.netlist.getPinsOf(component) || []).map(pin => {
+            const geometry = getComponentPin(component, pin) || {};
+            return { component, pin, key: `${component.name}.${pin}`, type: geometry.type || 'passive', header: Boolean(geometry.header) };
+        }));
+        this.pins
+            .filter(({ pin, key, type }) => type === 'power-out' && (pin === 'GND' || (pin === 'NEG' && !this.wired.has(key))))
+            .forEach(({ key }) => union(key, ground));
+
+        this.nodeOf = new Map(this.pins.map(({ key }) => [key, find(key)]));
+        this.ground = find(ground);
+        this.powered = new Set([...this.powered].map(find));
+    }
+
+    // Pins sharing a node with the given pin, itself left out
+    pinsWith(entry) {
+        const node = this.nodeOf.get(entry.key);
+        return this.pins.filter(other => other !== entry && this.nodeOf.get(other.key) === node);
+    }
+
+    // Name of the net a pin is on, for messages
+    netName(entry) {
+        if (this.nodeOf.get(entry.key) === this.ground) return 'GND';
+        const net = this.netlist.getNetOfPin(entry.component.name, entry.pin);
+        return net ? net.name : entry.key;
+    }
+
+    checkUnconnectedComponents() {
+        this.parts
+            .filter(component => !this.vague.has(component.name) && this.netlist.getNeighbors(component.name).length === 0)
+            .filter(component => !this.pins.some(entry => entry.component === component && this.wired.has(entry.key)))
+            .forEach(component => {
+                this.unconnected.add(component.name);
+                this.report('warning', 'unconnected-component', `${component.name} is not connected to anything`, [component]);
+            });
+    }
+
+    // Voltages need a reference: a ground symbol, a GND pin or net, or a source's free negative terminal
+    checkGround() {
+        const connected = this.parts.filter(component => !this.unconnected.has(component.name));
+        const grounded = this.pins.some(entry => entry.component.type !== 'ground' && this.nodeOf.get(entry.key) === this.ground);
+        if (connected.length === 0 || grounded) return;
+
+        const sources = connected.filter(component => this.pins.some(entry => entry.component === component && entry.type === 'power-out'));
+        this.report('warning', 'no-ground', 'The circuit has no ground reference; add a ground symbol (GND: ground) and wire the negative side of the supply to it',
+            sources.length > 0 ? sources : connected.slice(0, 1));
+    }
+
+    // A source whose positive and negative terminals are on one node, directly or through fuses,
+    // inductors and closed switches
+    checkShortedSources() {
+        const parent = new Map();
+        const find = node => {
+            if (!parent.has(node)) parent.set(node, node);
+            while (parent.get(node) !== node) node = parent.get(node);
+            return node;
+        };
+        this.parts
+            .filter(component => ERC_SHORT_TYPES.includes(component.type) ||
+                (LOGIC_SWITCH_TYPES.includes(component.type) && component.properties.state === 'closed'))
+            .forEach(component => {
+                const nodes = this.pins.filter(entry => entry.component === component).map(entry => find(this.nodeOf.get(entry.key)));
+                nodes.slice(1).forEach(node => parent.set(find(node), nodes[0]));
+            });
+
+        this.parts.forEach(component => {
+            const supplies = this.pins.filter(entry => entry.component === component && entry.type === 'power-out');
+            const positive = supplies.filter(entry => supplyLevel({ name: entry.pin }) === 1);
+            const negative = supplies.filter(entry => supplyLevel({ name: entry.pin }) === 0);
+            const shorted = positive.find(high => negative.some(low => find(this.nodeOf.get(high.key)) === find(this.nodeOf.get(low.key))));
+            if (shorted) {
+                this.report('error', 'shorted-source', `${component.name} is shorted: ${shorted.pin} reaches its negative side with nothing to limit the current`, [component]);
+            }
+        });
+    }
+
+    // An LED with both ends reachable from supplies, ground or outputs through wires, switches and diodes
+    // only has nothing to limit its current
+    checkLedResistors() {
+        const sourceNodes = new Set([this.ground, ...this.powered]);
+        this.pins
+            .filter(entry => entry.type === 'power-out' || entry.type === 'output' || (entry.type === 'io' && entry.header))
+            .forEach(entry => sourceNodes.add(this.nodeOf.get(entry.key)));
+
+        this.parts
+            .filter(component => component.type === 'led' && !this.vague.has(component.name) && !this.unconnected.has(component.name))
+            .forEach(led => {
+                const reached = new Set(sourceNodes);
+                const paths = this.parts.filter(component => component !== led && ERC_UNLIMITED_TYPES.includes(component.type));
+                let grown = true;
+                while (grown) {
+                    grown = false;
+                    paths.forEach(component => {
+                        const nodes = this.pins.filter(entry => entry.component === component).map(entry => this.nodeOf.get(entry.key));
+                        if (nodes.some(node => reached.has(node)) && nodes.some(node => !reached.has(node))) {
+                            nodes.forEach(node => reached.add(node));
+                            grown = true;
+                        }
+                    });
+                }
+
+                const ends = this.pins.filter(entry => entry.component === led);
+                if (ends.every(entry => this.wired.has(entry.key) && reached.has(this.nodeOf.get(entry.key)))) {
+                    this.report('warning', 'led-no-resistor', `${led.name} has no resistor in series, so nothing limits its current`, [led]);
+                }
+            });
+    }
+
+    // Power and input pins must be connected, and so must every pin of a part made only of passive pins;
+    // an input also needs something on its net that can drive it. Board header pins are there to be used
+    // or not, so they are left alone.
+    checkPins() {
+        this.parts
+            .filter(component => !this.vague.has(component.name) && !this.unconnected.has(component.name))
+            .forEach(component => {
+                const entries = this.pins.filter(entry => entry.component === component && !entry.header);
+                const allPassive = entries.every(entry => entry.type === 'passive');
+                const required = entries.filter(entry => entry.type === 'power-in' || (allPassive && entry.type === 'passive'));
+
+                const open = required.filter(entry => !this.wired.has(entry.key)).map(entry => entry.pin);
+                if (open.length > 0) {
+                    this.report('warning', 'unconnected-pin', `${component.name} ${open.length === 1 ? 'pin' : 'pins'} ${open.join(', ')} ${open.length === 1 ? 'is' : 'are'} not connected`, [component]);
+                }
+
+                const floating = entries.filter(entry => entry.type === 'input').filter(entry => {
+                    if (!this.wired.has(entry.key)) return true;
+                    const node = this.nodeOf.get(entry.key);
+                    if (node === this.ground || this.powered.has(node)) return false;
+                    return !this.pinsWith(entry).some(other => ERC_DRIVER_TYPES.includes(other.type));
+                });
+                if (floating.length > 0) {
+                    const names = floating.map(entry => entry.pin).join(', ');
+                    this.report('warning', 'floating-input', `${component.name} ${floating.length === 1 ? 'input' : 'inputs'} ${names} ${floating.length === 1 ? 'is' : 'are'} floating: nothing drives ${floating.length === 1 ? 'it' : 'them'} high or low`, [component]);
+                }
+            });
+    }
+
+    // Two outputs on one net fight whenever they disagree
+    checkTiedOutputs() {
+        const byNode = new Map();
+        this.pins.filter(entry => entry.type === 'output').forEach(entry => {
+            const node = this.nodeOf.get(entry.key);
+            if (!byNode.has(node)) byNode.set(node, []);
+            byNode.get(node).push(entry);
+        });
+        byNode.forEach(outputs => {
+            if (outputs.length < 2) return;
+            const components = [...new Set(outputs.map(entry => entry.component))];
+            this.report('error', 'outputs-tied', `Outputs ${outputs.map(entry => entry.key).join(', ')} are tied together on ${this.netName(outputs[0])}`, components);
+        });
+    }
+
+    // Voltage of each node that a supply sets: ground, a grounded battery, a regulator's output, a board's
+    // 5V or 3V3 pin, or a net named like 5V
+    nodeVoltages() {
+        if (this.voltages) return this.voltages;
+        this.voltages = new Map([[this.ground, 0]]);
+        const set = (node, volts) => {
+            if (volts !== null && volts !== undefined && !this.voltages.has(node)) this.voltages.set(node, volts);
+        };
+
+        this.pins.filter(entry => entry.type === 'power-out' && supplyLevel({ name: entry.pin }) === 1).forEach(entry => {
+            const { component } = entry;
+            const levels = getComponentLevels(component) || {};
+            const negative = this.pins.filter(other => other.component === component && other.type === 'power-out' && supplyLevel({ name: other.pin }) === 0);
+            const grounded = negative.every(other => this.nodeOf.get(other.key) === this.ground);
+            const value = component.unit === 'V' && grounded ? component.numericValue : null;
+            const volts = [voltageFromName(entry.pin), entry.pin === 'IOREF' ? levels.logic : null, levels.output, value]
+                .find(candidate => candidate !== null && candidate !== undefined);
+            set(this.nodeOf.get(entry.key), volts);
+        });
+        this.netlist.nets.filter(net => net.kind === 'power').forEach(net => {
+            const pin = net.pins.find(p => p.pin && this.nodeOf.has(`${p.component}.${p.pin}`));
+            if (pin) set(this.nodeOf.get(`${pin.component}.${pin.pin}`), voltageFromName(net.name));
+        });
+        return this.voltages;
+    }
+
+    // Voltage a part is powered from: that of the first of its positive supply pins with a known voltage
+    supplyVoltage(component) {
+        const voltages = this.nodeVoltages();
+        const entry = this.pins.find(other => other.component === component && other.type === 'power-in' &&
+            supplyLevel({ name: other.pin }) === 1 && voltages.has(this.nodeOf.get(other.key)));
+        return entry ? voltages.get(this.nodeOf.get(entry.key)) : null;
+    }
+
+    // A part powered above its supply range may be damaged; below it, it may not work
+    checkSupplyRanges() {
+        const voltages = this.nodeVoltages();
+        this.parts.forEach(component => {
+            const levels = getComponentLevels(component);
+            if (!levels || !levels.supply) return;
+            const [low, high] = levels.supply;
+            const range = `${formatEngineeringValue(low, 'V')} to ${formatEngineeringValue(high, 'V')}`;
+
+            this.pins
+                .filter(entry => entry.component === component && entry.type === 'power-in' && voltages.has(this.nodeOf.get(entry.key)))
+                .forEach(entry => {
+                    const volts = voltages.get(this.nodeOf.get(entry.key));
+                    if (volts === 0 && supplyLevel({ name: entry.pin }) === 0) return;
+                    const supplied = `${component.name}.${entry.pin} is powered from ${formatEngineeringValue(volts, 'V')}`;
+                    if (volts > high + LEVEL_MARGIN) {
+                        this.report('error', 'supply-out-of-range', `${supplied}, above its ${range} supply range`, [component]);
+                    } else if (volts < low - LEVEL_MARGIN) {
+                        this.report('warning', 'supply-out-of-range', `${supplied}, below its ${range} supply range`, [component]);
+                    }
+                });
+        });
+    }
+
+    // Logic high a pin drives: its part's declared level, else the voltage the part is powered from
+    outputHigh(entry) {
+        const levels = getComponentLevels(entry.component);
+        if (!levels || (entry.type !== 'output' && entry.type !== 'io')) return null;
+        return levels.logic !== undefined ? levels.logic : this.supplyVoltage(entry.component);
+    }
+
+    // Highest voltage an input pin takes: its part's declared maximum, else the top of its supply range
+    inputMax(entry) {
+        const levels = getComponentLevels(entry.component);
+        if (!levels || (entry.type !== 'input' && entry.type !== 'io')) return null;
+        if (levels.maxInput !== undefined) return levels.maxInput;
+        return levels.supply ? levels.supply[1] : null;
+    }
+
+    // An output wired straight to an input that takes a lower voltage, such as a 5V sensor's output on a
+    // 3.3V board's GPIO, needs a level shifter or a divider between them
+    checkLogicLevels() {
+        this.pins.forEach(receiver => {
+            const limit = this.inputMax(receiver);
+            if (limit === null) return;
+            this.pinsWith(receiver)
+                .filter(driver => driver.component !== receiver.component)
+                .forEach(driver => {
+                    const high = this.outputHigh(driver);
+                    if (high === null || high <= limit + LEVEL_MARGIN) return;
+
+                    // Reported at the wire between the two pins when there is one
+                    const wire = this.netlist.connections.find(connection =>
+                        [[driver, receiver], [receiver, driver]].some(([from, to]) =>
+                            connection.from === from.component.name && connection.to === to.component.name &&
+                            (!connection.fromPin || connection.fromPin === from.pin) && (!connection.toPin || connection.toPin === to.pin)));
+                    const message = `${driver.key} drives ${formatEngineeringValue(high, 'V')} into ${receiver.key}, which takes at most ${formatEngineeringValue(limit, 'V')}; add a level shifter or a resistor divider between them`;
+                    this.report('error', 'level-mismatch', message, [receiver.component, driver.component], wire && wire.source);
+                });
+        });
+    }
+}
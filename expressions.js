@@ -0,0 +1,152 @@
+// Parameter Expressions
+// Evaluates expressions such as RLOAD*2 or VIN/(R1+R2) with unit-aware arithmetic
+
+// Units as powers of volts, amps and seconds
+const UNIT_DIMENSIONS = {
+    '': [0, 0, 0],
+    V: [1, 0, 0],
+    A: [0, 1, 0],
+    s: [0, 0, 1],
+    'Ω': [1, -1, 0],
+    F: [-1, 1, 1],
+    H: [1, -1, 1],
+    W: [1, 1, 0],
+    Hz: [0, 0, -1]
+};
+
+// Find the unit symbol for a dimension, or spell it out (e.g. V·s)
+function unitFromDimension(dimension) {
+    const known = Object.keys(UNIT_DIMENSIONS).find(unit =>
+        UNIT_DIMENSIONS[unit].every((power, i) => power === dimension[i]));
+    if (known !== undefined) return known;
+
+    return ['V', 'A', 's']
+        .map((base, i) => dimension[i] === 0 ? '' : dimension[i] === 1 ? base : `${base}^${dimension[i]}`)
+        .filter(Boolean)
+        .join('·');
+}
+
+function dimensionOf(unit) {
+    const dimension = UNIT_DIMENSIONS[unit];
+    if (!dimension) throw new Error(`Unit '${unit}' cannot be used in arithmetic`);
+    return dimension;
+}
+
+// Split an expression into numbers, names, operators and parentheses
+function tokenizeExpression(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const space = rest.match(/^\s+/);
+        const number = rest.match(/^(\d+(?:\.\d+)?|\.\d+)[\wµμΩ]*/);
+        const name = rest.match(/^[A-Za-z_]\w*/);
+
+        if (space) {
+            i += space[0].length;
+        } else if (number) {
+            const parsed = parseEngineeringValue(number[0]);
+            if (!parsed) throw new Error(`'${number[0]}' is not a valid number`);
+            tokens.push({ type: 'number', value: parsed.value, unit: parsed.unit });
+            i += number[0].length;
+        } else if (name) {
+            tokens.push({ type: 'name', value: name[0] });
+            i += name[0].length;
+        } else if ('+-*/()'.includes(text[i])) {
+            tokens.push({ type: text[i] });
+            i++;
+        } else {
+            throw new Error(`Unexpected '${text[i]}' in expression`);
+        }
+    }
+    return tokens;
+}
+
+// Evaluate an expression; params maps names to { value, unit }. Returns { value, unit, dimension } or throws.
+// Units combine through their dimensions, so VIN * I is tracked as V·A (W) and VIN * VIN as V^2.
+function evaluateExpression(text, params) {
+    const tokens = tokenizeExpression(text);
+    let index = 0;
+
+    const peek = () => tokens[index] || { type: 'end' };
+    const expect = type => {
+        if (peek().type !== type) {
+            throw new Error(peek().type === 'end' ? `Expected '${type}' at end of expression` : `Expected '${type}'`);
+        }
+        index++;
+    };
+
+    // Sums and differences need matching units; a plain number takes the other side's unit
+    const addUnits = (a, b, operator) => {
+        if (a.unit && b.unit && a.unit !== b.unit) {
+            throw new Error(`Cannot ${operator === '+' ? 'add' : 'subtract'} ${a.unit} and ${b.unit}`);
+        }
+        return a.unit || b.unit;
+    };
+    const multiplyUnits = (a, b, sign) => {
+        const da = a.dimension || dimensionOf(a.unit);
+        const db = b.dimension || dimensionOf(b.unit);
+        const dimension = da.map((power, i) => power + sign * db[i]);
+        return { unit: unitFromDimension(dimension), dimension };
+    };
+
+    const primary = () => {
+        const token = peek();
+        if (token.type === 'number') {
+            index++;
+            return { value: token.value, unit: token.unit };
+        }
+        if (token.type === 'name') {
+            index++;
+            if (!params.has(token.value)) throw new Error(`Unknown parameter '${token.value}'`);
+            return { ...params.get(token.value) };
+        }
+        if (token.type === '(') {
+            index++;
+            const inner = sum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === '-') {
+            index++;
+            const operand = primary();
+            return { ...operand, value: -operand.value };
+        }
+        throw new Error(token.type === 'end' ? 'Expression is incomplete' : `Unexpected '${token.type}'`);
+    };
+
+    const product = () => {
+        let left = primary();
+        while (peek().type === '*' || peek().type === '/') {
+            const operator = tokens[index++].type;
+            const right = primary();
+            if (operator === '/' && right.value === 0) throw new Error('Division by zero');
+            left = {
+                value: operator === '*' ? left.value * right.value : left.value / right.value,
+                ...multiplyUnits(left, right, operator === '*' ? 1 : -1)
+            };
+        }
+        return left;
+    };
+
+    const sum = () => {
+        let left = product();
+        while (peek().type === '+' || peek().type === '-') {
+            const operator = tokens[index++].type;
+            const right = product();
+            const unit = addUnits(left, right, operator);
+            left = {
+                value: operator === '+' ? left.value + right.value : left.value - right.value,
+                unit,
+                dimension: left.unit ? left.dimension : right.dimension
+            };
+        }
+        return left;
+    };
+
+    if (tokens.length === 0) throw new Error('Expression is empty');
+    const result = sum();
+    if (index < tokens.length) throw new Error(`Unexpected '${tokens[index].value || tokens[index].type}' in expression`);
+
+    return { value: parseFloat(result.value.toPrecision(12)), unit: result.unit, dimension: result.dimension || dimensionOf(result.unit) };
+}
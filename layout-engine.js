@@ -0,0 +1,216 @@
+// Schematic Layout
+// Places components without a written position: signal flow runs left to right in columns,
+// power sources sit along the top, grounds along the bottom, and boards are centred in their column
+
+// Space between columns and rows, and the grid positions snap to
+const LAYOUT_COLUMN_GAP = 80;
+const LAYOUT_ROW_GAP = 40;
+const LAYOUT_GRID = 20;
+const LAYOUT_ORIGIN = { x: 100, y: 100 };
+
+// Types drawn in the power row and the ground row
+const LAYOUT_SOURCE_TYPES = ['battery'];
+const LAYOUT_GROUND_TYPES = ['ground'];
+
+class LayoutEngine {
+    // Position the top-level components written without a position; options.all also moves the ones
+    // written with a position (used to tidy a diagram). Parts placed next to another are left alone.
+    // Returns the components that were moved.
+    layout(netlist, options = {}) {
+        const movable = netlist.components.filter(c => !c.parent &&
+            (c.positioning === 'auto' || (options.all && c.positioning === 'fixed')));
+        if (movable.length === 0) return [];
+
+        const fixed = netlist.components.filter(c => !c.parent && c.positioning === 'fixed' && !movable.includes(c));
+        const edges = this.collectEdges(netlist);
+        const sources = movable.filter(c => LAYOUT_SOURCE_TYPES.includes(c.type));
+        const grounds = movable.filter(c => LAYOUT_GROUND_TYPES.includes(c.type));
+        const flow = movable.filter(c => !sources.includes(c) && !grounds.includes(c));
+
+        // Start beside anything that keeps its written position
+        const origin = { ...LAYOUT_ORIGIN };
+        if (fixed.length > 0) {
+            const bounds = this.getBounds(fixed.map(c => getSymbolBox(c)));
+            origin.x = bounds.right + LAYOUT_COLUMN_GAP;
+            origin.y = Math.max(LAYOUT_ORIGIN.y, bounds.top);
+        }
+
+        const boxes = new Map();
+        const sourceRow = this.placeRow(sources, origin.x, origin.y);
+        sourceRow.forEach((box, name) => boxes.set(name, box));
+
+        const flowTop = origin.y + (sources.length > 0 ? this.rowHeight(sources) + LAYOUT_ROW_GAP * 2 : 0);
+        const flowBoxes = this.placeColumns(flow, edges, origin.x, flowTop);
+        flowBoxes.forEach((box, name) => boxes.set(name, box));
+
+        const placedSoFar = [...boxes.values()];
+        const groundTop = placedSoFar.length > 0
+            ? this.getBounds(placedSoFar).bottom + LAYOUT_ROW_GAP * 2
+            : origin.y;
+        this.placeGrounds(grounds, edges, boxes, origin.x, groundTop).forEach((box, name) => boxes.set(name, box));
+
+        // Snap to the grid and step down past anything still in the way
+        const taken = fixed.map(c => getSymbolBox(c));
+        movable.forEach(component => {
+            const box = boxes.get(component.name);
+            box.x = Math.round(box.x / LAYOUT_GRID) * LAYOUT_GRID;
+            box.y = Math.round(box.y / LAYOUT_GRID) * LAYOUT_GRID;
+            for (let step = 0; step < 200 && taken.some(other => this.overlaps(box, other)); step++) {
+                box.y += LAYOUT_GRID;
+            }
+            taken.push(box);
+            this.moveBoxTo(netlist, component, box);
+        });
+
+        return movable;
+    }
+
+    // Pairs of top-level components that are wired together, in the direction they were written.
+    // Ground and power nets join almost everything, so only signal nets count.
+    collectEdges(netlist) {
+        const topLevel = name => {
+            let component = netlist.getComponent(name);
+            while (component && component.parent) component = netlist.getComponent(component.parent);
+            return component ? component.name : null;
+        };
+
+        const edges = [];
+        const add = (from, to, directed) => {
+            const a = topLevel(from);
+            const b = topLevel(to);
+            if (a && b && a !== b) edges.push({ from: a, to: b, directed });
+        };
+
+        netlist.connections.forEach(conn => add(conn.from, conn.to, conn.directed));
+        netlist.nets
+            .filter(net => net.kind === 'signal' && net.labels.length > 1)
+            .forEach(net => {
+                net.labels.slice(1).forEach(label => add(net.labels[0].component, label.component, false));
+            });
+        return edges;
+    }
+
+    // Put components side by side from left to right
+    placeRow(components, left, top) {
+        const boxes = new Map();
+        let x = left;
+        components.forEach(component => {
+            const box = getSymbolBox(component);
+            boxes.set(component.name, { x, y: top, width: box.width, height: box.height });
+            x += box.width + LAYOUT_COLUMN_GAP;
+        });
+        return boxes;
+    }
+
+    rowHeight(components) {
+        return Math.max(...components.map(c => getSymbolBox(c).height));
+    }
+
+    // Columns by signal flow: each part goes one column right of the parts that feed it
+    placeColumns(components, edges, left, top) {
+        const boxes = new Map();
+        if (components.length === 0) return boxes;
+
+        const names = new Set(components.map(c => c.name));
+        const inFlow = edges.filter(e => names.has(e.from) && names.has(e.to));
+        const column = new Map(components.map(c => [c.name, 0]));
+
+        // Longest path from the parts nothing feeds; the pass limit stops feedback loops from running on
+        for (let pass = 0; pass < components.length; pass++) {
+            let changed = false;
+            inFlow.forEach(({ from, to }) => {
+                if (column.get(to) < column.get(from) + 1) {
+                    column.set(to, column.get(from) + 1);
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        // Drop empty columns, then order each column by the average row of the parts feeding it
+        const used = [...new Set(column.values())].sort((a, b) => a - b);
+        const columns = used.map(index => components.filter(c => column.get(c.name) === index));
+        const row = new Map();
+        columns.forEach(parts => {
+            const weight = component => {
+                const feeders = inFlow.filter(e => e.to === component.name && row.has(e.from)).map(e => row.get(e.from));
+                return feeders.length > 0 ? feeders.reduce((sum, r) => sum + r, 0) / feeders.length : Infinity;
+            };
+            const order = parts.map((component, index) => ({ component, index, weight: weight(component) }));
+            order.sort((a, b) => (a.weight === b.weight ? a.index - b.index : a.weight - b.weight));
+            parts.splice(0, parts.length, ...order.map(o => o.component));
+            parts.forEach((component, index) => row.set(component.name, index));
+        });
+
+        // Columns are centred on the tallest one, so a board alone in its column sits in the middle
+        const heights = columns.map(parts => parts.reduce((sum, c) => sum + getSymbolBox(c).height, 0) +
+            (parts.length - 1) * LAYOUT_ROW_GAP);
+        const bandHeight = Math.max(...heights);
+
+        let x = left;
+        columns.forEach((parts, index) => {
+            const width = Math.max(...parts.map(c => getSymbolBox(c).width));
+            let y = top + (bandHeight - heights[index]) / 2;
+            parts.forEach(component => {
+                const box = getSymbolBox(component);
+                boxes.set(component.name, { x: x + (width - box.width) / 2, y, width: box.width, height: box.height });
+                y += box.height + LAYOUT_ROW_GAP;
+            });
+            x += width + LAYOUT_COLUMN_GAP;
+        });
+        return boxes;
+    }
+
+    // Grounds go under the parts they are wired to, pushed right where they would overlap
+    placeGrounds(grounds, edges, boxes, left, top) {
+        const placed = new Map();
+        let next = left;
+
+        const wanted = grounds.map(ground => {
+            const box = getSymbolBox(ground);
+            const neighbours = edges
+                .filter(e => e.from === ground.name || e.to === ground.name)
+                .map(e => boxes.get(e.from === ground.name ? e.to : e.from))
+                .filter(Boolean);
+            let x;
+            if (neighbours.length > 0) {
+                x = neighbours.reduce((sum, b) => sum + b.x + b.width / 2, 0) / neighbours.length - box.width / 2;
+            } else {
+                x = next;
+                next += box.width + LAYOUT_COLUMN_GAP;
+            }
+            return { ground, box: { x, y: top, width: box.width, height: box.height } };
+        });
+
+        wanted.sort((a, b) => a.box.x - b.box.x);
+        let right = -Infinity;
+        wanted.forEach(({ ground, box }) => {
+            box.x = Math.max(box.x, right + LAYOUT_ROW_GAP);
+            right = box.x + box.width;
+            placed.set(ground.name, box);
+        });
+        return placed;
+    }
+
+    // Move a component (and the parts inside it) so its symbol box lands on box
+    moveBoxTo(netlist, component, box) {
+        const current = getSymbolBox(component);
+        netlist.moveComponent(component.name, box.x - current.x, box.y - current.y);
+    }
+
+    getBounds(boxes) {
+        return {
+            left: Math.min(...boxes.map(b => b.x)),
+            top: Math.min(...boxes.map(b => b.y)),
+            right: Math.max(...boxes.map(b => b.x + b.width)),
+            bottom: Math.max(...boxes.map(b => b.y + b.height))
+        };
+    }
+
+    // Boxes closer than the row gap count as overlapping, so labels below symbols stay clear
+    overlaps(a, b) {
+        const margin = LAYOUT_ROW_GAP / 2;
+        return a.x < b.x + b.width + margin && b.x < a.x + a.width + margin &&
+            a.y < b.y + b.height + margin && b.y < a.y + a.height + margin;
+    }
+}
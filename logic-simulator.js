@@ -0,0 +1,226 @@
+// Logic Simulator
+// Discrete-event simulation of the parts with a logic model: every output change takes one step to reach
+// its net, and only the parts reading a net that changed are evaluated again. Levels are 1, 0 or null
+// (floating or driven both ways); outputs start low. Closed switches join nets; resistors pull an undriven
+// net to the level at their other end.
+
+// Steps a change may take to settle before the circuit is reported as oscillating
+const LOGIC_MAX_STEPS = 1000;
+
+// Switch types that join their two pins while closed
+const LOGIC_SWITCH_TYPES = ['switch', 'pushbutton'];
+
+// AND, OR and NOT of levels that may be unknown
+function logicAnd(...levels) {
+    if (levels.includes(0)) return 0;
+    return levels.every(level => level === 1) ? 1 : null;
+}
+
+function logicOr(...levels) {
+    if (levels.includes(1)) return 1;
+    return levels.every(level => level === 0) ? 0 : null;
+}
+
+function logicNot(level) {
+    return level === null ? null : 1 - level;
+}
+
+// Level a source pin holds its net at: ground and negative pins low, other supply outputs high
+function supplyLevel(pin) {
+    return /^(GND|NEG|VSS)$/i.test(pin.name) ? 0 : 1;
+}
+
+class LogicSimulator {
+    constructor(netlist) {
+        this.netlist = netlist;
+        this.time = 0;
+        this.started = false;
+        this.drives = new Map();
+        this.levels = new Map();
+        this.closed = new Set();
+        this.conflicts = new Set();
+        this.oscillating = false;
+
+        // Parts with a logic model, with their input and output pins
+        this.parts = netlist.getLeafComponents()
+            .map(component => ({ component, definition: getSymbolDefinition(component.type) }))
+            .filter(({ definition }) => definition && definition.logic)
+            .map(({ component, definition }) => {
+                const pins = getComponentPins(component);
+                return {
+                    component,
+                    definition,
+                    state: {},
+                    inputs: pins.filter(pin => pin.type === 'input').map(pin => pin.name),
+                    outputs: pins.filter(pin => pin.type === 'output').map(pin => pin.name)
+                };
+            });
+        this.parts.forEach(part => part.outputs.forEach(pin => this.drives.set(`${part.component.name}.${pin}`, 0)));
+
+        this.resolveLevels();
+    }
+
+    // Advance to time (in seconds) with the given switches closed; returns the nets whose level changed
+    update(time, closed) {
+        const before = new Map(this.levels);
+        const switched = [...this.closed].some(name => !closed.has(name)) || [...closed].some(name => !this.closed.has(name));
+        this.closed = new Set(closed);
+        this.seconds = time;
+
+        if (switched) this.resolveLevels();
+        const changed = this.changedNets(before);
+
+        // Everything is evaluated on the first update; after that sources such as clocks, which have no
+        // inputs and follow the time, and the parts reading a net a switch changed
+        const dirty = this.started
+            ? this.parts.filter(part => part.inputs.length === 0 || this.readsAny(part, changed))
+            : this.parts;
+        this.started = true;
+        this.settle(dirty);
+        return this.changedNets(before);
+    }
+
+    // Evaluate parts until no output changes; each round of changes is one step
+    settle(dirty) {
+        this.oscillating = false;
+        for (let steps = 0; dirty.length > 0; steps++) {
+            if (steps >= LOGIC_MAX_STEPS) {
+                this.oscillating = true;
+                return;
+            }
+
+            const pending = [];
+            dirty.forEach(part => {
+                const outputs = part.definition.logic(this.readInputs(part), part.state, {
+                    component: part.component,
+                    time: this.seconds || 0
+                });
+                part.outputs.forEach(pin => {
+                    const key = `${part.component.name}.${pin}`;
+                    const level = outputs[pin] === undefined ? null : outputs[pin];
+                    if ((this.drives.has(key) ? this.drives.get(key) : null) !== level) pending.push({ key, level });
+                });
+            });
+            if (pending.length === 0) return;
+
+            this.time++;
+            const before = new Map(this.levels);
+            pending.forEach(({ key, level }) => {
+                if (level === null) this.drives.delete(key);
+                else this.drives.set(key, level);
+            });
+            this.resolveLevels();
+
+            const changed = this.changedNets(before);
+            dirty = this.parts.filter(part => this.readsAny(part, changed));
+        }
+    }
+
+    // Levels of a part's inputs by pin name
+    readInputs(part) {
+        const inputs = {};
+        part.inputs.forEach(pin => {
+            inputs[pin] = this.getPinLevel(part.component.name, pin);
+        });
+        return inputs;
+    }
+
+    readsAny(part, nets) {
+        return part.inputs.some(pin => {
+            const net = this.netlist.getNetOfPin(part.component.name, pin);
+            return net && nets.includes(net.name);
+        });
+    }
+
+    changedNets(before) {
+        return this.netlist.nets
+            .map(net => net.name)
+            .filter(name => (before.has(name) ? before.get(name) : null) !== this.getLevel(name));
+    }
+
+    // Level of a net by name, or null
+    getLevel(net) {
+        return this.levels.has(net) ? this.levels.get(net) : null;
+    }
+
+    // Level on a component pin, or null when it is not on a net
+    getPinLevel(component, pin) {
+        const net = this.netlist.getNetOfPin(component, pin);
+        return net ? this.getLevel(net.name) : null;
+    }
+
+    // Work out every net's level: nets joined by closed switches share one, rails and outputs drive it,
+    // and an undriven net follows a resistor to a driven one
+    resolveLevels() {
+        const nets = this.netlist.nets;
+        const group = new Map(nets.map(net => [net.name, net.name]));
+        const find = name => {
+            while (group.get(name) !== name) name = group.get(name);
+            return name;
+        };
+        this.netlist.getComponentsByType(...LOGIC_SWITCH_TYPES)
+            .filter(component => this.closed.has(component.name))
+            .forEach(component => {
+                const a = this.netlist.getNetOfPin(component.name, '1');
+                const b = this.netlist.getNetOfPin(component.name, '2');
+                if (a && b) group.set(find(a.name), find(b.name));
+            });
+
+        // Strong drivers: ground and power nets, supply outputs and logic outputs
+        const strong = new Map();
+        const drive = (net, level) => {
+            const root = find(net);
+            if (!strong.has(root)) strong.set(root, new Set());
+            strong.get(root).add(level);
+        };
+        nets.forEach(net => {
+            if (net.kind === 'ground') drive(net.name, 0);
+            if (net.kind === 'power') drive(net.name, 1);
+            net.pins.forEach(({ component, pin }) => {
+                const part = this.netlist.getComponent(component);
+                const geometry = part && pin ? getComponentPin(part, pin) : null;
+                if (geometry && geometry.type === 'power-out') drive(net.name, supplyLevel(geometry));
+                if (part && part.type === 'ground') drive(net.name, 0);
+                const key = `${component}.${pin}`;
+                if (this.drives.has(key)) drive(net.name, this.drives.get(key));
+            });
+        });
+
+        this.conflicts = new Set();
+        const strongLevel = root => {
+            const levels = strong.get(root);
+            if (!levels) return undefined;
+            if (levels.size > 1) {
+                this.conflicts.add(root);
+                return null;
+            }
+            return [...levels][0];
+        };
+
+        // Weak drivers: a resistor to a strongly driven net pulls an undriven one
+        const weak = new Map();
+        this.netlist.getComponentsByType('resistor').forEach(resistor => {
+            const a = this.netlist.getNetOfPin(resistor.name, '1');
+            const b = this.netlist.getNetOfPin(resistor.name, '2');
+            if (!a || !b) return;
+            [[a, b], [b, a]].forEach(([from, to]) => {
+                const level = strongLevel(find(from.name));
+                if (level === undefined || level === null) return;
+                const root = find(to.name);
+                if (!weak.has(root)) weak.set(root, new Set());
+                weak.get(root).add(level);
+            });
+        });
+
+        this.levels = new Map();
+        nets.forEach(net => {
+            const root = find(net.name);
+            let level = strongLevel(root);
+            if (level === undefined) {
+                const pulls = weak.get(root);
+                level = pulls && pulls.size === 1 ? [...pulls][0] : null;
+            }
+            this.levels.set(net.name, level);
+        });
+    }
+}
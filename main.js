@@ -6,6 +6,7 @@ let editor;
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
     initializeEditor();
+    renderComponentLibrary();
     loadExample('led'); // Load default example
     setupEventListeners();
     
@@ -20,10 +21,56 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 500);
 });
 
+// Build the component library from the registered symbols, one section per category
+function renderComponentLibrary() {
+    const library = document.getElementById('component-library');
+    library.innerHTML = '';
+
+    const definitions = COMPONENT_TYPES.map(getSymbolDefinition).filter(definition => definition.palette);
+    const categories = new Set([...PALETTE_CATEGORIES.map(c => c.name), ...definitions.map(d => d.palette.category)]);
+
+    categories.forEach(category => {
+        const cards = definitions.filter(d => d.palette.category === category);
+        if (cards.length === 0) return;
+
+        const known = PALETTE_CATEGORIES.find(c => c.name === category);
+        const heading = document.createElement('h3');
+        heading.className = 'component-category';
+        heading.textContent = known ? `${known.icon} ${category}` : category;
+        library.appendChild(heading);
+
+        const grid = document.createElement('div');
+        grid.className = 'components-grid';
+        cards.forEach(definition => {
+            const card = document.createElement('div');
+            card.className = 'component-card';
+            card.addEventListener('click', () => insertComponent(definition.type));
+
+            const icon = document.createElement('div');
+            icon.className = 'component-icon';
+            icon.textContent = definition.palette.icon || '🧩';
+
+            const name = document.createElement('div');
+            name.className = 'component-name';
+            name.textContent = definition.palette.name || definition.type;
+
+            const code = document.createElement('div');
+            code.className = 'component-code';
+            code.textContent = getSymbolSnippet(definition.type);
+
+            card.appendChild(icon);
+            card.appendChild(name);
+            card.appendChild(code);
+            grid.appendChild(card);
+        });
+        library.appendChild(grid);
+    });
+}
+
 // Initialize CodeMirror editor
 function initializeEditor() {
     editor = CodeMirror.fromTextArea(document.getElementById('circuit-code'), {
-        mode: 'javascript',
+        mode: 'circuit',
         theme: 'monokai',
         lineNumbers: true,
         lineWrapping: true,
@@ -32,12 +79,24 @@ function initializeEditor() {
         indentUnit: 4,
         tabSize: 4,
         indentWithTabs: false,
+        lint: true,
+        hintOptions: { completeSingle: false },
         extraKeys: {
             "Ctrl-Enter": generateCircuit,
-            "Cmd-Enter": generateCircuit
+            "Cmd-Enter": generateCircuit,
+            "Ctrl-Space": "autocomplete"
         }
     });
 
+    // Suggest completions while typing names, types and pins
+    editor.on('inputRead', function(cm, change) {
+        if (!cm.state.completionActive && /^[\w.]$/.test(change.text[0])) {
+            cm.showHint();
+        }
+    });
+
+    setupCircuitTooltips(editor);
+
     // Set initial editor height
     editor.setSize(null, 350);
 }
@@ -56,42 +115,53 @@ function setupEventListeners() {
     });
 }
 
-// Generate circuit from code
+// Generate circuit from code; returns the netlist drawn, or null when nothing was
 function generateCircuit() {
     const code = editor.getValue();
     
     if (!code.trim()) {
         showMessage('Please enter circuit code', 'error');
-        return;
+        return null;
     }
 
+    // Show loading state on the button that was clicked, if any; it is restored in finally below
+    const button = event?.target;
+    const originalText = button?.innerHTML || '';
     try {
-        // Show loading state
-        const button = event?.target;
-        const originalText = button?.innerHTML || '';
         if (button) {
             button.innerHTML = '<span class="loading"></span> Generating...';
             button.disabled = true;
         }
 
-        // Parse and generate circuit
-        const { components, connections } = circuitEngine.parseCircuitCode(code);
-        circuitEngine.generateCircuit(components, connections);
+        // Parse and generate circuit; the valid part is drawn even when some lines have problems
+        const netlist = circuitEngine.parseCircuitCode(code);
+        const { components, connections, nets } = netlist;
+        if (components.length > 0) {
+            circuitEngine.generateCircuit(netlist);
+        }
+        showDiagnostics(circuitDiagnostics(netlist));
 
-        // Update simulation with new components
+        // Update simulation with the new netlist
         if (typeof simulationEngine !== 'undefined') {
-            simulationEngine.setComponents(components);
+            simulationEngine.setNetlist(netlist);
             simulationEngine.resetSimulation();
         } else {
             console.error('Simulation engine not initialized');
         }
 
-        // Show success message
-        showMessage(`Successfully generated circuit with ${components.length} components and ${connections.length} connections`, 'success');
+        // Show result message
+        const errorCount = netlist.diagnostics.filter(d => d.severity === 'error').length;
+        if (errorCount > 0) {
+            showMessage(`Generated ${components.length} components with ${errorCount} error${errorCount === 1 ? '' : 's'} (see problems below the editor)`, 'error');
+        } else {
+            showMessage(`Successfully generated circuit with ${components.length} components, ${connections.length} connections and ${nets.length} nets`, 'success');
+        }
+        return netlist;
 
     } catch (error) {
         showMessage(`Error: ${error.message}`, 'error');
         console.error('Circuit generation error:', error);
+        return null;
     } finally {
         // Restore button state
         if (button) {
@@ -128,17 +198,8 @@ R3: resistor 470 (250, 200)
 R4: resistor 470 (250, 300)
 GND: ground (400, 200)
 
-// Series connection
-V1 -> R1
-R1 -> R2
-
-// Parallel connection
-R2 -> R3
-R2 -> R4
-
-// Ground connection
-R3 -> GND
-R4 -> GND`;
+// Series chain into two parallel branches, then to ground
+V1 -> R1 -> R2 -> R3, R4 -> GND`;
             break;
 
         case 'amplifier':
@@ -153,27 +214,28 @@ C2: capacitor 100uF (450, 150)
 GND: ground (400, 250)
 
 // Input coupling
-C1 -> R2
+C1 -> Q1.B
 
 // Bias network
 VCC -> R1
-R1 -> Q1
+R1 -> Q1.B
+Q1.B -> R2
 R2 -> GND
 
 // Collector circuit
 VCC -> R3
-R3 -> Q1
+R3 -> Q1.C
 
 // Output coupling
-Q1 -> C2
+Q1.C -> C2
 
 // Ground reference
-Q1 -> GND`;
+Q1.E -> GND`;
             break;
 
         case 'filter':
             code = `// RC Low-Pass Filter
-VIN: battery 5V (50, 100)
+VIN: battery 5V wave=pulse period=10ms (50, 100)
 R1: resistor 10k (150, 100)
 C1: capacitor 100nF (250, 100)
 R2: resistor 10k (350, 100) // Load
@@ -198,12 +260,9 @@ LED1: led red (400, 150)
 GND1: ground (500, 150)
 
 // Arduino Digital Pin 13 -> Resistor -> LED -> Ground
-ARDUINO1 -> R1
-R1 -> LED1
-LED1 -> GND1
-
-// Note: Connect ARDUINO1 pin 13 to R1
-// Connect LED1 cathode to GND1`;
+ARDUINO1.D13 -> R1.1
+R1.2 -> LED1.A
+LED1.K -> GND1.GND`;
             break;
 
         case 'arduino_sensor':
@@ -215,13 +274,13 @@ GND1: ground (200, 200)
 VCC1: battery 5V (100, 200)
 
 // Power connections
-VCC1 -> DHT1
-DHT1 -> R1
-R1 -> GND1
+VCC1 -> DHT1.VCC
+DHT1.DATA -> R1
+R1 -> VCC1.POS
 
 // Data connection
-ARDUINO1 -> DHT1
-DHT1 -> GND1
+ARDUINO1.D2 -> DHT1.DATA
+DHT1.GND -> GND1
 
 // Note: 
 // DHT1 VCC to 5V
@@ -230,39 +289,51 @@ DHT1 -> GND1
             break;
 
         case 'arduino_motor':
-            code = `// Arduino DC Motor Control with L298N Driver
+            code = `// Arduino DC Motor Control with a Transistor H-Bridge
 ARDUINO1: arduino_uno (50, 100)
-M1: dc_motor (400, 100)
-Q1: npn (200, 150)
-Q2: npn (200, 250)
-D1: led red (250, 150) // Direction indicator
-D2: led green (250, 250) // Direction indicator
-R1: resistor 1k (150, 150)
-R2: resistor 1k (150, 250)
-GND1: ground (300, 350)
-VCC1: battery 9V (100, 350) // Motor power
-VCC2: battery 5V (50, 350) // Arduino power
-
-// Arduino control connections
-ARDUINO1 -> R1
-R1 -> Q1
-ARDUINO1 -> R2
-R2 -> Q2
-
-// Motor driver connections
-VCC1 -> M1
-M1 -> Q1
-M1 -> Q2
-
-// Direction indicators
-Q1 -> D1
-Q2 -> D2
-
-// Ground connections
-Q1 -> GND1
-Q2 -> GND1
-D1 -> GND1
-D2 -> GND1`;
+M1: dc_motor (450, 200)
+Q1: pnp (350, 100) // High side, left
+Q2: pnp (550, 100) // High side, right
+Q3: npn (350, 300) // Low side, left
+Q4: npn (550, 300) // Low side, right
+D1: diode 1N4007 (300, 150) // Flyback diodes
+D2: diode 1N4007 (300, 250)
+D3: diode 1N4007 (600, 150)
+D4: diode 1N4007 (600, 250)
+R1: resistor 1k (200, 150)
+R2: resistor 1k (200, 250)
+GND1: ground (450, 400)
+VCC1: battery 5V (450, 20) // Motor power, at the logic level so the PNPs switch off
+
+// Each Arduino pin drives one half-bridge: HIGH pulls its motor lead low, LOW pulls it high
+ARDUINO1.D5 -> R1.1
+R1.2 -> Q1.B
+R1.2 -> Q3.B
+ARDUINO1.D6 -> R2.1
+R2.2 -> Q2.B
+R2.2 -> Q4.B
+
+// Bridge
+VCC1.POS -> Q1.E
+VCC1.POS -> Q2.E
+Q1.C -> M1.1
+Q3.C -> M1.1
+Q2.C -> M1.2
+Q4.C -> M1.2
+Q3.E -> GND1
+Q4.E -> GND1
+VCC1.NEG -> GND1
+ARDUINO1.GND -> GND1
+
+// Flyback diodes return the motor current to the rails when the bridge switches
+M1.1 -> D1.A
+D1.K -> VCC1.POS
+GND1 -> D2.A
+D2.K -> M1.1
+M1.2 -> D3.A
+D3.K -> VCC1.POS
+GND1 -> D4.A
+D4.K -> M1.2`;
             break;
 
         case 'esp32_cam_project':
@@ -271,23 +342,24 @@ CAM1: esp32_cam (100, 100)
 PIR1: pir (300, 100)
 LED1: led red (400, 150) // Status indicator
 BUZZ1: buzzer (300, 200)
+R1: resistor 220 (350, 150)
 GND1: ground (500, 250)
 VCC1: battery 5V (50, 250)
 VCC2: battery 3.3V (50, 200)
 
 // Power connections
-VCC1 -> CAM1
-VCC2 -> PIR1
-CAM1 -> GND1
-PIR1 -> GND1
+VCC1 -> CAM1.5V
+VCC1 -> PIR1.VCC
+VCC2 -> CAM1.3V3
+CAM1.GND -> GND1
+PIR1.GND -> GND1
 LED1 -> GND1
 BUZZ1 -> GND1
 
 // Signal connections
-CAM1 -> PIR1  // Motion detection input
-PIR1 -> CAM1  // Digital output to ESP32
-CAM1 -> LED1  // Status indicator
-CAM1 -> BUZZ1 // Alarm output
+PIR1.OUT -> CAM1.GPIO13     // Motion detection input
+CAM1.GPIO12 -> R1 -> LED1  // Status indicator
+CAM1.GPIO14 -> BUZZ1        // Alarm output
 
 // Virtual environment for simulation
 WALL1: virtual_wall (250, 300)
@@ -317,31 +389,33 @@ VCC1: battery 5V (50, 300)
 VCC2: battery 9V (150, 300) // Motor power
 
 // ESP32 and sensors
-VCC1 -> ESP32_1
-VCC1 -> HC1
-ESP32_1 -> GND1
-HC1 -> GND1
+VCC1 -> ESP32_1.VIN
+VCC1 -> HC1.VCC
+ESP32_1.GND -> GND1
+HC1.GND -> GND1
 
 // Ultrasonic connections
-ESP32_1 -> HC1  // Trigger pin
-ESP32_1 -> HC1  // Echo pin
+ESP32_1.GPIO5 -> HC1.TRIG
+HC1.ECHO -> ESP32_1.GPIO18
 
 // Motor control
-ESP32_1 -> R1
-R1 -> Q1
-ESP32_1 -> R2
-R2 -> Q2
+ESP32_1.GPIO25 -> R1
+R1 -> Q1.B
+ESP32_1.GPIO26 -> R2
+R2 -> Q2.B
 
 // Motor power connections
 VCC2 -> M1
 VCC2 -> M2
-M1 -> Q1
-M2 -> Q2
-Q1 -> GND1
-Q2 -> GND1
+M1 -> Q1.C
+M2 -> Q2.C
+Q1.E -> GND1
+Q2.E -> GND1
 
 // Servo control
-ESP32_1 -> SERVO1
+VCC1 -> SERVO1.VCC
+SERVO1.GND -> GND1
+ESP32_1.GPIO27 -> SERVO1.SIG
 
 // Virtual obstacles for simulation
 OBJ1: virtual_obstacle (200, 250)
@@ -366,39 +440,50 @@ SERVO1: servo SG90 (350, 100) // Window blind control
 RELAY1: relay 5V (350, 150) // Fan control
 LCD1: lcd 16x2 (200, 250) // Status display
 POT1: potentiometer 10k (50, 200) // Manual control
-GND1: ground (450, 300)
+R1: resistor 10k (120, 120)
 VCC1: battery 5V (50, 300)
 
+// Power rails
+net VCC5
+net GND
+
 // Power distribution
-VCC1 -> ARDUINO1
-VCC1 -> DHT1
-VCC1 -> LDR1
-VCC1 -> PIR1
-VCC1 -> LCD1
-VCC1 -> POT1
+VCC1.POS ~ VCC5
+VCC1.NEG ~ GND
+ARDUINO1.5V ~ VCC5
+DHT1.VCC ~ VCC5
+LDR1.1 ~ VCC5
+PIR1.VCC ~ VCC5
+LCD1.VDD ~ VCC5
+POT1.1 ~ VCC5
+SERVO1.VCC ~ VCC5
+RELAY1.VCC ~ VCC5
 
 // Common ground
-ARDUINO1 -> GND1
-DHT1 -> GND1
-LDR1 -> GND1
-PIR1 -> GND1
-LED1 -> GND1
-SERVO1 -> GND1
-RELAY1 -> GND1
-LCD1 -> GND1
-POT1 -> GND1
+ARDUINO1.GND ~ GND
+DHT1.GND ~ GND
+R1.2 ~ GND
+PIR1.GND ~ GND
+LED1.GND ~ GND
+SERVO1.GND ~ GND
+RELAY1.GND ~ GND
+LCD1.VSS ~ GND
+POT1.2 ~ GND
 
 // Sensor inputs to Arduino
-DHT1 -> ARDUINO1  // Temperature/Humidity data
-LDR1 -> ARDUINO1  // Light level
-PIR1 -> ARDUINO1  // Motion detection
-POT1 -> ARDUINO1  // Manual override
+DHT1.DATA -> ARDUINO1.D2
+LDR1.2, R1.1 -> ARDUINO1.A0
+PIR1.OUT -> ARDUINO1.D3
+POT1.W -> ARDUINO1.A1
 
 // Arduino outputs to actuators
-ARDUINO1 -> LED1  // RGB lighting control
-ARDUINO1 -> SERVO1 // Blind position control
-ARDUINO1 -> RELAY1 // Fan on/off control
-ARDUINO1 -> LCD1  // Status display
+ARDUINO1.D9 -> LED1.R
+ARDUINO1.D10 -> LED1.G
+ARDUINO1.D11 -> LED1.B
+ARDUINO1.D6 -> SERVO1.SIG
+ARDUINO1.D7 -> RELAY1.IN
+ARDUINO1.D12 -> LCD1.RS
+ARDUINO1.D13 -> LCD1.E
 
 // Virtual environment
 LIGHT1: virtual_light (100, 250) // Simulated sunlight
@@ -423,52 +508,7 @@ WALL1: virtual_wall (300, 320) // Room wall
 
 // Insert component code at cursor position
 function insertComponent(componentType) {
-    const componentCodes = {
-        resistor: 'R1: resistor 1k',
-        capacitor: 'C1: capacitor 100uF',
-        inductor: 'L1: inductor 10mH',
-        led: 'LED1: led red',
-        battery: 'V1: battery 9V',
-        ground: 'GND1: ground',
-        switch: 'SW1: switch',
-        transistor: 'Q1: npn',
-        // Arduino Boards
-        arduino_uno: 'ARDUINO1: arduino_uno',
-        arduino_nano: 'NANO1: arduino_nano',
-        arduino_mega: 'MEGA1: arduino_mega',
-        esp32: 'ESP32_1: esp32',
-        esp32_cam: 'CAM1: esp32_cam',
-        esp8266: 'ESP1: esp8266',
-        // Sensors
-        ultrasonic: 'HC1: ultrasonic HC-SR04',
-        dht11: 'DHT1: dht11',
-        dht22: 'DHT2: dht22',
-        pir: 'PIR1: pir',
-        ir_sensor: 'IR1: ir_sensor',
-        accelerometer: 'ACC1: accelerometer MPU6050',
-        gyro: 'GYRO1: gyro MPU6050',
-        ldr: 'LDR1: ldr',
-        // Actuators
-        servo: 'SERVO1: servo SG90',
-        dc_motor: 'M1: dc_motor',
-        stepper: 'STEP1: stepper 28BYJ48',
-        relay: 'RELAY1: relay 5V',
-        buzzer: 'BUZZ1: buzzer',
-        rgb_led: 'RGB1: rgb_led',
-        // Display & Input
-        lcd: 'LCD1: lcd 16x2',
-        oled: 'OLED1: oled 128x64',
-        '7segment': 'SEG1: 7segment',
-        potentiometer: 'POT1: potentiometer 10k',
-        pushbutton: 'BTN1: pushbutton',
-        // Virtual Objects
-        virtual_wall: 'WALL1: virtual_wall',
-        virtual_obstacle: 'OBJ1: virtual_obstacle',
-        virtual_target: 'TARGET1: virtual_target',
-        virtual_light: 'LIGHT1: virtual_light'
-    };
-
-    const code = componentCodes[componentType] || componentType;
+    const code = getSymbolSnippet(componentType);
     const cursor = editor.getCursor();
     
     editor.replaceRange('\n' + code + '\n', cursor);
@@ -489,6 +529,7 @@ function clearEditor() {
                 Your circuit diagram will appear here
             </text>
         `;
+        showDiagnostics([]);
     }
 }
 
@@ -512,6 +553,44 @@ function exportPNG() {
     }
 }
 
+// Lay out every part again and write the new positions into the code.
+// Parts declared by a range or loop share a line and keep being placed automatically.
+function relayoutCircuit() {
+    const code = editor.getValue();
+    if (!code.trim()) {
+        showMessage('Please enter circuit code', 'error');
+        return;
+    }
+
+    const netlist = circuitEngine.parseCircuitCode(code);
+    const moved = circuitEngine.parser.layoutEngine.layout(netlist, { all: true });
+    const perLine = new Map();
+    netlist.components.forEach(c => {
+        if (c.source) perLine.set(c.source.line, (perLine.get(c.source.line) || 0) + 1);
+    });
+
+    const edits = moved
+        .filter(c => c.source && perLine.get(c.source.line) === 1)
+        .map(c => {
+            const position = `(${Math.round(c.x)}, ${Math.round(c.y)})`;
+            const range = c.positionRange || { line: c.source.line, column: c.source.endColumn, endColumn: c.source.endColumn };
+            return { range, text: c.positionRange ? position : ` ${position}` };
+        })
+        .sort((a, b) => b.range.line - a.range.line || b.range.column - a.range.column);
+
+    editor.operation(() => {
+        edits.forEach(({ range, text }) => {
+            editor.replaceRange(text, { line: range.line - 1, ch: range.column - 1 }, { line: range.line - 1, ch: range.endColumn - 1 });
+        });
+    });
+
+    // A failed redraw, or one with errors, has already said why
+    const drawn = generateCircuit();
+    if (drawn && !drawn.diagnostics.some(d => d.severity === 'error')) {
+        showMessage(`Re-laid out ${moved.length} component${moved.length === 1 ? '' : 's'}`, 'success');
+    }
+}
+
 // Zoom functions
 function zoomIn() {
     circuitEngine.zoomIn();
@@ -563,73 +642,44 @@ document.addEventListener('keydown', function(e) {
     }
 });
 
-// Circuit code validation and syntax highlighting
+// Circuit code validation: every error, warning and hint with its line and column
 function validateCircuitCode(code) {
-    const errors = [];
-    const lines = code.split('\n');
-    const componentNames = new Set();
-    const connections = [];
-
-    lines.forEach((line, index) => {
-        const trimmed = line.trim();
-        
-        // Skip empty lines and comments
-        if (!trimmed || trimmed.startsWith('//')) return;
-
-        // Component syntax validation
-        const componentMatch = trimmed.match(/^(\w+):\s*(\w+)(?:\s+([\w.]+))?(?:\s+\((\d+),\s*(\d+)\))?$/);
-        if (componentMatch) {
-            const [, name, type, value, x, y] = componentMatch;
-            
-            // Check for duplicate component names
-            if (componentNames.has(name)) {
-                errors.push(`Line ${index + 1}: Duplicate component name '${name}'`);
-            }
-            componentNames.add(name);
-            
-            // Validate component type
-            const validTypes = [
-                'resistor', 'capacitor', 'inductor', 'led', 'battery', 'ground', 'switch', 'npn', 'transistor',
-                // Arduino Boards
-                'arduino_uno', 'arduino_nano', 'arduino_mega', 'esp32', 'esp32_cam', 'esp8266',
-                // Sensors
-                'ultrasonic', 'dht11', 'dht22', 'pir', 'ir_sensor', 'accelerometer', 'gyro', 'ldr',
-                // Actuators
-                'servo', 'dc_motor', 'stepper', 'relay', 'buzzer', 'rgb_led',
-                // Display & Input
-                'lcd', 'oled', '7segment', 'potentiometer', 'pushbutton',
-                // Virtual Objects
-                'virtual_wall', 'virtual_obstacle', 'virtual_target', 'virtual_light'
-            ];
-            if (!validTypes.includes(type.toLowerCase())) {
-                errors.push(`Line ${index + 1}: Unknown component type '${type}'`);
-            }
-            
-            return;
-        }
-
-        // Connection syntax validation
-        const connectionMatch = trimmed.match(/^(\w+)\s*->\s*(\w+)$/);
-        if (connectionMatch) {
-            const [, from, to] = connectionMatch;
-            connections.push({ from, to, line: index + 1 });
-            return;
-        }
+    return circuitDiagnostics(circuitEngine.parseCircuitCode(code));
+}
 
-        errors.push(`Line ${index + 1}: Invalid syntax`);
-    });
+// Problems in a parsed circuit: the parser's, and parts powered or driven at voltages they do not take
+function circuitDiagnostics(netlist) {
+    const diagnostics = new DiagnosticList();
+    diagnostics.items.push(...netlist.diagnostics, ...new ElectricalRulesChecker(netlist).checkLevels());
+    return diagnostics.sorted();
+}
 
-    // Check if connections reference valid components
-    connections.forEach(conn => {
-        if (!componentNames.has(conn.from)) {
-            errors.push(`Line ${conn.line}: Component '${conn.from}' not found`);
-        }
-        if (!componentNames.has(conn.to)) {
-            errors.push(`Line ${conn.line}: Component '${conn.to}' not found`);
+// List diagnostics below the editor; clicking one moves the cursor to it
+function showDiagnostics(diagnostics) {
+    const panel = document.getElementById('diagnostics-panel');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    panel.classList.toggle('hidden', diagnostics.length === 0);
+
+    diagnostics.forEach(diagnostic => {
+        const item = document.createElement('div');
+        item.className = `diagnostic ${diagnostic.severity}`;
+        item.textContent = DiagnosticList.format(diagnostic);
+        item.title = diagnostic.code;
+
+        if (diagnostic.line) {
+            item.addEventListener('click', () => {
+                editor.focus();
+                editor.setSelection(
+                    { line: diagnostic.line - 1, ch: diagnostic.column - 1 },
+                    { line: diagnostic.line - 1, ch: diagnostic.endColumn - 1 }
+                );
+            });
         }
-    });
 
-    return errors;
+        panel.appendChild(item);
+    });
 }
 
 // Advanced circuit templates
@@ -646,8 +696,8 @@ GND: ground (200, 200)
 VCC -> R1
 R1 -> R2
 R2 -> C1
-C1 -> Q1
-Q1 -> C2
+C1 -> Q1.B
+Q1.C -> C2
 C2 -> GND`,
 
     voltageDivider: `// Voltage Divider
@@ -663,23 +713,27 @@ R2 -> R3
 R3 -> GND`,
 
     rectifier: `// Full Wave Bridge Rectifier
-AC1: battery 12V (50, 100)
-D1: led red (150, 50)
-D2: led red (150, 150)
-D3: led red (250, 50)
-D4: led red (250, 150)
+AC1: ac_source 12V freq=50Hz (50, 100)
+D1: diode 1N4007 (150, 50)
+D2: diode 1N4007 (150, 150)
+D3: diode 1N4007 (250, 50)
+D4: diode 1N4007 (250, 150)
 C1: capacitor 1000uF (350, 100)
 R1: resistor 1k (450, 100)
 GND: ground (400, 200)
 
-AC1 -> D1
-AC1 -> D2
-D1 -> D3
-D2 -> D4
-D3 -> C1
-D4 -> C1
-C1 -> R1
-R1 -> GND`,
+// Each half cycle one diode feeds the + rail and its opposite returns from the - rail
+AC1.POS -> D1.A
+D3.K -> AC1.POS
+AC1.NEG -> D2.A
+D4.K -> AC1.NEG
+D1.K -> C1.1
+D2.K -> C1.1
+C1.1 -> R1.1
+D3.A -> GND
+D4.A -> GND
+C1.2 -> GND
+R1.2 -> GND`,
 
     // Arduino Templates
     arduino_ultrasonic: `// Arduino Ultrasonic Distance Sensor
@@ -689,18 +743,12 @@ GND1: ground (400, 200)
 VCC1: battery 5V (100, 200)
 
 // Power connections
-VCC1 -> HC1
-HC1 -> GND1
+VCC1.POS -> HC1.VCC
+HC1.GND -> GND1.GND
 
 // Arduino connections
-ARDUINO1 -> HC1  // Trigger pin
-ARDUINO1 -> HC1  // Echo pin
-
-// Note:
-// HC-SR04 VCC to 5V
-// HC-SR04 GND to ground
-// HC-SR04 Trig to Arduino pin 9
-// HC-SR04 Echo to Arduino pin 10`,
+ARDUINO1.D9 -> HC1.TRIG
+HC1.ECHO -> ARDUINO1.D10`,
 
     arduino_servo: `// Arduino Servo Motor Control
 ARDUINO1: arduino_uno (100, 100)
@@ -709,11 +757,11 @@ GND1: ground (400, 200)
 VCC1: battery 5V (100, 200)
 
 // Power connections
-VCC1 -> SERVO1
-SERVO1 -> GND1
+VCC1 -> SERVO1.VCC
+SERVO1.GND -> GND1
 
 // Control signal
-ARDUINO1 -> SERVO1
+ARDUINO1.D9 -> SERVO1.SIG
 
 // Note:
 // Servo VCC to 5V
@@ -728,14 +776,16 @@ GND1: ground (50, 250)
 VCC1: battery 5V (50, 150)
 
 // Power connections
-VCC1 -> LCD1
-LCD1 -> GND1
-VCC1 -> POT1
-POT1 -> GND1
+VCC1 -> LCD1.VDD
+LCD1.VSS -> GND1
+LCD1.RW -> GND1
+VCC1 -> POT1.1
+POT1.2 -> GND1
 
 // LCD connections
-ARDUINO1 -> LCD1
-POT1 -> LCD1
+ARDUINO1.D12 -> LCD1.RS
+ARDUINO1.D11 -> LCD1.E
+POT1.W -> LCD1.V0
 
 // Note:
 // LCD RS to Arduino pin 12
@@ -755,14 +805,15 @@ VCC1: battery 5V (100, 200)
 VCC2: battery 12V (450, 100) // External power
 
 // Arduino control
-ARDUINO1 -> R1
-R1 -> Q1
+ARDUINO1.D7 -> R1
+R1 -> Q1.B
 
 // Relay circuit
-VCC1 -> RELAY1
-RELAY1 -> Q1
-Q1 -> D1
-Q1 -> GND1
+VCC1 -> RELAY1.VCC
+VCC1 -> RELAY1.IN
+RELAY1.GND -> Q1.C
+Q1.C -> D1
+Q1.E -> GND1
 
 // External circuit
 VCC2 -> D2
@@ -779,22 +830,22 @@ R1: resistor 220 (200, 80) // Red current limit
 R2: resistor 220 (200, 100) // Green current limit
 R3: resistor 220 (200, 120) // Blue current limit
 GND1: ground (400, 200)
-VCC1: battery 5V (100, 200)
+VCC1: battery 9V (100, 200)
 
 // Power
-VCC1 -> RGB1
+VCC1 -> ARDUINO1.VIN
 
 // Arduino PWM control
-ARDUINO1 -> R1
-ARDUINO1 -> R2
-ARDUINO1 -> R3
+ARDUINO1.D9 -> R1
+ARDUINO1.D10 -> R2
+ARDUINO1.D11 -> R3
 
 // Current limiting resistors
-R1 -> RGB1  // Red
-R2 -> RGB1  // Green
-R3 -> RGB1  // Blue
+R1 -> RGB1.R  // Red
+R2 -> RGB1.G  // Green
+R3 -> RGB1.B  // Blue
 
-RGB1 -> GND1
+RGB1.GND -> GND1
 
 // Note:
 // Red via Arduino pin 9 (PWM)
@@ -816,31 +867,307 @@ function loadAdvancedTemplate(templateName) {
 // Circuit analysis utilities
 function analyzeCircuit() {
     const code = editor.getValue();
-    const errors = validateCircuitCode(code);
+    const netlist = circuitEngine.parseCircuitCode(code);
+    const errors = netlist.diagnostics.filter(d => d.severity === 'error');
+    showDiagnostics(netlist.diagnostics);
     
     if (errors.length > 0) {
-        showMessage('Circuit validation found issues:\n' + errors.join('\n'), 'error');
+        showMessage('Circuit validation found issues:\n' + errors.map(DiagnosticList.format).join('\n'), 'error');
         return false;
     }
     
-    const { components, connections } = circuitEngine.parseCircuitCode(code);
-    
-    // Simple circuit analysis
+    // Simple circuit analysis over the flattened parts (subcircuit instances are replaced by what they contain)
+    const parts = netlist.getLeafComponents();
     const analysis = {
-        components: components.length,
-        connections: connections.length,
-        types: {}
+        components: parts.length,
+        connections: netlist.connections.length,
+        nets: netlist.nets.length,
+        types: {},
+        values: {},
+        unconnected: []
     };
     
-    components.forEach(comp => {
+    parts.forEach(comp => {
         analysis.types[comp.type] = (analysis.types[comp.type] || 0) + 1;
+        if (comp.numericValue !== null && comp.unit) {
+            analysis.values[comp.name] = { value: comp.numericValue, unit: comp.unit, tolerance: comp.properties.tol };
+        }
     });
+
+    // Components that share no net with anything else
+    analysis.unconnected = parts
+        .filter(comp => !comp.type.startsWith('virtual_') && netlist.getNeighbors(comp.name).length === 0)
+        .map(comp => comp.name);
     
-    showMessage(`Circuit Analysis:\n${analysis.components} components, ${analysis.connections} connections\nComponents by type: ${JSON.stringify(analysis.types)}`, 'success');
+    let summary = `Circuit Analysis:\n${analysis.components} components, ${analysis.connections} connections, ${analysis.nets} nets\nComponents by type: ${JSON.stringify(analysis.types)}`;
+    const values = Object.entries(analysis.values).map(([name, v]) => {
+        const tolerance = v.tolerance !== undefined ? ` ±${parseFloat((v.tolerance * 100).toPrecision(6))}%` : '';
+        return `${name} = ${formatEngineeringValue(v.value, v.unit)}${tolerance}`;
+    });
+    if (values.length > 0) {
+        summary += `\nValues: ${values.join(', ')}`;
+    }
+    if (netlist.params.size > 0) {
+        const params = [...netlist.params].map(([name, p]) => `${name} = ${formatEngineeringValue(p.value, p.unit, 6)}`);
+        summary += `\nParameters: ${params.join(', ')}`;
+    }
+    if (analysis.unconnected.length > 0) {
+        summary += `\nUnconnected: ${analysis.unconnected.join(', ')}`;
+    }
+
+    // DC operating point of the parts with a circuit model, listed in the Analysis tab and drawn on the diagram
+    const operatingPoint = new CircuitSolver(netlist).solveOperatingPoint();
+    analysis.operatingPoint = operatingPoint;
+    showDiagnostics([...netlist.diagnostics, ...operatingPoint.diagnostics]);
+    circuitEngine.generateCircuit(netlist);
+    circuitEngine.drawOperatingPoint(netlist, operatingPoint);
+    showOperatingPoint(operatingPoint);
+
+    const solverError = operatingPoint.diagnostics.find(d => d.severity === 'error');
+    summary += solverError
+        ? `\nDC operating point: ${solverError.message}`
+        : `\nDC operating point: ${operatingPoint.nodes.length} nodes solved (see the Analysis tab)`;
+    showMessage(summary, solverError ? 'error' : 'success');
     
     return analysis;
 }
 
+// List the node voltages and part currents of a DC operating point in the Analysis tab
+function showOperatingPoint(result) {
+    const panel = document.getElementById('analysis-content');
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    const addNote = text => {
+        const note = document.createElement('p');
+        note.className = 'analysis-note';
+        note.textContent = text;
+        panel.appendChild(note);
+    };
+    const addTable = (headings, rows) => {
+        const table = document.createElement('table');
+        table.className = 'analysis-table';
+        [headings, ...rows].forEach((cells, index) => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        panel.appendChild(table);
+    };
+
+    if (result.converged) {
+        addTable(['Net', 'Voltage'], result.nodes.map(node => [node.name, formatEngineeringValue(node.voltage, 'V')]));
+
+        // Two-pin parts show the current from their first pin to the second; others the current into each pin
+        addTable(['Part', 'Current', 'Power'], Object.entries(result.currents).map(([name, pins]) => {
+            const entries = Object.entries(pins);
+            const current = entries.length === 2
+                ? formatEngineeringValue(entries[0][1], 'A')
+                : entries.map(([pin, amps]) => `${pin} ${formatEngineeringValue(amps, 'A')}`).join(', ');
+            return [name, current, formatEngineeringValue(result.power[name], 'W')];
+        }));
+    }
+    result.diagnostics.forEach(diagnostic => addNote(DiagnosticList.format(diagnostic)));
+    if (result.unmodelled.length > 0) {
+        addNote(`Not part of the analysis (no circuit model): ${result.unmodelled.join(', ')}`);
+    }
+
+    switchOutputTab('analysis');
+}
+
+// Plot of the last transient analysis, created on first use
+let waveformPlot;
+
+// Transient analysis from 0 to the stop time given in the Waveforms tab, plotted there
+function runTransient() {
+    const stopText = document.getElementById('transient-stop').value.trim();
+    const stop = parseEngineeringValue(stopText);
+    if (!stop || stop.value <= 0 || (stop.unit && stop.unit !== 's')) {
+        showMessage(`Stop time '${stopText}' is not a time such as 10ms`, 'error');
+        return null;
+    }
+
+    const netlist = circuitEngine.parseCircuitCode(editor.getValue());
+    const errors = netlist.diagnostics.filter(d => d.severity === 'error');
+    if (errors.length > 0) {
+        showDiagnostics(netlist.diagnostics);
+        showMessage('Circuit validation found issues:\n' + errors.map(DiagnosticList.format).join('\n'), 'error');
+        return null;
+    }
+
+    const method = document.getElementById('transient-method').value;
+    const result = new CircuitSolver(netlist).solveTransient({ stop: stop.value, method });
+    showDiagnostics([...netlist.diagnostics, ...result.diagnostics]);
+
+    if (!waveformPlot) {
+        waveformPlot = new WaveformPlot(document.getElementById('waveform-plot'), document.getElementById('waveform-legend'));
+    }
+    waveformPlot.show(result);
+    switchOutputTab('waveform');
+
+    const solverError = result.diagnostics.find(d => d.severity === 'error');
+    if (solverError) {
+        showMessage(`Transient analysis: ${solverError.message}`, 'error');
+    } else {
+        const reached = result.times[result.times.length - 1];
+        showMessage(`Transient analysis: ${result.times.length} time points to ${formatEngineeringValue(reached, 's')}`, result.complete ? 'success' : 'info');
+    }
+    return result;
+}
+
+// Plot of the last AC analysis, created on first use
+let bodePlot;
+
+// AC sweep over the range given in the Bode tab, plotted there for the chosen probe node
+function runAcSweep() {
+    const range = ['ac-start', 'ac-stop'].map(id => {
+        const text = document.getElementById(id).value.trim();
+        const parsed = parseEngineeringValue(text);
+        return parsed && parsed.value > 0 && (!parsed.unit || parsed.unit === 'Hz') ? parsed.value : null;
+    });
+    if (range.includes(null) || range[0] >= range[1]) {
+        showMessage('Give the sweep as two frequencies such as 1Hz and 100kHz, the lower first', 'error');
+        return null;
+    }
+
+    const netlist = circuitEngine.parseCircuitCode(editor.getValue());
+    const errors = netlist.diagnostics.filter(d => d.severity === 'error');
+    if (errors.length > 0) {
+        showDiagnostics(netlist.diagnostics);
+        showMessage('Circuit validation found issues:\n' + errors.map(DiagnosticList.format).join('\n'), 'error');
+        return null;
+    }
+
+    const result = new CircuitSolver(netlist).solveAc({ start: range[0], stop: range[1] });
+    showDiagnostics([...netlist.diagnostics, ...result.diagnostics]);
+
+    // Keep the chosen probe when it is still there; otherwise the last node the inputs do not drive directly
+    const select = document.getElementById('ac-probe');
+    const names = result.series.map(series => series.name);
+    const undriven = result.series.filter(series => !series.pins.some(pin => result.inputs.includes(pin.component)));
+    const probe = names.includes(select.value)
+        ? select.value
+        : (undriven.length > 0 ? undriven[undriven.length - 1] : result.series[result.series.length - 1] || {}).name;
+    select.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = probe || '';
+
+    if (!bodePlot) {
+        bodePlot = new BodePlot(document.getElementById('bode-plot'), document.getElementById('bode-readout'));
+    }
+    bodePlot.show(result, probe);
+    switchOutputTab('bode');
+
+    const solverError = result.diagnostics.find(d => d.severity === 'error');
+    if (solverError) {
+        showMessage(`AC analysis: ${solverError.message}`, 'error');
+    } else {
+        showMessage(`AC analysis driven by ${result.inputs.join(', ')}: ${document.getElementById('bode-readout').textContent}`, 'success');
+    }
+    return result;
+}
+
+// Plot another node of the last AC analysis
+function selectBodeProbe(name) {
+    if (bodePlot && bodePlot.result) bodePlot.setProbe(name);
+}
+
+// Electrical rules check: wiring mistakes listed in the Rules tab
+function checkCircuitRules() {
+    const netlist = circuitEngine.parseCircuitCode(editor.getValue());
+    const errors = netlist.diagnostics.filter(d => d.severity === 'error');
+    showDiagnostics(netlist.diagnostics);
+    if (errors.length > 0) {
+        showMessage('Circuit validation found issues:\n' + errors.map(DiagnosticList.format).join('\n'), 'error');
+        return null;
+    }
+
+    circuitEngine.generateCircuit(netlist);
+    const findings = new ElectricalRulesChecker(netlist).check();
+    showRuleFindings(findings);
+    switchOutputTab('erc');
+
+    const count = severity => findings.filter(finding => finding.severity === severity).length;
+    showMessage(findings.length === 0
+        ? 'Rules check passed: no wiring problems found'
+        : `Rules check: ${count('error')} errors, ${count('warning')} warnings (see the Rules tab)`,
+    count('error') > 0 ? 'error' : 'success');
+    return findings;
+}
+
+// List rules check findings; clicking one selects its line and marks its components on the diagram
+function showRuleFindings(findings) {
+    const panel = document.getElementById('erc-content');
+    if (!panel) return;
+    panel.innerHTML = '';
+    circuitEngine.highlightComponents();
+
+    if (findings.length === 0) {
+        const note = document.createElement('p');
+        note.className = 'analysis-note';
+        note.textContent = 'No problems found.';
+        panel.appendChild(note);
+        return;
+    }
+
+    findings.forEach(finding => {
+        const item = document.createElement('div');
+        item.className = `diagnostic ${finding.severity}`;
+        item.textContent = DiagnosticList.format(finding);
+        item.title = finding.code;
+        item.addEventListener('click', () => {
+            circuitEngine.highlightComponents(finding.components);
+            if (!finding.line) return;
+            editor.focus();
+            editor.setSelection(
+                { line: finding.line - 1, ch: finding.column - 1 },
+                { line: finding.line - 1, ch: finding.endColumn - 1 }
+            );
+        });
+        panel.appendChild(item);
+    });
+}
+
+// Save the samples of the last transient analysis as a CSV file
+function exportWaveformCsv() {
+    if (!waveformPlot || !waveformPlot.result) {
+        showMessage('Run a transient analysis first', 'error');
+        return;
+    }
+
+    const blob = new Blob([waveformPlot.toCsv()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'waveforms.csv';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Re-parse the circuit once per value of a parameter, e.g. sweepParameter('RLOAD', ['1k', '4k7', '10k'])
+function sweepParameter(name, values) {
+    const code = editor.getValue();
+    return values.map(value => ({
+        value,
+        netlist: circuitEngine.parseCircuitCode(code, { params: { [name]: value } })
+    }));
+}
+
 // Add circuit analysis to global scope
+window.sweepParameter = sweepParameter;
 window.analyzeCircuit = analyzeCircuit;
+window.runTransient = runTransient;
+window.runAcSweep = runAcSweep;
+window.selectBodeProbe = selectBodeProbe;
+window.checkCircuitRules = checkCircuitRules;
+window.exportWaveformCsv = exportWaveformCsv;
 window.loadAdvancedTemplate = loadAdvancedTemplate;
\ No newline at end of file
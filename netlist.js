@@ -0,0 +1,392 @@
+// Circuit Netlist Model
+// Shared description of components, pins and nets consumed by the renderer, simulator and analysis
+
+// Build a numbered pin list, e.g. pinRange('D', 0, 3) -> ['D0', 'D1', 'D2', 'D3']
+function pinRange(prefix, start, end) {
+    const pins = [];
+    for (let i = start; i <= end; i++) {
+        pins.push(prefix + i);
+    }
+    return pins;
+}
+
+// Named pins for each component type, used by pin-level connections (COMP.PIN)
+const COMPONENT_PINS = {
+    resistor: ['1', '2'],
+    capacitor: ['1', '2'],
+    inductor: ['1', '2'],
+    led: ['A', 'K'],
+    battery: ['POS', 'NEG'],
+    ground: ['GND'],
+    switch: ['1', '2'],
+    npn: ['B', 'C', 'E'],
+    transistor: ['B', 'C', 'E'],
+    // Arduino Boards
+    arduino_uno: [...pinRange('D', 0, 13), ...pinRange('A', 0, 5), '5V', '3V3', 'GND', 'VIN', 'AREF', 'RESET', 'IOREF'],
+    arduino_nano: [...pinRange('D', 0, 13), ...pinRange('A', 0, 7), '5V', '3V3', 'GND', 'VIN', 'AREF', 'RESET'],
+    arduino_mega: [...pinRange('D', 0, 53), ...pinRange('A', 0, 15), '5V', '3V3', 'GND', 'VIN', 'AREF', 'RESET', 'IOREF'],
+    esp32: ['GPIO0', 'GPIO2', 'GPIO4', 'GPIO5', ...pinRange('GPIO', 12, 19), 'GPIO21', 'GPIO22', 'GPIO23',
+        'GPIO25', 'GPIO26', 'GPIO27', ...pinRange('GPIO', 32, 39), '3V3', 'GND', 'VIN', 'EN'],
+    esp32_cam: ['GPIO0', 'GPIO1', 'GPIO2', 'GPIO3', 'GPIO4', ...pinRange('GPIO', 12, 16), '5V', '3V3', 'GND'],
+    esp8266: [...pinRange('D', 0, 8), 'A0', 'RX', 'TX', '3V3', 'GND', 'VIN', 'EN', 'RST'],
+    // Sensors
+    ultrasonic: ['VCC', 'TRIG', 'ECHO', 'GND'],
+    dht11: ['VCC', 'DATA', 'NC', 'GND'],
+    dht22: ['VCC', 'DATA', 'NC', 'GND'],
+    pir: ['VCC', 'OUT', 'GND'],
+    ir_sensor: ['VCC', 'OUT', 'GND'],
+    accelerometer: ['VCC', 'GND', 'SCL', 'SDA', 'XDA', 'XCL', 'AD0', 'INT'],
+    gyro: ['VCC', 'GND', 'SCL', 'SDA', 'XDA', 'XCL', 'AD0', 'INT'],
+    ldr: ['1', '2'],
+    // Actuators
+    servo: ['VCC', 'GND', 'SIG'],
+    dc_motor: ['1', '2'],
+    stepper: ['IN1', 'IN2', 'IN3', 'IN4', 'VCC', 'GND'],
+    relay: ['VCC', 'GND', 'IN', 'COM', 'NO', 'NC'],
+    buzzer: ['POS', 'NEG'],
+    rgb_led: ['R', 'G', 'B', 'GND'],
+    // Display & Input
+    lcd: ['VSS', 'VDD', 'V0', 'RS', 'RW', 'E', ...pinRange('D', 0, 7), 'A', 'K'],
+    oled: ['GND', 'VCC', 'SCL', 'SDA'],
+    '7segment': ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'DP', 'COM'],
+    potentiometer: ['1', 'W', '2'],
+    pushbutton: ['1', '2'],
+    // Virtual Objects have no electrical pins
+    virtual_wall: [],
+    virtual_obstacle: [],
+    virtual_target: [],
+    virtual_light: []
+};
+
+// Pin a connection written without one stands for: the second pin of a two-pin part where the wire leaves
+// it and the first where it arrives (the other way round for a source), a one-pin part's pin, or null
+function defaultConnectionPin(netlist, name, leaving) {
+    const component = netlist.getComponent(name);
+    const pins = component ? netlist.getPinsOf(component) || [] : [];
+    if (pins.length === 1) return pins[0];
+    if (pins.length !== 2) return null;
+
+    const source = (getComponentPin(component, pins[0]) || {}).type === 'power-out';
+    return leaving === source ? pins[0] : pins[1];
+}
+
+// Microcontroller boards that drive the rest of a circuit
+const BOARD_TYPES = ['arduino_uno', 'arduino_nano', 'arduino_mega', 'esp32', 'esp32_cam', 'esp8266'];
+
+class Netlist {
+    constructor() {
+        this.components = [];
+        this.connections = [];
+        this.nets = [];
+        this.declaredNets = [];
+        this.netAttachments = [];
+        this.netSources = new Map();
+        this.componentsByName = new Map();
+        this.netsByName = new Map();
+        this.netsByPin = new Map();
+        this.subcircuits = new Map();
+        this.params = new Map();
+        this.diagnostics = [];
+    }
+
+    // Get the named pins of a component type (null when the type declares none)
+    static getPinNames(type) {
+        return COMPONENT_PINS[type] || null;
+    }
+
+    // Resolve a pin name for a component type, ignoring case
+    static resolvePin(type, pin) {
+        const pins = Netlist.getPinNames(type);
+        if (!pins) return null;
+        return pins.find(p => p.toLowerCase() === pin.toLowerCase()) || null;
+    }
+
+    // Add a component; its pins come from the type's pin declaration and its value is read as a quantity.
+    // Subcircuit instances pass their ports as pins; parts inside an instance name it as their parent.
+    // rotation is 0, 90, 180 or 270 degrees clockwise; flip is '', 'x', 'y' or 'xy'.
+    // positioning says where x and y came from: 'auto' (layout), 'fixed' (written (x, y)), 'relative' (right-of ...)
+    // or 'parent' (inside a subcircuit); positionRange is the written (x, y), if any.
+    // layout is the { size, pins } of a symbol generated for this component alone, such as an ic.
+    addComponent({ name, type, value = '', x, y, rotation = 0, flip = '', positioning = 'auto', positionRange = null, pins = null, layout = null, properties = {}, subcircuit = null, parent = null, source = null }) {
+        const { numericValue, unit, displayValue } = resolveComponentValue(type, value);
+        const component = {
+            name,
+            type,
+            value,
+            numericValue,
+            unit,
+            displayValue,
+            x,
+            y,
+            rotation,
+            flip,
+            positioning,
+            positionRange,
+            pins: pins || COMPONENT_PINS[type] || [],
+            layout,
+            properties,
+            subcircuit,
+            parent,
+            source
+        };
+
+        this.components.push(component);
+        if (!this.componentsByName.has(name)) {
+            this.componentsByName.set(name, component);
+        }
+        return component;
+    }
+
+    // Add a wire between two components (pins are optional)
+    addConnection({ from, fromPin = null, to, toPin = null, directed = true, source = null }) {
+        const connection = { from, fromPin, to, toPin, directed, source };
+        this.connections.push(connection);
+        return connection;
+    }
+
+    // Declare a named net
+    declareNet(name, source = null) {
+        if (!this.declaredNets.includes(name)) {
+            this.declaredNets.push(name);
+            this.netSources.set(name, source);
+        }
+    }
+
+    // Attach a component pin to a named net
+    attachToNet(component, pin, net, source = null) {
+        this.netAttachments.push({ component, pin, net, source });
+    }
+
+    // Record a subcircuit definition so instances can be described later
+    defineSubcircuit(name, ports, source = null) {
+        this.subcircuits.set(name, { name, ports, source });
+    }
+
+    // Normalise pin spellings and join everything into nets
+    resolve() {
+        this.connections.forEach(conn => {
+            conn.fromPin = this.canonicalPin(conn.from, conn.fromPin);
+            conn.toPin = this.canonicalPin(conn.to, conn.toPin);
+        });
+        this.netAttachments.forEach(att => {
+            att.pin = this.canonicalPin(att.component, att.pin);
+        });
+
+        this.nets = this.buildNets();
+
+        this.netsByName = new Map(this.nets.map(net => [net.name, net]));
+        this.netsByPin = new Map();
+        this.nets.forEach(net => {
+            net.pins.forEach(p => this.netsByPin.set(this.pinKey(p.component, p.pin), net));
+        });
+        return this;
+    }
+
+    // Canonical spelling of a pin on a component, or the pin as written if unknown
+    canonicalPin(componentName, pin) {
+        if (!pin) return null;
+        const component = this.getComponent(componentName);
+        return (component && this.findPin(component, pin)) || pin;
+    }
+
+    // Get the pins of a component (null when its type declares none)
+    getPinsOf(component) {
+        return component.subcircuit || component.layout ? component.pins : Netlist.getPinNames(component.type);
+    }
+
+    // Resolve a pin name on a component, ignoring case
+    findPin(component, pin) {
+        const pins = this.getPinsOf(component);
+        if (!pins) return null;
+        return pins.find(p => p.toLowerCase() === pin.toLowerCase()) || null;
+    }
+
+    // Key used to identify a pin (or a whole component when no pin is given)
+    pinKey(component, pin) {
+        return pin ? `${component}.${pin}` : component;
+    }
+
+    // Pin one end ('from' or 'to') of a connection joins: the pin written, else the part's default pin
+    connectionPin(connection, end) {
+        return end === 'from'
+            ? connection.fromPin || defaultConnectionPin(this, connection.from, true)
+            : connection.toPin || defaultConnectionPin(this, connection.to, false);
+    }
+
+    // Join connected pins into nets; every pin on the same net is one electrical node
+    buildNets() {
+        const parent = new Map();
+        const find = key => {
+            if (!parent.has(key)) parent.set(key, key);
+            let root = key;
+            while (parent.get(root) !== root) root = parent.get(root);
+            parent.set(key, root);
+            return root;
+        };
+        const union = (a, b) => parent.set(find(a), find(b));
+        const pinKey = (name, pin) => this.pinKey(name, pin);
+        const netKey = name => `#${name}`;
+
+        // Declared nets exist even when nothing is attached yet
+        this.declaredNets.forEach(name => find(netKey(name)));
+
+        // Every ground symbol sits on the global GND net
+        this.components
+            .filter(c => c.type === 'ground')
+            .forEach(c => union(pinKey(c.name, 'GND'), netKey('GND')));
+
+        // A wire end without a pin joins the part's default pin; when there is none it is a point of its own,
+        // so two wires to a part with no default pin are not joined through it
+        const endKey = (conn, index, end) => {
+            const name = end === 'from' ? conn.from : conn.to;
+            const pin = this.connectionPin(conn, end);
+            return pin ? pinKey(name, pin) : `${name}@${index}${end}`;
+        };
+        this.connections.forEach((conn, index) => {
+            union(endKey(conn, index, 'from'), endKey(conn, index, 'to'));
+        });
+
+        // Batteries used as a net act as a power rail referenced to ground
+        const rails = new Set();
+        const labels = [];
+        this.netAttachments.forEach(att => {
+            const target = this.resolveNetTarget(att.net);
+            if (target.rail) rails.add(target.rail);
+            union(pinKey(att.component, att.pin), target.key);
+            labels.push({ key: pinKey(att.component, att.pin), component: att.component, pin: att.pin, net: att.net });
+        });
+        rails.forEach(name => {
+            const negUsed = this.connections.some(c => (c.from === name && this.connectionPin(c, 'from') === 'NEG') || (c.to === name && this.connectionPin(c, 'to') === 'NEG'))
+                || this.netAttachments.some(a => a.component === name && a.pin === 'NEG');
+            if (!negUsed) union(pinKey(name, 'NEG'), netKey('GND'));
+        });
+
+        // Group members by root and name each net
+        const groups = new Map();
+        [...parent.keys()].forEach(key => {
+            const root = find(key);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(key);
+        });
+
+        const nets = [];
+        let autoIndex = 1;
+        groups.forEach(members => {
+            const named = members.filter(k => k.startsWith('#')).map(k => k.slice(1));
+            const pins = [...new Set(members.filter(k => !k.startsWith('#')).map(key => key.replace(/@\w+$/, '')))].map(key => {
+                const [component, pin] = key.split('.');
+                return { component, pin: pin || null };
+            });
+            const railPin = pins.find(p => p.pin === 'POS' && rails.has(p.component));
+            const isGround = named.includes('GND');
+
+            let name;
+            if (named.length > 0) name = isGround ? 'GND' : named[0];
+            else if (railPin) name = railPin.component;
+            else name = `N${autoIndex++}`;
+
+            let kind = 'signal';
+            if (isGround) kind = 'ground';
+            else if (railPin || /^(VCC|VDD|VIN|VBAT|V\+|\d+V\d*)/i.test(name)) kind = 'power';
+
+            const declaration = named.find(n => this.declaredNets.includes(n));
+            nets.push({
+                name,
+                kind,
+                declared: Boolean(declaration),
+                source: declaration ? this.netSources.get(declaration) : null,
+                pins,
+                labels: labels
+                    .filter(l => find(l.key) === find(members[0]))
+                    .map(({ component, pin, net }) => ({ component, pin, net }))
+            });
+        });
+
+        return nets;
+    }
+
+    // Resolve the right-hand side of "PIN ~ NET" to a net node
+    resolveNetTarget(name) {
+        if (this.declaredNets.includes(name) || name.toUpperCase() === 'GND') {
+            return { key: `#${name.toUpperCase() === 'GND' ? 'GND' : name}` };
+        }
+
+        const component = this.getComponent(name);
+        if (component && component.type === 'ground') {
+            return { key: '#GND' };
+        }
+        if (component && component.type === 'battery') {
+            return { key: `${name}.POS`, rail: name };
+        }
+
+        // Undeclared nets are created on first use (validation reports them)
+        return { key: `#${name}` };
+    }
+
+    // Get a component by name
+    getComponent(name) {
+        return this.componentsByName.get(name) || null;
+    }
+
+    // Get the real parts of the circuit, leaving out subcircuit instances (their parts are listed instead)
+    getLeafComponents() {
+        return this.components.filter(c => !c.subcircuit);
+    }
+
+    // Shift a component, and the parts inside it when it is a subcircuit instance
+    moveComponent(name, dx, dy) {
+        const component = this.getComponent(name);
+        if (!component) return;
+
+        component.x += dx;
+        component.y += dy;
+        this.getChildren(name).forEach(child => this.moveComponent(child.name, dx, dy));
+    }
+
+    // Get the parts placed inside a subcircuit instance
+    getChildren(name) {
+        return this.components.filter(c => c.parent === name);
+    }
+
+    // Get all components of the given types
+    getComponentsByType(...types) {
+        return this.components.filter(c => types.includes(c.type));
+    }
+
+    // Check whether the circuit contains any component of the given types
+    hasType(...types) {
+        return this.components.some(c => types.includes(c.type));
+    }
+
+    // Get a net by name
+    getNet(name) {
+        return this.netsByName.get(name) || null;
+    }
+
+    // Get the net a pin belongs to
+    getNetOfPin(component, pin = null) {
+        return this.netsByPin.get(this.pinKey(component, pin)) || null;
+    }
+
+    // Get every pin joined to a net
+    getPinsOnNet(name) {
+        const net = this.getNet(name);
+        return net ? net.pins : [];
+    }
+
+    // Get every net touching a component
+    getNetsOfComponent(name) {
+        return this.nets.filter(net => net.pins.some(p => p.component === name));
+    }
+
+    // Get the components electrically connected to a component
+    getNeighbors(name) {
+        const neighbors = new Set();
+        this.getNetsOfComponent(name).forEach(net => {
+            net.pins.forEach(p => {
+                if (p.component !== name) neighbors.add(p.component);
+            });
+        });
+        return [...neighbors].map(n => this.getComponent(n)).filter(Boolean);
+    }
+}
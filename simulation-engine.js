@@ -5,7 +5,7 @@ class SimulationEngine {
     constructor() {
         this.isRunning = false;
         this.isPaused = false;
-        this.components = [];
+        this.netlist = new Netlist();
         this.virtualObjects = [];
         this.sensorData = {};
         this.serialOutput = [];
@@ -21,8 +21,11 @@ class SimulationEngine {
         this.dataCtx = null;
         this.animationFrame = null;
         this.time = 0;
+        this.logic = null;
+        this.closedSwitches = new Set();
         
         this.initializeCanvas();
+        this.setupSwitchControls();
     }
 
     // Initialize simulation canvases
@@ -47,6 +50,33 @@ class SimulationEngine {
         this.setupVirtualEnvironment();
     }
 
+    // Let switches on the schematic be flipped with a click and pushbuttons be held down with the mouse
+    setupSwitchControls() {
+        const svg = document.getElementById('circuit-svg');
+        if (!svg) return;
+
+        const findSwitch = event => {
+            const group = event.target.closest('[data-component]');
+            const component = group ? this.netlist.getComponent(group.getAttribute('data-component')) : null;
+            return component && LOGIC_SWITCH_TYPES.includes(component.type) ? component : null;
+        };
+
+        svg.addEventListener('click', event => {
+            const component = findSwitch(event);
+            if (!component || component.type !== 'switch') return;
+            const closed = !this.closedSwitches.has(component.name);
+            if (closed) this.closedSwitches.add(component.name);
+            else this.closedSwitches.delete(component.name);
+            this.addSerialMessage(`${component.name} ${closed ? 'closed' : 'open'}`);
+        });
+        svg.addEventListener('mousedown', event => {
+            const component = findSwitch(event);
+            if (!component || component.type !== 'pushbutton') return;
+            this.closedSwitches.add(component.name);
+            window.addEventListener('mouseup', () => this.closedSwitches.delete(component.name), { once: true });
+        });
+    }
+
     // Setup virtual environment
     setupVirtualEnvironment() {
         // Draw grid
@@ -109,6 +139,9 @@ class SimulationEngine {
         this.isRunning = false;
         this.isPaused = false;
         this.time = 0;
+        this.logic = null;
+        this.closedSwitches.clear();
+        this.showLogicLevels();
         
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
@@ -157,22 +190,48 @@ class SimulationEngine {
         this.animationFrame = requestAnimationFrame(() => this.animate());
     }
 
-    // Update simulation logic
+    // Update simulation logic: each registered model runs once with the parts of every type that uses it
     updateSimulation() {
-        // Simulate sensor readings based on virtual objects
-        this.simulateUltrasonicSensor();
-        this.simulateTemperatureSensor();
-        this.simulateHumiditySensor();
-        this.simulateLightSensor();
-        
-        // Simulate actuator responses
-        this.simulateActuators();
+        const models = new Map();
+        COMPONENT_TYPES.forEach(type => {
+            const definition = getSymbolDefinition(type);
+            const components = this.netlist.getComponentsByType(type);
+            if (!definition.simulate || components.length === 0) return;
+            models.set(definition.simulate, [...(models.get(definition.simulate) || []), ...components]);
+        });
+        models.forEach((components, simulate) => simulate.call(this, components));
+    }
+
+    // Run the logic parts up to the current time and colour the wires by level; the simulator is rebuilt
+    // whenever the netlist changes
+    simulateLogic() {
+        if (!this.logic || this.logic.netlist !== this.netlist) {
+            this.logic = new LogicSimulator(this.netlist);
+        }
+
+        const changed = this.logic.update(this.time, this.closedSwitches);
+        if (this.logic.oscillating) {
+            this.addSerialMessage(`Logic did not settle after ${LOGIC_MAX_STEPS} steps; the circuit oscillates`);
+        }
+        changed.forEach(net => {
+            const level = this.logic.getLevel(net);
+            this.addSerialMessage(`${net}: ${level === null ? 'unknown' : level ? 'HIGH' : 'LOW'}`);
+        });
+        if (changed.length > 0) this.showLogicLevels(this.logic);
+    }
+
+    // Mark each wire and net flag on the schematic with its net's level; without a simulator the marks are cleared
+    showLogicLevels(logic) {
+        document.querySelectorAll('#circuit-svg [data-net]').forEach(element => {
+            const level = logic ? logic.getLevel(element.getAttribute('data-net')) : null;
+            element.classList.toggle('logic-high', level === 1);
+            element.classList.toggle('logic-low', level === 0);
+        });
     }
 
     // Simulate ultrasonic sensor
     simulateUltrasonicSensor() {
-        const hasUltrasonic = this.components.some(c => c.type === 'ultrasonic');
-        if (!hasUltrasonic) return;
+        if (!this.netlist.hasType('ultrasonic')) return;
         
         // Find nearest wall/target
         let minDistance = 400; // Max range
@@ -193,8 +252,7 @@ class SimulationEngine {
 
     // Simulate temperature sensor
     simulateTemperatureSensor() {
-        const hasDHT = this.components.some(c => c.type === 'dht11' || c.type === 'dht22');
-        if (!hasDHT) return;
+        if (!this.netlist.hasType('dht11', 'dht22')) return;
         
         // Simulate temperature variations
         const baseTemp = 25;
@@ -210,8 +268,7 @@ class SimulationEngine {
 
     // Simulate humidity sensor
     simulateHumiditySensor() {
-        const hasDHT = this.components.some(c => c.type === 'dht11' || c.type === 'dht22');
-        if (!hasDHT) return;
+        if (!this.netlist.hasType('dht11', 'dht22')) return;
         
         // Simulate humidity variations
         const baseHumidity = 60;
@@ -227,8 +284,7 @@ class SimulationEngine {
 
     // Simulate light sensor
     simulateLightSensor() {
-        const hasLDR = this.components.some(c => c.type === 'ldr');
-        if (!hasLDR) return;
+        if (!this.netlist.hasType('ldr')) return;
         
         // Check for virtual light sources
         let lightLevel = 300; // Ambient light
@@ -248,21 +304,49 @@ class SimulationEngine {
         }
     }
 
-    // Simulate actuators
-    simulateActuators() {
-        const hasServo = this.components.some(c => c.type === 'servo');
-        if (hasServo) {
-            // Simulate servo movement
-            const servoAngle = Math.sin(this.time) * 90 + 90;
-            this.addSerialMessage(`Servo position: ${Math.round(servoAngle)}°`);
-        }
-        
-        const hasLED = this.components.some(c => c.type === 'led');
-        if (hasLED) {
+    // Simulate temperature and humidity from a DHT sensor
+    simulateDHTSensor() {
+        this.simulateTemperatureSensor();
+        this.simulateHumiditySensor();
+    }
+
+    // Simulate servos wired to a board
+    simulateServos(servos) {
+        servos.filter(c => this.isDrivenByBoard(c)).forEach(servo => {
+            // Simulate servo movement across its rated range
+            const range = servo.properties.range || { min: 0, max: 180 };
+            const servoAngle = range.min + (Math.sin(this.time) + 1) / 2 * (range.max - range.min);
+            this.addSerialMessage(`${servo.name} position: ${Math.round(servoAngle)}°`);
+        });
+    }
+
+    // Simulate LEDs wired to a board
+    simulateLeds(leds) {
+        leds.filter(c => this.isDrivenByBoard(c)).forEach(led => {
             // Simulate LED blinking
             const ledState = Math.sin(this.time * 2) > 0 ? 'ON' : 'OFF';
-            this.addSerialMessage(`LED status: ${ledState}`);
-        }
+            const current = ledState === 'ON' ? this.estimateLedCurrent(led) : null;
+            const detail = current !== null ? ` (${formatEngineeringValue(current, 'A')})` : '';
+            this.addSerialMessage(`${led.name} status: ${ledState}${detail}`);
+        });
+    }
+
+    // Estimate LED current from a 5V pin through its series resistor (2V forward drop unless vf is set)
+    estimateLedCurrent(led) {
+        const resistor = this.netlist.getNeighbors(led.name)
+            .find(n => n.type === 'resistor' && n.numericValue > 0);
+        if (!resistor) return null;
+
+        const forwardVoltage = led.properties.vf !== undefined ? led.properties.vf : 2;
+        return Math.max(0, 5 - forwardVoltage) / resistor.numericValue;
+    }
+
+    // Check whether a component is wired to a microcontroller, directly or through one part
+    isDrivenByBoard(component) {
+        return this.netlist.getNeighbors(component.name).some(neighbor =>
+            BOARD_TYPES.includes(neighbor.type) ||
+            this.netlist.getNeighbors(neighbor.name).some(n => BOARD_TYPES.includes(n.type))
+        );
     }
 
     // Draw virtual environment
@@ -285,18 +369,16 @@ class SimulationEngine {
     drawArduinoBoards() {
         const ctx = this.simulationCtx;
         
-        this.components.forEach(comp => {
-            if (comp.type.includes('arduino') || comp.type.includes('esp')) {
-                // Draw simplified board representation
-                ctx.fillStyle = '#0066cc';
-                ctx.fillRect(150, 130, 100, 40);
-                
-                // Draw board label
-                ctx.fillStyle = 'white';
-                ctx.font = '10px Arial';
-                ctx.textAlign = 'center';
-                ctx.fillText(comp.type.toUpperCase(), 200, 155);
-            }
+        this.netlist.getComponentsByType(...BOARD_TYPES).forEach(comp => {
+            // Draw simplified board representation
+            ctx.fillStyle = '#0066cc';
+            ctx.fillRect(150, 130, 100, 40);
+            
+            // Draw board label
+            ctx.fillStyle = 'white';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(comp.type.toUpperCase(), 200, 155);
         });
     }
 
@@ -371,8 +453,7 @@ class SimulationEngine {
         const ctx = this.simulationCtx;
         
         // Draw ultrasonic sensor waves
-        const hasUltrasonic = this.components.some(c => c.type === 'ultrasonic');
-        if (hasUltrasonic) {
+        if (this.netlist.hasType('ultrasonic')) {
             const waveRadius = (this.time * 50) % 100;
             ctx.strokeStyle = 'rgba(0, 123, 255, 0.3)';
             ctx.lineWidth = 2;
@@ -495,10 +576,9 @@ class SimulationEngine {
         this.addSerialMessage(`Added ${obj.type} at (${Math.round(defaultObj.x)}, ${Math.round(defaultObj.y)})`);
     }
 
-    // Set components for simulation
-    setComponents(components) {
-        this.components = components;
-        console.log('Simulation components set:', components);
+    // Set the parsed netlist for simulation
+    setNetlist(netlist) {
+        this.netlist = netlist;
     }
 
     // Get simulation data
@@ -580,8 +660,9 @@ function switchOutputTab(tabName) {
         console.error(`Panel ${tabName}-output not found`);
     }
     
-    // Add active class to clicked tab
-    if (event && event.target) {
-        event.target.classList.add('active');
+    // Mark the tab of the shown panel, whether it was clicked or opened from code
+    const tab = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
+    if (tab) {
+        tab.classList.add('active');
     }
 }
\ No newline at end of file
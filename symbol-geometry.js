@@ -0,0 +1,224 @@
+// Symbol Geometry
+// Footprints and pins of the drawn symbols, and the rotation and mirroring applied to them
+
+// Two-terminal parts are drawn in an 80 x 40 box with their legs at (0, 20) and (80, 20)
+const DEFAULT_SYMBOL_SIZE = { width: 80, height: 40 };
+
+// Symbols drawn larger or smaller than the default box, by type (boards are sized from their headers)
+const SYMBOL_SIZES = {};
+
+// Board headers: pins run down the left and right edges, HEADER_PIN_PITCH apart and
+// HEADER_MARGIN from the top and bottom, so a board grows with its number of pins
+const HEADER_PIN_PITCH = 10;
+const HEADER_MARGIN = 15;
+
+const BOARD_HEADERS = {
+    arduino_uno: {
+        width: 120,
+        left: ['IOREF', 'RESET', '3V3', '5V', 'GND', 'VIN', 'AREF', ...pinRange('A', 0, 5)],
+        right: pinRange('D', 0, 13)
+    },
+    arduino_nano: {
+        width: 80,
+        left: ['RESET', '3V3', '5V', 'GND', 'VIN', 'AREF', ...pinRange('A', 0, 7)],
+        right: pinRange('D', 0, 13)
+    },
+    arduino_mega: {
+        width: 160,
+        left: ['IOREF', 'RESET', '3V3', '5V', 'GND', 'VIN', 'AREF', ...pinRange('A', 0, 15), ...pinRange('D', 0, 13)],
+        right: pinRange('D', 14, 53)
+    },
+    esp32: {
+        width: 100,
+        left: ['VIN', 'GND', '3V3', 'EN', ...pinRange('GPIO', 32, 39), 'GPIO25', 'GPIO26', 'GPIO27'],
+        right: ['GPIO0', 'GPIO2', 'GPIO4', 'GPIO5', ...pinRange('GPIO', 12, 19), 'GPIO21', 'GPIO22', 'GPIO23']
+    },
+    esp32_cam: {
+        width: 100,
+        left: ['5V', '3V3', 'GND', ...pinRange('GPIO', 12, 16)],
+        right: pinRange('GPIO', 0, 4)
+    },
+    esp8266: {
+        width: 90,
+        left: ['A0', 'RST', 'EN', 'VIN', '3V3', 'GND', 'RX', 'TX'],
+        right: pinRange('D', 0, 8)
+    }
+};
+
+// Electrical types a pin can have
+const PIN_TYPES = ['passive', 'input', 'output', 'io', 'power-in', 'power-out', 'nc'];
+
+// A pin in a symbol's own coordinates: where its lead ends, the side the lead leaves from
+// (left, right, up or down) and its electrical type, one of PIN_TYPES
+function symbolPin(name, x, y, dir, type = 'passive') {
+    return { name, x, y, dir, type };
+}
+
+// A row of legs along the bottom of a module, the first at x and the rest pitch apart
+function bottomPins(pins, x, pitch, y) {
+    return pins.map(([name, type], i) => symbolPin(name, x + i * pitch, y, 'down', type));
+}
+
+// Leg positions of the drawn symbols; boards are generated from BOARD_HEADERS
+const SYMBOL_PINS = {
+    resistor: [symbolPin('1', 0, 20, 'left'), symbolPin('2', 80, 20, 'right')],
+    capacitor: [symbolPin('1', 0, 20, 'left'), symbolPin('2', 80, 20, 'right')],
+    inductor: [symbolPin('1', 0, 20, 'left'), symbolPin('2', 80, 20, 'right')],
+    switch: [symbolPin('1', 0, 20, 'left'), symbolPin('2', 80, 20, 'right')],
+    ldr: [symbolPin('1', 0, 20, 'left'), symbolPin('2', 80, 20, 'right')],
+    led: [symbolPin('A', 0, 20, 'left'), symbolPin('K', 80, 20, 'right')],
+    battery: [symbolPin('POS', 0, 20, 'left', 'power-out'), symbolPin('NEG', 80, 20, 'right', 'power-out')],
+    ground: [symbolPin('GND', 40, 0, 'up')],
+    npn: [symbolPin('B', 0, 20, 'left', 'input'), symbolPin('C', 80, 8, 'right'), symbolPin('E', 80, 32, 'right')],
+    transistor: [symbolPin('B', 0, 20, 'left', 'input'), symbolPin('C', 80, 8, 'right'), symbolPin('E', 80, 32, 'right')],
+    potentiometer: [symbolPin('1', 10, 20, 'left'), symbolPin('W', 40, 50, 'down'), symbolPin('2', 70, 20, 'right')],
+    pushbutton: [symbolPin('1', 20, 50, 'down'), symbolPin('2', 40, 50, 'down')],
+    dc_motor: [symbolPin('1', 15, 20, 'left'), symbolPin('2', 65, 20, 'right')],
+    buzzer: [symbolPin('POS', 34, 43, 'down'), symbolPin('NEG', 46, 43, 'down')],
+    relay: [
+        symbolPin('IN', 0, 20, 'left', 'input'),
+        symbolPin('VCC', 8, 33, 'down', 'power-in'),
+        symbolPin('GND', 22, 33, 'down', 'power-in'),
+        symbolPin('NO', 45, 5, 'right'),
+        symbolPin('COM', 45, 20, 'right'),
+        symbolPin('NC', 45, 35, 'right')
+    ],
+    ultrasonic: bottomPins([['VCC', 'power-in'], ['TRIG', 'input'], ['ECHO', 'output'], ['GND', 'power-in']], 8, 10, 30),
+    dht11: bottomPins([['VCC', 'power-in'], ['DATA', 'io'], ['NC', 'nc'], ['GND', 'power-in']], 7, 8, 23),
+    dht22: bottomPins([['VCC', 'power-in'], ['DATA', 'io'], ['NC', 'nc'], ['GND', 'power-in']], 7, 10, 28),
+    pir: bottomPins([['VCC', 'power-in'], ['OUT', 'output'], ['GND', 'power-in']], 13, 15, 38),
+    servo: bottomPins([['VCC', 'power-in'], ['GND', 'power-in'], ['SIG', 'input']], 14, 15, 45),
+    rgb_led: bottomPins([['R'], ['G'], ['B'], ['GND']], 27, 7, 36),
+    lcd: bottomPins([
+        ['VSS', 'power-in'], ['VDD', 'power-in'], ['V0', 'input'], ['RS', 'input'], ['RW', 'input'], ['E', 'input'],
+        ...pinRange('D', 0, 7).map(name => [name, 'io']), ['A'], ['K']
+    ], 6.5, 4.5, 38)
+};
+
+// Electrical type of a board header pin from its name
+function headerPinType(name) {
+    if (['5V', '3V3', 'IOREF', 'GND'].includes(name)) return 'power-out';
+    if (name === 'VIN') return 'power-in';
+    if (['RESET', 'RST', 'EN', 'AREF'].includes(name)) return 'input';
+    return 'io';
+}
+
+function headerHeight(header) {
+    return HEADER_MARGIN * 2 + (Math.max(header.left.length, header.right.length) - 1) * HEADER_PIN_PITCH;
+}
+
+// Pins of a board, down both edges of the board outline
+function headerPins(header) {
+    const side = (names, x, dir) => names.map((name, i) => ({
+        ...symbolPin(name, x, HEADER_MARGIN + i * HEADER_PIN_PITCH, dir, headerPinType(name)),
+        header: true
+    }));
+    return [...side(header.left, 0, 'left'), ...side(header.right, header.width, 'right')];
+}
+
+// Words that place a component next to another one
+const PLACEMENT_DIRECTIONS = ['right-of', 'left-of', 'above', 'below'];
+
+// Size of a component type's symbol before rotation
+function getSymbolSize(type) {
+    const header = BOARD_HEADERS[type];
+    if (header) return { width: header.width, height: headerHeight(header) };
+    return SYMBOL_SIZES[type] || DEFAULT_SYMBOL_SIZE;
+}
+
+// Pins drawn on a component type's symbol; empty when the symbol has no fixed legs
+function getSymbolPins(type) {
+    if (BOARD_HEADERS[type]) return headerPins(BOARD_HEADERS[type]);
+    return SYMBOL_PINS[type] || [];
+}
+
+// One pin of a component type, ignoring case, or null
+function getSymbolPin(type, name) {
+    if (!name) return null;
+    return getSymbolPins(type).find(pin => pin.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Pins drawn on a component: its own layout when its symbol is generated per component, else its type's
+function getComponentPins(component) {
+    return component.layout ? component.layout.pins : getSymbolPins(component.type);
+}
+
+// One pin of a component, ignoring case, or null
+function getComponentPin(component, name) {
+    if (!name) return null;
+    return getComponentPins(component).find(pin => pin.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Size of a component's symbol; a subcircuit block grows with its number of ports
+function getComponentSize(component) {
+    if (component.layout) return component.layout.size;
+    if (!component.subcircuit) return getSymbolSize(component.type);
+
+    const rows = Math.ceil(component.pins.length / 2);
+    return { width: 100, height: Math.max(60, rows * 20 + 20) };
+}
+
+// Area a component covers on the canvas; rotation turns the symbol about its centre
+function getSymbolBox(component, size = getComponentSize(component)) {
+    const sideways = (component.rotation || 0) % 180 !== 0;
+    const width = sideways ? size.height : size.width;
+    const height = sideways ? size.width : size.height;
+    return {
+        x: component.x + (size.width - width) / 2,
+        y: component.y + (size.height - height) / 2,
+        width,
+        height
+    };
+}
+
+// Map a point in a symbol's own coordinates to the canvas: mirror, rotate about the centre, then move into place
+function transformSymbolPoint(component, dx, dy, size = getComponentSize(component)) {
+    const cx = size.width / 2;
+    const cy = size.height / 2;
+    const flip = component.flip || '';
+    let x = flip.includes('x') ? cx - dx : dx - cx;
+    let y = flip.includes('y') ? cy - dy : dy - cy;
+
+    // Each quarter turn is clockwise on screen, as with SVG rotate(90)
+    for (let turn = 0; turn < (component.rotation || 0) / 90; turn++) {
+        [x, y] = [-y, x];
+    }
+    return { x: component.x + cx + x, y: component.y + cy + y };
+}
+
+// Side of the canvas a lead pointing dir in the symbol's own coordinates leaves from, after rotation and mirroring
+function transformSymbolDirection(component, dir) {
+    const [dx, dy] = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[dir];
+    const origin = transformSymbolPoint(component, 0, 0);
+    const end = transformSymbolPoint(component, dx, dy);
+    const x = Math.round(end.x - origin.x);
+    const y = Math.round(end.y - origin.y);
+    if (x !== 0) return x < 0 ? 'left' : 'right';
+    return y < 0 ? 'up' : 'down';
+}
+
+// SVG transform placing a symbol at its component's position with its rotation and mirroring
+function symbolTransform(component, size = getComponentSize(component)) {
+    const parts = [`translate(${component.x}, ${component.y})`];
+    const cx = size.width / 2;
+    const cy = size.height / 2;
+    const flip = component.flip || '';
+
+    if (component.rotation) {
+        parts.push(`rotate(${component.rotation}, ${cx}, ${cy})`);
+    }
+    if (flip) {
+        const sx = flip.includes('x') ? -1 : 1;
+        const sy = flip.includes('y') ? -1 : 1;
+        parts.push(`translate(${cx}, ${cy}) scale(${sx}, ${sy}) translate(${-cx}, ${-cy})`);
+    }
+    return parts.join(' ');
+}
+
+// Transform for text at (x, y) inside a symbol that undoes the symbol's rotation and mirroring
+function uprightTextTransform(component, x, y) {
+    const flip = component.flip || '';
+    const sx = flip.includes('x') ? -1 : 1;
+    const sy = flip.includes('y') ? -1 : 1;
+    return `translate(${x}, ${y}) scale(${sx}, ${sy}) rotate(${-(component.rotation || 0)}) translate(${-x}, ${-y})`;
+}
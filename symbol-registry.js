@@ -0,0 +1,108 @@
+// Symbol Registry
+// Every component type is a registered symbol bundling its drawing, pins, value rules, library card and
+// simulation model. Parts can be added from a file of their own with CircuitEngine.registerSymbol(type, definition);
+// registering fills the same pin, size, unit and property tables the built-in parts are described in.
+
+// Registered definitions by type, and the types in the order they were registered
+const SYMBOL_REGISTRY = new Map();
+const COMPONENT_TYPES = [];
+
+// Library sections in display order; cards in any other category get a section after these
+const PALETTE_CATEGORIES = [
+    { name: 'Basic Components', icon: '⚡' },
+    { name: 'Semiconductors', icon: '🔺' },
+    { name: 'Integrated Circuits', icon: '🔳' },
+    { name: 'Logic', icon: '🔀' },
+    { name: 'Power', icon: '🔋' },
+    { name: 'Arduino Boards', icon: '🔧' },
+    { name: 'Sensors', icon: '📡' },
+    { name: 'Actuators', icon: '⚙️' },
+    { name: 'Display & Input', icon: '📺' },
+    { name: 'Virtual Objects', icon: '🌍' }
+];
+
+// Add or replace a symbol. The definition may have:
+//   draw(svg, component)  appends one <g> for the symbol, called with the CircuitEngine as this (required)
+//   pins                  pin names, or { name, x, y, dir, type } pins placed on the drawing; header: true
+//                         on a placed pin also draws its pad and name
+//   header                { width, left, right } to draw the part as a board with pin headers
+//   size                  { width, height } when the drawing does not fit the 80 x 40 box
+//   defaultValue          value the library card writes
+//   valueUnit             unit the value is measured in: 'Ω', 'F', 'H', 'V', 'A' or 'Hz'
+//   properties            key=value properties, as in COMPONENT_PROPERTIES
+//   validate(component)   returns a message when a parsed component is not valid, or null
+//   palette               library card { category, name, icon, prefix }
+//   layout(component)     { size, pins } of a symbol whose pins are set per component by its properties;
+//                         pins are placed pins as above (see symbols-ic.js)
+//   logic(inputs, state, { component, time })  output levels by pin name from the input levels, for the
+//                         LogicSimulator; state is kept per component between calls (see symbols-logic.js)
+//   stamp(mna, component)  adds the part's equations to the circuit analysis (see circuit-solver.js)
+//   simulate(components)  runs each simulation step with the parts of this type, called with the SimulationEngine as this
+//   board                 true for a microcontroller board that drives the rest of a circuit
+//   levels                { supply: [min, max], logic, maxInput, output } in volts for the voltage-level check
+//                         (see electrical-rules.js): the range the power pins take, the high level of the
+//                         outputs (else the supply they get), the most the inputs take (else the top of the
+//                         supply range) and the voltage of the power-out pins (else the part's value)
+function registerSymbolDefinition(type, definition) {
+    const key = String(type).toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+        throw new Error(`Symbol type '${type}' may only contain letters, digits and '_'`);
+    }
+    if (!definition || typeof definition.draw !== 'function') {
+        throw new Error(`Symbol '${key}' needs a draw function`);
+    }
+    if (definition.valueUnit && !VALUE_EXAMPLES[definition.valueUnit]) {
+        throw new Error(`Symbol '${key}' has unit '${definition.valueUnit}'; use one of ${Object.keys(VALUE_EXAMPLES).join(', ')}`);
+    }
+
+    if (definition.header) {
+        BOARD_HEADERS[key] = definition.header;
+        COMPONENT_PINS[key] = [...definition.header.left, ...definition.header.right];
+    }
+    if (definition.pins) {
+        const pins = definition.pins.map(pin => (typeof pin === 'string' ? { name: pin } : pin));
+        const placed = pins.filter(pin => pin.x !== undefined && pin.y !== undefined);
+        if (placed.length > 0) {
+            SYMBOL_PINS[key] = placed.map(pin => ({
+                ...symbolPin(pin.name, pin.x, pin.y, pin.dir || 'left', pin.type),
+                header: Boolean(pin.header)
+            }));
+        }
+        COMPONENT_PINS[key] = pins.map(pin => pin.name);
+    }
+    if (!COMPONENT_PINS[key]) COMPONENT_PINS[key] = [];
+    if (definition.size) SYMBOL_SIZES[key] = definition.size;
+    if (definition.valueUnit) VALUE_UNITS[key] = definition.valueUnit;
+    if (definition.properties) COMPONENT_PROPERTIES[key] = definition.properties;
+    if (definition.board && !BOARD_TYPES.includes(key)) BOARD_TYPES.push(key);
+
+    if (!SYMBOL_REGISTRY.has(key)) COMPONENT_TYPES.push(key);
+    SYMBOL_REGISTRY.set(key, { ...definition, type: key });
+}
+
+// Remove a registered type and everything registering it added
+function unregisterSymbolDefinition(type) {
+    if (!SYMBOL_REGISTRY.has(type)) return false;
+
+    SYMBOL_REGISTRY.delete(type);
+    COMPONENT_TYPES.splice(COMPONENT_TYPES.indexOf(type), 1);
+    [COMPONENT_PINS, SYMBOL_PINS, BOARD_HEADERS, SYMBOL_SIZES, VALUE_UNITS, COMPONENT_PROPERTIES].forEach(table => {
+        delete table[type];
+    });
+    if (BOARD_TYPES.includes(type)) BOARD_TYPES.splice(BOARD_TYPES.indexOf(type), 1);
+    return true;
+}
+
+// Definition of a registered type, or null
+function getSymbolDefinition(type) {
+    return SYMBOL_REGISTRY.get(type) || null;
+}
+
+// Code the library card for a type inserts, e.g. R1: resistor 1k
+function getSymbolSnippet(type) {
+    const definition = getSymbolDefinition(type);
+    if (!definition) return type;
+
+    const prefix = definition.palette && definition.palette.prefix ? definition.palette.prefix : type.toUpperCase();
+    return `${prefix}1: ${type}${definition.defaultValue ? ' ' + definition.defaultValue : ''}`;
+}
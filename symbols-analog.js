@@ -0,0 +1,399 @@
+// Analog Symbols
+// Diodes, PNP and MOSFET transistors, op-amps and comparators, the 555 timer, voltage regulators, crystals,
+// fuses, transformers and AC sources. Pin positions are given with each symbol.
+
+// Leads from the pins at x=0 and x=80 of a two-terminal part to its body
+function appendLeads(g, left, right) {
+    g.appendChild(symbolElement('line', { x1: 0, y1: 20, x2: left, y2: 20, class: 'circuit-wire' }));
+    g.appendChild(symbolElement('line', { x1: right, y1: 20, x2: 80, y2: 20, class: 'circuit-wire' }));
+}
+
+// Diode triangle pointing to the cathode bar; the bar is drawn by the caller
+function drawDiodeBody(engine, svg, component, cathode) {
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    g.appendChild(symbolElement('path', { d: 'M 25 10 L 25 30 L 50 20 Z', class: 'circuit-component' }));
+    g.appendChild(symbolElement('path', { d: cathode, class: 'circuit-component' }));
+    appendLeads(g, 25, 50);
+
+    engine.addLabel(g, component.name, component.displayValue, 40, 50);
+    svg.appendChild(g);
+}
+
+// Dark IC body the size of the symbol; its pins are drawn with their names by drawPins
+function drawIcBody(engine, svg, component, title) {
+    const size = getSymbolSize(component.type);
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    g.appendChild(symbolElement('rect', {
+        x: 0, y: 0, width: size.width, height: size.height, rx: 3, class: 'circuit-component', fill: '#37474f'
+    }));
+
+    const text = symbolElement('text', {
+        x: size.width / 2, y: size.height / 2 + 4, class: 'circuit-text circuit-header-label',
+        'text-anchor': 'middle', 'font-weight': 'bold', 'font-size': 10
+    });
+    text.textContent = title;
+    g.appendChild(text);
+
+    engine.addLabel(g, component.name, component.displayValue, size.width / 2, size.height + 20);
+    svg.appendChild(g);
+}
+
+// Op-amp triangle with inverting input on top, supplies above and below; a comparator also gets a hysteresis mark
+function drawAmplifier(engine, svg, component, comparator) {
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    g.appendChild(symbolElement('path', { d: 'M 15 5 L 15 55 L 65 30 Z', class: 'circuit-component' }));
+
+    [['0', '20', '15', '20'], ['0', '40', '15', '40'], ['65', '30', '80', '30'], ['40', '0', '40', '17.5'], ['40', '60', '40', '42.5']]
+        .forEach(([x1, y1, x2, y2]) => g.appendChild(symbolElement('line', { x1, y1, x2, y2, class: 'circuit-wire' })));
+
+    [['−', 24], ['+', 44]].forEach(([sign, y]) => {
+        const text = symbolElement('text', { x: 19, y, class: 'circuit-text', 'font-size': 12 });
+        text.textContent = sign;
+        g.appendChild(text);
+    });
+
+    if (comparator) {
+        g.appendChild(symbolElement('path', { d: 'M 30 34 L 36 34 L 36 26 L 42 26 M 33 34 L 33 26 L 39 26', class: 'circuit-component', 'stroke-width': 1 }));
+    }
+
+    engine.addLabel(g, component.name, component.displayValue, 40, 80);
+    svg.appendChild(g);
+}
+
+// PNP transistor: base bar with the emitter on top and the collector below
+function drawPnp(engine, svg, component) {
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    g.appendChild(symbolElement('line', { x1: 30, y1: 10, x2: 30, y2: 30, class: 'circuit-component', 'stroke-width': 3 }));
+    g.appendChild(symbolElement('path', { d: 'M 30 15 L 50 8 L 80 8', class: 'circuit-component' }));
+    g.appendChild(symbolElement('path', { d: 'M 30 25 L 50 32 L 80 32', class: 'circuit-component' }));
+
+    // Emitter arrow points into the base
+    g.appendChild(symbolElement('path', { d: 'M 40 8 L 33 14 L 42 15', class: 'circuit-component' }));
+    g.appendChild(symbolElement('line', { x1: 0, y1: 20, x2: 30, y2: 20, class: 'circuit-wire' }));
+
+    [['B', 10, 15], ['E', 65, 5], ['C', 65, 44]].forEach(([name, x, y]) => {
+        const text = symbolElement('text', { x, y, class: 'circuit-text', 'font-size': 10 });
+        text.textContent = name;
+        g.appendChild(text);
+    });
+
+    engine.addLabel(g, component.name, component.displayValue, 40, 55);
+    svg.appendChild(g);
+}
+
+// Enhancement MOSFET with the body tied to the source; the arrow points in for N-channel and out for P-channel
+function drawMosfet(engine, svg, component, channel) {
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    g.appendChild(symbolElement('line', { x1: 0, y1: 20, x2: 22, y2: 20, class: 'circuit-wire' }));
+    g.appendChild(symbolElement('line', { x1: 22, y1: 8, x2: 22, y2: 32, class: 'circuit-component' }));
+    [[6, 14], [16, 24], [26, 34]].forEach(([y1, y2]) => {
+        g.appendChild(symbolElement('line', { x1: 28, y1, x2: 28, y2, class: 'circuit-component', 'stroke-width': 3 }));
+    });
+    g.appendChild(symbolElement('path', { d: 'M 28 10 L 80 10', class: 'circuit-component' }));
+    g.appendChild(symbolElement('path', { d: 'M 28 30 L 80 30 M 28 20 L 45 20 L 45 30', class: 'circuit-component' }));
+    g.appendChild(symbolElement('path', {
+        d: channel === 'n' ? 'M 36 16 L 30 20 L 36 24' : 'M 37 16 L 43 20 L 37 24', class: 'circuit-component'
+    }));
+
+    [['G', 5, 15], ['D', 65, 7], ['S', 65, 43]].forEach(([name, x, y]) => {
+        const text = symbolElement('text', { x, y, class: 'circuit-text', 'font-size': 10 });
+        text.textContent = name;
+        g.appendChild(text);
+    });
+
+    engine.addLabel(g, component.name, component.displayValue, 40, 55);
+    svg.appendChild(g);
+}
+
+// Diodes
+CircuitEngine.registerSymbol('diode', {
+    draw(svg, component) {
+        drawDiodeBody(this, svg, component, 'M 50 8 L 50 32');
+    },
+    pins: [{ name: 'A', x: 0, y: 20, dir: 'left' }, { name: 'K', x: 80, y: 20, dir: 'right' }],
+    defaultValue: '1N4007',
+    // Conducts if (10mA unless given) at vf (0.7V unless given)
+    stamp(mna, component) {
+        const { vf = 0.7, if: rated = 0.01 } = component.properties;
+        stampDiode(mna, component, { saturation: saturationCurrent(vf, rated) });
+    },
+    properties: {
+        vf: { kind: 'quantity', unit: 'V', description: 'Forward voltage' },
+        if: { kind: 'quantity', unit: 'A', description: 'Forward current' }
+    },
+    palette: { category: 'Semiconductors', name: 'Diode', icon: '▶|', prefix: 'D' }
+});
+CircuitEngine.registerSymbol('zener', {
+    draw(svg, component) {
+        drawDiodeBody(this, svg, component, 'M 45 6 L 50 8 L 50 32 L 55 34');
+    },
+    pins: [{ name: 'A', x: 0, y: 20, dir: 'left' }, { name: 'K', x: 80, y: 20, dir: 'right' }],
+    defaultValue: '1N4733',
+    // Breaks down at vz (5.1V unless given)
+    stamp(mna, component) {
+        const { vz = 5.1 } = component.properties;
+        stampDiode(mna, component, { saturation: saturationCurrent(0.7, 0.01), breakdown: vz });
+    },
+    properties: {
+        vz: { kind: 'quantity', unit: 'V', description: 'Zener voltage' },
+        power: { kind: 'quantity', unit: 'W', description: 'Power rating' }
+    },
+    palette: { category: 'Semiconductors', name: 'Zener Diode', icon: '⊳', prefix: 'D' }
+});
+CircuitEngine.registerSymbol('schottky', {
+    draw(svg, component) {
+        drawDiodeBody(this, svg, component, 'M 55 12 L 55 8 L 50 8 L 50 32 L 45 32 L 45 28');
+    },
+    pins: [{ name: 'A', x: 0, y: 20, dir: 'left' }, { name: 'K', x: 80, y: 20, dir: 'right' }],
+    defaultValue: '1N5819',
+    stamp(mna, component) {
+        const { vf = 0.3, if: rated = 0.01 } = component.properties;
+        stampDiode(mna, component, { saturation: saturationCurrent(vf, rated) });
+    },
+    properties: {
+        vf: { kind: 'quantity', unit: 'V', description: 'Forward voltage' },
+        if: { kind: 'quantity', unit: 'A', description: 'Forward current' }
+    },
+    palette: { category: 'Semiconductors', name: 'Schottky Diode', icon: '⊳', prefix: 'D' }
+});
+
+// Transistors
+CircuitEngine.registerSymbol('pnp', {
+    draw(svg, component) {
+        drawPnp(this, svg, component);
+    },
+    pins: [
+        { name: 'B', x: 0, y: 20, dir: 'left', type: 'input' },
+        { name: 'E', x: 80, y: 8, dir: 'right' },
+        { name: 'C', x: 80, y: 32, dir: 'right' }
+    ],
+    stamp(mna, component) {
+        stampBjt(mna, component, -1);
+    },
+    palette: { category: 'Semiconductors', name: 'PNP Transistor', icon: '◁', prefix: 'Q' }
+});
+CircuitEngine.registerSymbol('nmos', {
+    draw(svg, component) {
+        drawMosfet(this, svg, component, 'n');
+    },
+    pins: [
+        { name: 'G', x: 0, y: 20, dir: 'left', type: 'input' },
+        { name: 'D', x: 80, y: 10, dir: 'right' },
+        { name: 'S', x: 80, y: 30, dir: 'right' }
+    ],
+    defaultValue: 'IRLZ44N',
+    stamp(mna, component) {
+        stampMosfet(mna, component, 1);
+    },
+    properties: {
+        vth: { kind: 'quantity', unit: 'V', description: 'Gate threshold voltage' },
+        rds: { kind: 'quantity', unit: 'Ω', description: 'On resistance' }
+    },
+    palette: { category: 'Semiconductors', name: 'N-MOSFET', icon: '⫣', prefix: 'Q' }
+});
+CircuitEngine.registerSymbol('pmos', {
+    draw(svg, component) {
+        drawMosfet(this, svg, component, 'p');
+    },
+    pins: [
+        { name: 'G', x: 0, y: 20, dir: 'left', type: 'input' },
+        { name: 'D', x: 80, y: 10, dir: 'right' },
+        { name: 'S', x: 80, y: 30, dir: 'right' }
+    ],
+    defaultValue: 'IRF9540',
+    stamp(mna, component) {
+        stampMosfet(mna, component, -1);
+    },
+    properties: {
+        vth: { kind: 'quantity', unit: 'V', description: 'Gate threshold voltage (its magnitude)' },
+        rds: { kind: 'quantity', unit: 'Ω', description: 'On resistance' }
+    },
+    palette: { category: 'Semiconductors', name: 'P-MOSFET', icon: '⫤', prefix: 'Q' }
+});
+
+// Integrated Circuits
+CircuitEngine.registerSymbol('opamp', {
+    draw(svg, component) {
+        drawAmplifier(this, svg, component, false);
+    },
+    pins: [
+        { name: 'INN', x: 0, y: 20, dir: 'left', type: 'input' },
+        { name: 'INP', x: 0, y: 40, dir: 'left', type: 'input' },
+        { name: 'OUT', x: 80, y: 30, dir: 'right', type: 'output' },
+        { name: 'VCC', x: 40, y: 0, dir: 'up', type: 'power-in' },
+        { name: 'VEE', x: 40, y: 60, dir: 'down', type: 'power-in' }
+    ],
+    size: { width: 80, height: 60 },
+    defaultValue: 'LM358',
+    properties: {
+        gbw: { kind: 'quantity', unit: 'Hz', description: 'Gain-bandwidth product' }
+    },
+    palette: { category: 'Integrated Circuits', name: 'Op-Amp', icon: '▷', prefix: 'U' }
+});
+CircuitEngine.registerSymbol('comparator', {
+    draw(svg, component) {
+        drawAmplifier(this, svg, component, true);
+    },
+    pins: [
+        { name: 'INN', x: 0, y: 20, dir: 'left', type: 'input' },
+        { name: 'INP', x: 0, y: 40, dir: 'left', type: 'input' },
+        { name: 'OUT', x: 80, y: 30, dir: 'right', type: 'output' },
+        { name: 'VCC', x: 40, y: 0, dir: 'up', type: 'power-in' },
+        { name: 'VEE', x: 40, y: 60, dir: 'down', type: 'power-in' }
+    ],
+    size: { width: 80, height: 60 },
+    defaultValue: 'LM393',
+    palette: { category: 'Integrated Circuits', name: 'Comparator', icon: '⊿', prefix: 'U' }
+});
+CircuitEngine.registerSymbol('ne555', {
+    draw(svg, component) {
+        drawIcBody(this, svg, component, '555');
+    },
+    pins: [
+        { name: 'TRIG', x: 0, y: 20, dir: 'left', type: 'input', header: true },
+        { name: 'THR', x: 0, y: 40, dir: 'left', type: 'input', header: true },
+        { name: 'CTRL', x: 0, y: 60, dir: 'left', type: 'input', header: true },
+        { name: 'OUT', x: 80, y: 30, dir: 'right', type: 'output', header: true },
+        { name: 'DIS', x: 80, y: 50, dir: 'right', type: 'output', header: true },
+        { name: 'VCC', x: 30, y: 0, dir: 'up', type: 'power-in', header: true },
+        { name: 'RESET', x: 50, y: 0, dir: 'up', type: 'input', header: true },
+        { name: 'GND', x: 40, y: 80, dir: 'down', type: 'power-in', header: true }
+    ],
+    size: { width: 80, height: 80 },
+    defaultValue: 'NE555',
+    palette: { category: 'Integrated Circuits', name: '555 Timer', icon: '⏱️', prefix: 'U' }
+});
+
+// Power
+CircuitEngine.registerSymbol('lm7805', {
+    draw(svg, component) {
+        drawIcBody(this, svg, component, '7805');
+    },
+    pins: [
+        { name: 'VIN', x: 0, y: 20, dir: 'left', type: 'power-in', header: true },
+        { name: 'VOUT', x: 80, y: 20, dir: 'right', type: 'power-out', header: true },
+        { name: 'GND', x: 40, y: 60, dir: 'down', type: 'power-in', header: true }
+    ],
+    size: { width: 80, height: 60 },
+    levels: { supply: [7, 35], output: 5 },
+    palette: { category: 'Power', name: 'LM7805 5V Regulator', icon: '🔌', prefix: 'U' }
+});
+CircuitEngine.registerSymbol('ams1117', {
+    draw(svg, component) {
+        drawIcBody(this, svg, component, '1117');
+    },
+    pins: [
+        { name: 'VIN', x: 0, y: 20, dir: 'left', type: 'power-in', header: true },
+        { name: 'VOUT', x: 80, y: 20, dir: 'right', type: 'power-out', header: true },
+        { name: 'GND', x: 40, y: 60, dir: 'down', type: 'power-in', header: true }
+    ],
+    size: { width: 80, height: 60 },
+    defaultValue: '3.3V',
+    valueUnit: 'V',
+    levels: { supply: [4.5, 15] },
+    palette: { category: 'Power', name: 'AMS1117 Regulator', icon: '🔌', prefix: 'U' }
+});
+CircuitEngine.registerSymbol('fuse', {
+    draw(svg, component) {
+        const g = symbolElement('g', { transform: symbolTransform(component) });
+        g.appendChild(symbolElement('rect', { x: 20, y: 13, width: 40, height: 14, class: 'circuit-component' }));
+        g.appendChild(symbolElement('line', { x1: 20, y1: 20, x2: 60, y2: 20, class: 'circuit-component', 'stroke-width': 1 }));
+        appendLeads(g, 20, 60);
+
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
+        svg.appendChild(g);
+    },
+    pins: [{ name: '1', x: 0, y: 20, dir: 'left' }, { name: '2', x: 80, y: 20, dir: 'right' }],
+    defaultValue: '500mA',
+    valueUnit: 'A',
+    stamp(mna, component) {
+        mna.conductance(component, '1', '2', 1 / SOLVER_SHORT_RESISTANCE);
+    },
+    palette: { category: 'Power', name: 'Fuse', icon: '⌁', prefix: 'F' }
+});
+CircuitEngine.registerSymbol('transformer', {
+    draw(svg, component) {
+        const g = symbolElement('g', { transform: symbolTransform(component) });
+        g.appendChild(symbolElement('path', {
+            d: 'M 0 10 L 25 10 A 5 5 0 0 1 25 20 A 5 5 0 0 1 25 30 A 5 5 0 0 1 25 40 A 5 5 0 0 1 25 50 L 0 50',
+            class: 'circuit-component'
+        }));
+        g.appendChild(symbolElement('path', {
+            d: 'M 80 10 L 55 10 A 5 5 0 0 0 55 20 A 5 5 0 0 0 55 30 A 5 5 0 0 0 55 40 A 5 5 0 0 0 55 50 L 80 50',
+            class: 'circuit-component'
+        }));
+
+        // Iron core and the dots marking the in-phase ends
+        g.appendChild(symbolElement('path', { d: 'M 38 8 L 38 52 M 42 8 L 42 52', class: 'circuit-component' }));
+        g.appendChild(symbolElement('circle', { cx: 20, cy: 4, r: 2, fill: '#333' }));
+        g.appendChild(symbolElement('circle', { cx: 60, cy: 4, r: 2, fill: '#333' }));
+
+        this.addLabel(g, component.name, component.displayValue, 40, 75);
+        svg.appendChild(g);
+    },
+    pins: [
+        { name: 'P1', x: 0, y: 10, dir: 'left' },
+        { name: 'P2', x: 0, y: 50, dir: 'left' },
+        { name: 'S1', x: 80, y: 10, dir: 'right' },
+        { name: 'S2', x: 80, y: 50, dir: 'right' }
+    ],
+    size: { width: 80, height: 60 },
+    properties: {
+        ratio: { kind: 'number', description: 'Turns ratio, primary to secondary' }
+    },
+    // No coupling at DC: each winding is a short
+    stamp(mna, component) {
+        mna.conductance(component, 'P1', 'P2', 1 / SOLVER_SHORT_RESISTANCE);
+        mna.conductance(component, 'S1', 'S2', 1 / SOLVER_SHORT_RESISTANCE);
+    },
+    palette: { category: 'Power', name: 'Transformer', icon: '⧚', prefix: 'T' }
+});
+CircuitEngine.registerSymbol('ac_source', {
+    draw(svg, component) {
+        const g = symbolElement('g', { transform: symbolTransform(component) });
+        g.appendChild(symbolElement('circle', { cx: 40, cy: 20, r: 14, class: 'circuit-component' }));
+        g.appendChild(symbolElement('path', { d: 'M 30 20 Q 35 10 40 20 Q 45 30 50 20', class: 'circuit-component' }));
+        appendLeads(g, 26, 54);
+
+        const plus = symbolElement('text', { x: 14, y: 14, class: 'circuit-text', 'font-size': 10 });
+        plus.textContent = '+';
+        g.appendChild(plus);
+
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
+        svg.appendChild(g);
+    },
+    pins: [
+        { name: 'POS', x: 0, y: 20, dir: 'left', type: 'power-out' },
+        { name: 'NEG', x: 80, y: 20, dir: 'right', type: 'power-out' }
+    ],
+    defaultValue: '12V',
+    valueUnit: 'V',
+    properties: {
+        freq: { kind: 'quantity', unit: 'Hz', description: 'Frequency (default 50Hz)' },
+        delay: { kind: 'quantity', unit: 's', description: 'Time the sine starts in the transient analysis' },
+        ac: { kind: 'quantity', unit: 'V', description: 'Amplitude driving the AC analysis' }
+    },
+    // A sine of amplitude value, so 0V at the DC operating point
+    stamp(mna, component) {
+        mna.voltageSource(component, 'POS', 'NEG', sourceVoltage(mna, component, mna.valueOf(component), 'sine'));
+    },
+    palette: { category: 'Power', name: 'AC Source', icon: '∿', prefix: 'VAC' }
+});
+CircuitEngine.registerSymbol('crystal', {
+    draw(svg, component) {
+        const g = symbolElement('g', { transform: symbolTransform(component) });
+        g.appendChild(symbolElement('path', { d: 'M 30 10 L 30 30 M 50 10 L 50 30', class: 'circuit-component' }));
+        g.appendChild(symbolElement('rect', { x: 34, y: 8, width: 12, height: 24, class: 'circuit-component' }));
+        appendLeads(g, 30, 50);
+
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
+        svg.appendChild(g);
+    },
+    pins: [{ name: '1', x: 0, y: 20, dir: 'left' }, { name: '2', x: 80, y: 20, dir: 'right' }],
+    defaultValue: '16MHz',
+    valueUnit: 'Hz',
+    properties: {
+        cl: { kind: 'quantity', unit: 'F', description: 'Load capacitance' }
+    },
+    palette: { category: 'Basic Components', name: 'Crystal', icon: '◫', prefix: 'Y' }
+});
@@ -0,0 +1,258 @@
+// Built-in Symbols
+// The parts that ship with the designer, registered like any other symbol. Their pins, units and
+// properties are in COMPONENT_PINS, SYMBOL_PINS, VALUE_UNITS and COMPONENT_PROPERTIES.
+
+// Create an SVG element with its attributes; used by the symbols drawn in the files after this one
+function symbolElement(tag, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Switches conduct in the circuit analysis when written with state=closed or held closed in the simulation;
+// the transient analysis flips them at their toggle time
+function stampSwitch(mna, component) {
+    let closed = component.properties.state === 'closed' || mna.closed.has(component.name);
+    const { toggle } = component.properties;
+    if (toggle !== undefined) {
+        mna.breakAt(toggle);
+        if (mna.time > toggle) closed = !closed;
+    }
+    if (closed) {
+        mna.conductance(component, '1', '2', 1 / SOLVER_SHORT_RESISTANCE);
+    }
+}
+
+// Basic Components
+CircuitEngine.registerSymbol('resistor', {
+    draw: CircuitEngine.prototype.drawResistor,
+    defaultValue: '1k',
+    stamp(mna, component) {
+        mna.conductance(component, '1', '2', 1 / mna.valueOf(component));
+    },
+    palette: { category: 'Basic Components', name: 'Resistor', icon: '⟡', prefix: 'R' }
+});
+CircuitEngine.registerSymbol('capacitor', {
+    draw: CircuitEngine.prototype.drawCapacitor,
+    defaultValue: '100uF',
+    stamp(mna, component) {
+        mna.capacitance(component, '1', '2', mna.valueOf(component));
+    },
+    palette: { category: 'Basic Components', name: 'Capacitor', icon: '⊓', prefix: 'C' }
+});
+CircuitEngine.registerSymbol('inductor', {
+    draw: CircuitEngine.prototype.drawInductor,
+    defaultValue: '10mH',
+    stamp(mna, component) {
+        mna.inductance(component, '1', '2', mna.valueOf(component));
+    },
+    palette: { category: 'Basic Components', name: 'Inductor', icon: '〰️', prefix: 'L' }
+});
+CircuitEngine.registerSymbol('led', {
+    draw: CircuitEngine.prototype.drawLED,
+    defaultValue: 'red',
+    // Conducts if (20mA unless given) at vf (2V unless given)
+    stamp(mna, component) {
+        const { vf = 2, if: rated = 0.02 } = component.properties;
+        stampDiode(mna, component, { saturation: saturationCurrent(vf, rated, 2), emission: 2 });
+    },
+    palette: { category: 'Basic Components', name: 'LED', icon: '💡', prefix: 'LED' },
+    simulate: SimulationEngine.prototype.simulateLeds
+});
+CircuitEngine.registerSymbol('battery', {
+    draw: CircuitEngine.prototype.drawBattery,
+    defaultValue: '9V',
+    validate(component) {
+        const { period, width } = component.properties;
+        if (period !== undefined && period <= 0) return 'period must be longer than 0s';
+        if (width !== undefined && width > (period !== undefined ? period : SOURCE_PERIOD)) return 'width must not be longer than the period';
+        return null;
+    },
+    // Its value, or the wave written with wave= in the transient analysis
+    stamp(mna, component) {
+        mna.voltageSource(component, 'POS', 'NEG', sourceVoltage(mna, component, mna.valueOf(component)));
+    },
+    palette: { category: 'Basic Components', name: 'Battery', icon: '🔋', prefix: 'V' }
+});
+CircuitEngine.registerSymbol('ground', {
+    draw: CircuitEngine.prototype.drawGround,
+    palette: { category: 'Basic Components', name: 'Ground', icon: '⏚', prefix: 'GND' }
+});
+CircuitEngine.registerSymbol('switch', {
+    draw: CircuitEngine.prototype.drawSwitch,
+    stamp: stampSwitch,
+    palette: { category: 'Basic Components', name: 'Switch', icon: '🔘', prefix: 'SW' }
+});
+CircuitEngine.registerSymbol('npn', {
+    draw: CircuitEngine.prototype.drawTransistor,
+    stamp(mna, component) {
+        stampBjt(mna, component, 1);
+    },
+    palette: { category: 'Basic Components', name: 'Transistor', icon: '▷', prefix: 'Q' }
+});
+CircuitEngine.registerSymbol('transistor', {
+    draw: CircuitEngine.prototype.drawTransistor,
+    stamp(mna, component) {
+        stampBjt(mna, component, 1);
+    }
+});
+
+// Arduino Boards (levels: the range VIN takes, the level of the GPIOs and the most they take)
+CircuitEngine.registerSymbol('arduino_uno', {
+    draw: CircuitEngine.prototype.drawArduinoUno,
+    levels: { supply: [7, 12], logic: 5, maxInput: 5.5 },
+    palette: { category: 'Arduino Boards', name: 'Arduino Uno', icon: '🔲', prefix: 'ARDUINO' }
+});
+CircuitEngine.registerSymbol('arduino_nano', {
+    draw: CircuitEngine.prototype.drawArduinoNano,
+    levels: { supply: [7, 12], logic: 5, maxInput: 5.5 },
+    palette: { category: 'Arduino Boards', name: 'Arduino Nano', icon: '🟩', prefix: 'NANO' }
+});
+CircuitEngine.registerSymbol('arduino_mega', {
+    draw: CircuitEngine.prototype.drawArduinoMega,
+    levels: { supply: [7, 12], logic: 5, maxInput: 5.5 },
+    palette: { category: 'Arduino Boards', name: 'Arduino Mega', icon: '🟦', prefix: 'MEGA' }
+});
+CircuitEngine.registerSymbol('esp32', {
+    draw: CircuitEngine.prototype.drawESP32,
+    levels: { supply: [4.5, 12], logic: 3.3, maxInput: 3.6 },
+    palette: { category: 'Arduino Boards', name: 'ESP32 Dev Board', icon: '📶', prefix: 'ESP32_' }
+});
+CircuitEngine.registerSymbol('esp32_cam', {
+    draw: CircuitEngine.prototype.drawESP32CAM,
+    levels: { logic: 3.3, maxInput: 3.6 },
+    palette: { category: 'Arduino Boards', name: 'ESP32-CAM', icon: '📷', prefix: 'CAM' }
+});
+CircuitEngine.registerSymbol('esp8266', {
+    draw: CircuitEngine.prototype.drawESP8266,
+    levels: { supply: [4.5, 10], logic: 3.3, maxInput: 3.6 },
+    palette: { category: 'Arduino Boards', name: 'ESP8266 NodeMCU', icon: '📡', prefix: 'ESP' }
+});
+
+// Sensors (levels: supply range; outputs follow the supply unless a logic level is given)
+CircuitEngine.registerSymbol('ultrasonic', {
+    draw: CircuitEngine.prototype.drawUltrasonic,
+    defaultValue: 'HC-SR04',
+    levels: { supply: [4.5, 5.5], logic: 5 },
+    palette: { category: 'Sensors', name: 'Ultrasonic', icon: '📡', prefix: 'HC' },
+    simulate: SimulationEngine.prototype.simulateUltrasonicSensor
+});
+CircuitEngine.registerSymbol('dht11', {
+    draw: CircuitEngine.prototype.drawDHT11,
+    levels: { supply: [3, 5.5] },
+    palette: { category: 'Sensors', name: 'DHT11 Sensor', icon: '🌡️', prefix: 'DHT' },
+    simulate: SimulationEngine.prototype.simulateDHTSensor
+});
+CircuitEngine.registerSymbol('dht22', {
+    draw: CircuitEngine.prototype.drawDHT22,
+    levels: { supply: [3.3, 6] },
+    palette: { category: 'Sensors', name: 'DHT22 Sensor', icon: '🌡️', prefix: 'DHT' },
+    simulate: SimulationEngine.prototype.simulateDHTSensor
+});
+CircuitEngine.registerSymbol('pir', {
+    draw: CircuitEngine.prototype.drawPIR,
+    levels: { supply: [4.5, 20], logic: 3.3 },
+    palette: { category: 'Sensors', name: 'PIR Motion', icon: '👤', prefix: 'PIR' }
+});
+CircuitEngine.registerSymbol('ir_sensor', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    palette: { category: 'Sensors', name: 'IR Sensor', icon: '🔴', prefix: 'IR' }
+});
+CircuitEngine.registerSymbol('accelerometer', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    defaultValue: 'MPU6050',
+    palette: { category: 'Sensors', name: 'Accelerometer', icon: '📐', prefix: 'ACC' }
+});
+CircuitEngine.registerSymbol('gyro', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    defaultValue: 'MPU6050',
+    palette: { category: 'Sensors', name: 'Gyroscope', icon: '🔄', prefix: 'GYRO' }
+});
+CircuitEngine.registerSymbol('ldr', {
+    draw: CircuitEngine.prototype.drawLDR,
+    palette: { category: 'Sensors', name: 'LDR', icon: '☀️', prefix: 'LDR' },
+    simulate: SimulationEngine.prototype.simulateLightSensor
+});
+
+// Actuators
+CircuitEngine.registerSymbol('servo', {
+    draw: CircuitEngine.prototype.drawServo,
+    defaultValue: 'SG90',
+    levels: { supply: [4.8, 6] },
+    palette: { category: 'Actuators', name: 'Servo Motor', icon: '⚙️', prefix: 'SERVO' },
+    simulate: SimulationEngine.prototype.simulateServos
+});
+CircuitEngine.registerSymbol('dc_motor', {
+    draw: CircuitEngine.prototype.drawDCMotor,
+    palette: { category: 'Actuators', name: 'DC Motor', icon: '🔄', prefix: 'M' }
+});
+CircuitEngine.registerSymbol('stepper', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    defaultValue: '28BYJ48',
+    palette: { category: 'Actuators', name: 'Stepper Motor', icon: '🔧', prefix: 'STEP' }
+});
+CircuitEngine.registerSymbol('relay', {
+    draw: CircuitEngine.prototype.drawRelay,
+    defaultValue: '5V',
+    palette: { category: 'Actuators', name: 'Relay', icon: '🔌', prefix: 'RELAY' }
+});
+CircuitEngine.registerSymbol('buzzer', {
+    draw: CircuitEngine.prototype.drawBuzzer,
+    palette: { category: 'Actuators', name: 'Buzzer', icon: '🔊', prefix: 'BUZZ' }
+});
+CircuitEngine.registerSymbol('rgb_led', {
+    draw: CircuitEngine.prototype.drawRGBLED,
+    palette: { category: 'Actuators', name: 'RGB LED', icon: '🌈', prefix: 'RGB' }
+});
+
+// Display & Input
+CircuitEngine.registerSymbol('lcd', {
+    draw: CircuitEngine.prototype.drawLCD,
+    defaultValue: '16x2',
+    levels: { supply: [4.5, 5.5] },
+    palette: { category: 'Display & Input', name: 'LCD 16x2', icon: '📺', prefix: 'LCD' }
+});
+CircuitEngine.registerSymbol('oled', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    defaultValue: '128x64',
+    palette: { category: 'Display & Input', name: 'OLED Display', icon: '📱', prefix: 'OLED' }
+});
+CircuitEngine.registerSymbol('7segment', {
+    draw: CircuitEngine.prototype.drawGenericComponent,
+    palette: { category: 'Display & Input', name: '7-Segment', icon: '🔢', prefix: 'SEG' }
+});
+CircuitEngine.registerSymbol('potentiometer', {
+    draw: CircuitEngine.prototype.drawPotentiometer,
+    defaultValue: '10k',
+    // The track split at the wiper, halfway unless position is given
+    stamp(mna, component) {
+        const total = mna.valueOf(component);
+        const position = component.properties.position !== undefined ? component.properties.position : 0.5;
+        mna.conductance(component, '1', 'W', 1 / Math.max(total * position, SOLVER_SHORT_RESISTANCE));
+        mna.conductance(component, 'W', '2', 1 / Math.max(total * (1 - position), SOLVER_SHORT_RESISTANCE));
+    },
+    palette: { category: 'Display & Input', name: 'Potentiometer', icon: '🎚️', prefix: 'POT' }
+});
+CircuitEngine.registerSymbol('pushbutton', {
+    draw: CircuitEngine.prototype.drawPushButton,
+    stamp: stampSwitch,
+    palette: { category: 'Display & Input', name: 'Push Button', icon: '🔴', prefix: 'BTN' }
+});
+
+// Virtual Objects for the simulation
+CircuitEngine.registerSymbol('virtual_wall', {
+    draw: CircuitEngine.prototype.drawVirtualWall,
+    palette: { category: 'Virtual Objects', name: 'Virtual Wall', icon: '🧱', prefix: 'WALL' }
+});
+CircuitEngine.registerSymbol('virtual_obstacle', {
+    draw: CircuitEngine.prototype.drawVirtualObstacle,
+    palette: { category: 'Virtual Objects', name: 'Virtual Obstacle', icon: '🚧', prefix: 'OBJ' }
+});
+CircuitEngine.registerSymbol('virtual_target', {
+    draw: CircuitEngine.prototype.drawVirtualTarget,
+    palette: { category: 'Virtual Objects', name: 'Virtual Target', icon: '🎯', prefix: 'TARGET' }
+});
+CircuitEngine.registerSymbol('virtual_light', {
+    draw: CircuitEngine.prototype.drawVirtualLight,
+    palette: { category: 'Virtual Objects', name: 'Virtual Light', icon: '💡', prefix: 'LIGHT' }
+});
@@ -0,0 +1,229 @@
+// Generic ICs
+// An ic is drawn from the pin table written on it, e.g. U1: ic 74HC595 left=[SER, RCLK, SRCLK] right=[Q0..Q7].
+// Pins are numbered counter-clockwise from the top of the left side, as on a DIP package, unless an entry
+// gives its number (OE:13); an entry may also give its electrical type (SER:input or OE:13:input).
+
+// Spacing of the pins along a side, and the length of the leads of a DIP package
+const IC_PIN_PITCH = 20;
+const IC_LEAD_LENGTH = 20;
+
+// Pins of an ic written without a pin table
+const IC_DEFAULT_PINS = 8;
+
+// Sides of the body, and the way the leads on each point
+const IC_SIDES = { left: 'left', right: 'right', top: 'up', bottom: 'down' };
+
+// Electrical type of an ic pin from its name when the table does not give one
+function icPinType(name) {
+    if (/^[AD]?(VCC|VDD|VIN|VBAT|GND|VSS|VEE)$/i.test(name)) return 'power-in';
+    if (/^NC$/i.test(name)) return 'nc';
+    return 'io';
+}
+
+// Pins of an ic from its properties, numbered, as [{ name, number, type, side }]; or { error } for a bad table
+function readIcPinTable(properties) {
+    const count = properties.pins;
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+        return { error: `pins=${count} must be a whole number of pins` };
+    }
+
+    // Without a table the pins are named by their numbers, half down each side
+    let sides = { left: properties.left || [], right: properties.right || [], top: properties.top || [], bottom: properties.bottom || [] };
+    if (Object.values(sides).every(side => side.length === 0)) {
+        const total = count || IC_DEFAULT_PINS;
+        if (total % 2 !== 0) return { error: `An ic without a pin table needs an even number of pins, not ${total}` };
+        const numbers = pinRange('', 1, total);
+        sides = { left: numbers.slice(0, total / 2), right: numbers.slice(total / 2).reverse(), top: [], bottom: [] };
+    }
+
+    const pins = [];
+    for (const side of Object.keys(IC_SIDES)) {
+        for (const entry of sides[side]) {
+            const [name, ...details] = entry.split(':');
+            const number = details.find(detail => /^\d+$/.test(detail));
+            const type = details.find(detail => !/^\d+$/.test(detail));
+            if (type && !PIN_TYPES.includes(type)) {
+                return { error: `Pin '${name}' has type '${type}'; use one of ${PIN_TYPES.join(', ')}` };
+            }
+            if (pins.some(pin => pin.name.toLowerCase() === name.toLowerCase())) {
+                return { error: `Pin '${name}' is listed twice` };
+            }
+            pins.push({ name, number: number ? parseInt(number) : null, type: type || icPinType(name), side });
+        }
+    }
+
+    const numbered = pins.filter(pin => pin.number !== null);
+    const reused = numbered.find(pin => numbered.some(other => other !== pin && other.number === pin.number));
+    if (reused) return { error: `Pin number ${reused.number} is given to more than one pin` };
+    if (count !== undefined && pins.length !== count) {
+        return { error: `The pin table lists ${pins.length} pins but pins=${count}` };
+    }
+    const outside = numbered.find(pin => pin.number < 1 || pin.number > pins.length);
+    if (outside) return { error: `Pin '${outside.name}' is numbered ${outside.number}; the ic has ${pins.length} pins` };
+
+    // Remaining numbers run down the left, along the bottom, up the right and back along the top
+    const around = [
+        ...pins.filter(pin => pin.side === 'left'),
+        ...pins.filter(pin => pin.side === 'bottom'),
+        ...pins.filter(pin => pin.side === 'right').reverse(),
+        ...pins.filter(pin => pin.side === 'top').reverse()
+    ];
+    const used = new Set(numbered.map(pin => pin.number));
+    let next = 1;
+    around.filter(pin => pin.number === null).forEach(pin => {
+        while (used.has(next)) next++;
+        pin.number = next;
+        used.add(next);
+    });
+    return { pins };
+}
+
+// Body, size and placed pins of an ic; null when its pin table is not valid
+function layoutIc(component) {
+    const table = readIcPinTable(component.properties);
+    if (table.error) return null;
+
+    const module = component.properties.package === 'module';
+    const on = side => table.pins.filter(pin => pin.side === side);
+    const lead = side => (module || on(side).length === 0 ? 0 : IC_LEAD_LENGTH);
+    const snap = value => Math.ceil(value / IC_PIN_PITCH) * IC_PIN_PITCH;
+
+    // Names on the left and right sides sit inside the body facing each other, so long names widen it;
+    // names along the top and bottom take a row of their own
+    const longest = side => Math.max(0, ...on(side).map(pin => pin.name.length));
+    const band = side => (on(side).length > 0 ? IC_PIN_PITCH : 0);
+    const rows = Math.max(on('left').length, on('right').length);
+    const columns = Math.max(on('top').length, on('bottom').length);
+    const body = {
+        x: lead('left'),
+        y: lead('top'),
+        width: snap(Math.max(60, (columns + 1) * IC_PIN_PITCH, (longest('left') + longest('right')) * 6 + 20)),
+        height: snap(Math.max(40, (rows + 1) * IC_PIN_PITCH + band('top') + band('bottom')))
+    };
+    const size = { width: body.x + body.width + lead('right'), height: body.y + body.height + lead('bottom') };
+
+    // Each side's pins are centred along it, on the 10px grid
+    const along = (count, from, length) => Math.round((from + (length - (count - 1) * IC_PIN_PITCH) / 2) / 10) * 10;
+    const pins = [];
+    Object.keys(IC_SIDES).forEach(side => {
+        const list = on(side);
+        const vertical = side === 'left' || side === 'right';
+        const start = vertical
+            ? along(list.length, body.y + band('top'), body.height - band('top') - band('bottom'))
+            : along(list.length, body.x, body.width);
+        list.forEach((pin, index) => {
+            const offset = start + index * IC_PIN_PITCH;
+            pins.push({
+                name: pin.name,
+                number: pin.number,
+                x: side === 'left' ? 0 : side === 'right' ? size.width : offset,
+                y: side === 'top' ? 0 : side === 'bottom' ? size.height : offset,
+                dir: IC_SIDES[side],
+                type: pin.type,
+                header: module
+            });
+        });
+    });
+    return { size, body, pins };
+}
+
+// A DIP body with a notch, numbered leads and the pin names inside (logic blocks have no numbers or notch);
+// a module is a board whose pads and names are drawn by drawPins
+function drawIc(svg, component) {
+    if (!component.layout) {
+        this.drawGenericComponent(svg, component);
+        return;
+    }
+
+    const { size, body, pins } = component.layout;
+    const module = component.properties.package === 'module';
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.setAttribute('transform', symbolTransform(component));
+
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', body.x);
+    rect.setAttribute('y', body.y);
+    rect.setAttribute('width', body.width);
+    rect.setAttribute('height', body.height);
+    rect.setAttribute('class', 'circuit-component');
+    rect.setAttribute('fill', module ? '#1565c0' : '#f3f4f6');
+    rect.setAttribute('rx', module ? '3' : '1');
+    g.appendChild(rect);
+
+    if (!module) {
+        // Only a numbered package has a pin 1 end to mark
+        if (pins.some(pin => pin.number !== null)) {
+            const notch = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            notch.setAttribute('d', `M ${body.x + body.width / 2 - 6} ${body.y} A 6 6 0 0 0 ${body.x + body.width / 2 + 6} ${body.y}`);
+            notch.setAttribute('class', 'circuit-component');
+            g.appendChild(notch);
+        }
+
+        pins.forEach(pin => {
+            const vertical = pin.dir === 'left' || pin.dir === 'right';
+            const edge = {
+                left: [body.x, pin.y], right: [body.x + body.width, pin.y],
+                up: [pin.x, body.y], down: [pin.x, body.y + body.height]
+            }[pin.dir];
+
+            const leadLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            leadLine.setAttribute('x1', pin.x);
+            leadLine.setAttribute('y1', pin.y);
+            leadLine.setAttribute('x2', edge[0]);
+            leadLine.setAttribute('y2', edge[1]);
+            leadLine.setAttribute('class', 'circuit-wire');
+            g.appendChild(leadLine);
+
+            // Number above the lead (logic blocks leave their pins unnumbered), name inside the body
+            if (pin.number !== null) {
+                const number = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                number.setAttribute('x', vertical ? (pin.x + edge[0]) / 2 : pin.x + 3);
+                number.setAttribute('y', vertical ? pin.y - 3 : (pin.y + edge[1]) / 2 + 3);
+                number.setAttribute('class', 'circuit-text');
+                number.setAttribute('text-anchor', vertical ? 'middle' : 'start');
+                number.setAttribute('font-size', '7');
+                number.textContent = pin.number;
+                g.appendChild(number);
+            }
+
+            // Clock inputs on the left get the edge-triggered wedge, with their name moved past it
+            const clock = pin.dir === 'left' && pin.type === 'input' && /CLK$/i.test(pin.name);
+            if (clock) {
+                const wedge = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                wedge.setAttribute('d', `M ${edge[0]} ${pin.y - 4} L ${edge[0] + 6} ${pin.y} L ${edge[0]} ${pin.y + 4}`);
+                wedge.setAttribute('class', 'circuit-component');
+                wedge.setAttribute('stroke-width', '1');
+                g.appendChild(wedge);
+            }
+
+            const inside = { left: [clock ? 9 : 4, 3, 'start'], right: [-4, 3, 'end'], up: [0, 11, 'middle'], down: [0, -4, 'middle'] };
+            const [dx, dy, anchor] = inside[pin.dir];
+            const name = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            name.setAttribute('x', edge[0] + dx);
+            name.setAttribute('y', edge[1] + dy);
+            name.setAttribute('class', 'circuit-text');
+            name.setAttribute('text-anchor', anchor);
+            name.setAttribute('font-size', '8');
+            name.textContent = pin.name;
+            g.appendChild(name);
+        });
+    }
+
+    this.addLabel(g, component.name, component.displayValue, size.width / 2, size.height + 20);
+    svg.appendChild(g);
+}
+
+CircuitEngine.registerSymbol('ic', {
+    draw: drawIc,
+    layout: layoutIc,
+    validate: component => readIcPinTable(component.properties).error || null,
+    properties: {
+        pins: { kind: 'number', description: 'Number of pins; without a pin table they are named 1, 2, ...' },
+        left: { kind: 'list', description: 'Pins down the left side, e.g. [SER, RCLK, OE:13]' },
+        right: { kind: 'list', description: 'Pins down the right side, e.g. [Q0..Q7]' },
+        top: { kind: 'list', description: 'Pins along the top, left to right' },
+        bottom: { kind: 'list', description: 'Pins along the bottom, left to right' },
+        package: { kind: 'choice', choices: ['dip', 'module'], description: 'DIP chip with numbered leads, or a module with header pads' }
+    },
+    palette: { category: 'Integrated Circuits', name: 'Generic IC', icon: '🔲', prefix: 'U' }
+});
@@ -0,0 +1,196 @@
+// Logic Symbols
+// Gates, flip-flops, a counter, the 74HC595 shift register and a clock source. Each has a logic model,
+// logic(inputs, state, { component, time }), returning its output levels by pin name; the LogicSimulator
+// calls it whenever an input changes. Levels are 1, 0 or null for unknown.
+
+// Gate bodies: where the input leads end, where the output lead starts and the outline
+const GATE_SHAPES = {
+    and: { inputEnd: 20, outputStart: 55, outline: ['M 20 5 L 40 5 A 15 15 0 0 1 40 35 L 20 35 Z'] },
+    or: { inputEnd: 21, outputStart: 58, outline: ['M 18 5 Q 40 5 58 20 Q 40 35 18 35 Q 26 20 18 5 Z'] },
+    xor: { inputEnd: 16, outputStart: 58, outline: ['M 18 5 Q 40 5 58 20 Q 40 35 18 35 Q 26 20 18 5 Z', 'M 13 5 Q 21 20 13 35'] },
+    not: { inputEnd: 25, outputStart: 55, outline: ['M 25 5 L 25 35 L 55 20 Z'] }
+};
+
+// Gates by type: the body they are drawn with, whether the output has an inverting bubble and what they compute
+const LOGIC_GATES = {
+    and: { shape: 'and', inverted: false, name: 'AND Gate', evaluate: (a, b) => logicAnd(a, b) },
+    or: { shape: 'or', inverted: false, name: 'OR Gate', evaluate: (a, b) => logicOr(a, b) },
+    nand: { shape: 'and', inverted: true, name: 'NAND Gate', evaluate: (a, b) => logicNot(logicAnd(a, b)) },
+    nor: { shape: 'or', inverted: true, name: 'NOR Gate', evaluate: (a, b) => logicNot(logicOr(a, b)) },
+    xor: { shape: 'xor', inverted: false, name: 'XOR Gate', evaluate: (a, b) => (a === null || b === null ? null : a ^ b) },
+    not: { shape: 'not', inverted: true, name: 'NOT Gate', evaluate: a => logicNot(a) }
+};
+
+// Gate outline with its leads; a one-input gate takes its input on the middle line
+function drawGate(engine, svg, component, gate) {
+    const shape = GATE_SHAPES[gate.shape];
+    const g = symbolElement('g', { transform: symbolTransform(component) });
+    shape.outline.forEach(d => g.appendChild(symbolElement('path', { d, class: 'circuit-component' })));
+
+    const inputs = gate.shape === 'not' ? [20] : [10, 30];
+    inputs.forEach(y => g.appendChild(symbolElement('line', { x1: 0, y1: y, x2: shape.inputEnd, y2: y, class: 'circuit-wire' })));
+
+    let outputStart = shape.outputStart;
+    if (gate.inverted) {
+        g.appendChild(symbolElement('circle', { cx: outputStart + 4, cy: 20, r: 4, class: 'circuit-component' }));
+        outputStart += 8;
+    }
+    g.appendChild(symbolElement('line', { x1: outputStart, y1: 20, x2: 80, y2: 20, class: 'circuit-wire' }));
+
+    engine.addLabel(g, component.name, component.displayValue, 40, 50);
+    svg.appendChild(g);
+}
+
+// Layout of a block drawn like an ic but without pin numbers, from its pin table
+function layoutLogicBlock(left, right) {
+    const layout = layoutIc({ properties: { left, right } });
+    if (layout) layout.pins.forEach(pin => { pin.number = null; });
+    return layout;
+}
+
+// Whether a clock input went from low to high since the last evaluation; remembers the level in state
+function risingEdge(state, key, level) {
+    const rising = state[key] === 0 && level === 1;
+    state[key] = level;
+    return rising;
+}
+
+Object.entries(LOGIC_GATES).forEach(([type, gate]) => {
+    CircuitEngine.registerSymbol(type, {
+        draw(svg, component) {
+            drawGate(this, svg, component, gate);
+        },
+        pins: gate.shape === 'not'
+            ? [{ name: 'A', x: 0, y: 20, dir: 'left', type: 'input' }, { name: 'Y', x: 80, y: 20, dir: 'right', type: 'output' }]
+            : [
+                { name: 'A', x: 0, y: 10, dir: 'left', type: 'input' },
+                { name: 'B', x: 0, y: 30, dir: 'left', type: 'input' },
+                { name: 'Y', x: 80, y: 20, dir: 'right', type: 'output' }
+            ],
+        logic: inputs => ({ Y: gate.evaluate(inputs.A, inputs.B) }),
+        simulate: SimulationEngine.prototype.simulateLogic,
+        palette: { category: 'Logic', name: gate.name, icon: '🔀', prefix: 'U' }
+    });
+});
+
+// Flip-flops change on the rising edge of CLK and start cleared
+CircuitEngine.registerSymbol('dff', {
+    draw: drawIc,
+    layout: () => layoutLogicBlock(['D:input', 'CLK:input'], ['Q:output', 'QN:output']),
+    logic(inputs, state) {
+        if (state.q === undefined) state.q = 0;
+        if (risingEdge(state, 'clk', inputs.CLK)) state.q = inputs.D;
+        return { Q: state.q, QN: logicNot(state.q) };
+    },
+    simulate: SimulationEngine.prototype.simulateLogic,
+    palette: { category: 'Logic', name: 'D Flip-Flop', icon: '💾', prefix: 'U' }
+});
+
+CircuitEngine.registerSymbol('jkff', {
+    draw: drawIc,
+    layout: () => layoutLogicBlock(['J:input', 'CLK:input', 'K:input'], ['Q:output', 'QN:output']),
+    logic(inputs, state) {
+        if (state.q === undefined) state.q = 0;
+        if (risingEdge(state, 'clk', inputs.CLK)) {
+            if (inputs.J === null || inputs.K === null) state.q = null;
+            else if (inputs.J === 1 && inputs.K === 1) state.q = logicNot(state.q);
+            else if (inputs.J === 1 || inputs.K === 1) state.q = inputs.J;
+        }
+        return { Q: state.q, QN: logicNot(state.q) };
+    },
+    simulate: SimulationEngine.prototype.simulateLogic,
+    palette: { category: 'Logic', name: 'JK Flip-Flop', icon: '💾', prefix: 'U' }
+});
+
+// Binary counter with bits outputs Q0 (lowest) up; RST high clears it at once
+CircuitEngine.registerSymbol('counter', {
+    draw: drawIc,
+    layout(component) {
+        const bits = component.properties.bits !== undefined ? component.properties.bits : 4;
+        if (!Number.isInteger(bits) || bits < 1 || bits > 16) return null;
+        return layoutLogicBlock(['CLK:input', 'RST:input'], pinRange('Q', 0, bits - 1).map(pin => `${pin}:output`));
+    },
+    validate(component) {
+        const bits = component.properties.bits;
+        if (bits !== undefined && (!Number.isInteger(bits) || bits < 1 || bits > 16)) {
+            return `bits=${bits} must be a whole number from 1 to 16`;
+        }
+        return null;
+    },
+    properties: {
+        bits: { kind: 'number', description: 'Number of outputs Q0, Q1, ... (default 4)' }
+    },
+    logic(inputs, state, { component }) {
+        const bits = component.properties.bits !== undefined ? component.properties.bits : 4;
+        if (state.count === undefined) state.count = 0;
+        const clocked = risingEdge(state, 'clk', inputs.CLK);
+        if (inputs.RST === 1) state.count = 0;
+        else if (clocked) state.count = (state.count + 1) % 2 ** bits;
+
+        const outputs = {};
+        for (let bit = 0; bit < bits; bit++) {
+            outputs[`Q${bit}`] = (state.count >> bit) & 1;
+        }
+        return outputs;
+    },
+    simulate: SimulationEngine.prototype.simulateLogic,
+    palette: { category: 'Logic', name: 'Binary Counter', icon: '🔢', prefix: 'U' }
+});
+
+// 74HC595 with its DIP pin numbers: SRCLK shifts SER into Q0, RCLK copies the register to the outputs,
+// SRCLR low clears the register and OE high lets Q0-Q7 float; Q7S follows the register for chaining
+CircuitEngine.registerSymbol('74hc595', {
+    draw: drawIc,
+    layout: () => layoutIc({
+        properties: {
+            left: ['SER:14:input', 'SRCLK:11:input', 'RCLK:12:input', 'SRCLR:10:input', 'OE:13:input'],
+            right: ['Q0:15:output', ...pinRange('Q', 1, 7).map((pin, index) => `${pin}:${index + 1}:output`), 'Q7S:9:output'],
+            top: ['VCC:16'],
+            bottom: ['GND:8']
+        }
+    }),
+    defaultValue: '74HC595',
+    logic(inputs, state) {
+        if (!state.shift) {
+            state.shift = new Array(8).fill(0);
+            state.latch = new Array(8).fill(0);
+        }
+        const shifted = risingEdge(state, 'srclk', inputs.SRCLK);
+        const latched = risingEdge(state, 'rclk', inputs.RCLK);
+
+        // Both clocks rising together latch the register as it was before the shift
+        if (latched) state.latch = [...state.shift];
+        if (inputs.SRCLR === 0) state.shift.fill(0);
+        else if (shifted) state.shift = [inputs.SER, ...state.shift.slice(0, 7)];
+
+        const outputs = { Q7S: state.shift[7] };
+        state.latch.forEach((level, bit) => {
+            outputs[`Q${bit}`] = inputs.OE === 0 ? level : null;
+        });
+        return outputs;
+    },
+    simulate: SimulationEngine.prototype.simulateLogic,
+    palette: { category: 'Logic', name: '74HC595 Shift Register', icon: '📤', prefix: 'U' }
+});
+
+// Square wave source whose value is its frequency; it starts low and rises after half a period
+CircuitEngine.registerSymbol('clock', {
+    draw(svg, component) {
+        const g = symbolElement('g', { transform: symbolTransform(component) });
+        g.appendChild(symbolElement('rect', { x: 15, y: 5, width: 40, height: 30, rx: 2, class: 'circuit-component' }));
+        g.appendChild(symbolElement('path', { d: 'M 20 28 L 27 28 L 27 12 L 35 12 L 35 28 L 43 28 L 43 12 L 50 12', class: 'circuit-component', 'stroke-width': 1.5 }));
+        g.appendChild(symbolElement('line', { x1: 55, y1: 20, x2: 80, y2: 20, class: 'circuit-wire' }));
+
+        this.addLabel(g, component.name, component.displayValue, 40, 50);
+        svg.appendChild(g);
+    },
+    pins: [{ name: 'OUT', x: 80, y: 20, dir: 'right', type: 'output' }],
+    defaultValue: '1Hz',
+    valueUnit: 'Hz',
+    logic(inputs, state, { component, time }) {
+        const frequency = component.numericValue > 0 ? component.numericValue : 1;
+        return { OUT: Math.floor(time * frequency * 2) % 2 };
+    },
+    simulate: SimulationEngine.prototype.simulateLogic,
+    palette: { category: 'Logic', name: 'Clock', icon: '🕐', prefix: 'CLK' }
+});
@@ -0,0 +1,137 @@
+// Engineering Values
+// Parses component values such as 4.7k, 4k7, 2R2, 100uF or 3.3V into numbers with SI units
+
+// SI prefix multipliers; 'meg' is accepted for mega since 'm' means milli
+const SI_PREFIXES = {
+    p: 1e-12,
+    n: 1e-9,
+    u: 1e-6,
+    'µ': 1e-6,
+    'μ': 1e-6,
+    m: 1e-3,
+    k: 1e3,
+    K: 1e3,
+    M: 1e6,
+    meg: 1e6,
+    G: 1e9
+};
+
+// Unit spellings and their SI symbol
+const UNIT_SYMBOLS = {
+    'Ω': 'Ω',
+    ohm: 'Ω',
+    ohms: 'Ω',
+    r: 'Ω',
+    f: 'F',
+    h: 'H',
+    v: 'V',
+    a: 'A',
+    hz: 'Hz',
+    w: 'W',
+    s: 's'
+};
+
+// Unit names for messages
+const UNIT_NAMES = {
+    'Ω': 'ohms',
+    F: 'farads',
+    H: 'henries',
+    V: 'volts',
+    A: 'amps',
+    Hz: 'hertz',
+    W: 'watts',
+    s: 'seconds'
+};
+
+// Unit the value of each component type is measured in
+const VALUE_UNITS = {
+    resistor: 'Ω',
+    potentiometer: 'Ω',
+    ldr: 'Ω',
+    capacitor: 'F',
+    inductor: 'H',
+    battery: 'V'
+};
+
+// Sample values for messages
+const VALUE_EXAMPLES = {
+    'Ω': '4.7k, 4k7, 2R2',
+    F: '100nF, 10uF',
+    H: '10mH',
+    V: '9V, 3.3V',
+    A: '500mA, 2A',
+    Hz: '16MHz, 32.768kHz'
+};
+
+// Prefixes used when formatting, largest first
+const FORMAT_PREFIXES = [['G', 1e9], ['M', 1e6], ['k', 1e3], ['', 1], ['m', 1e-3], ['µ', 1e-6], ['n', 1e-9], ['p', 1e-12]];
+
+// Parse an engineering value; returns { value, unit } or null when the text is not a number
+function parseEngineeringValue(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?|\.\d+)(meg|[pnuµμmkKMGRr])?(\d+)?\s*(Ω|ohms?|hz|[fhvaws])?$/i);
+    if (!match) return null;
+
+    const [, number, prefix, fraction, unitText] = match;
+
+    // 4k7 and 2R2 put the prefix where the decimal point goes
+    if (fraction !== undefined && (!prefix || number.includes('.'))) return null;
+
+    let multiplier = 1;
+    let unit = unitText ? UNIT_SYMBOLS[unitText.toLowerCase()] || unitText : '';
+
+    if (prefix) {
+        if (prefix === 'R' || prefix === 'r') {
+            if (unitText && unit !== 'Ω') return null;
+            unit = 'Ω';
+        } else {
+            multiplier = prefix.toLowerCase() === 'meg' ? SI_PREFIXES.meg : SI_PREFIXES[prefix];
+            if (multiplier === undefined) return null;
+        }
+    }
+
+    // Round away binary noise such as 100u -> 9.999999999999999e-5
+    const value = parseFloat(fraction !== undefined ? `${number}.${fraction}` : number) * multiplier;
+    return { value: parseFloat(value.toPrecision(12)), unit };
+}
+
+// Format a number with an SI prefix, e.g. 4700 Ω -> 4.7kΩ
+function formatEngineeringValue(value, unit = '', precision = 3) {
+    if (value === 0) return `0${unit}`;
+
+    const magnitude = Math.abs(value);
+    const [prefix, multiplier] = FORMAT_PREFIXES.find(([, m]) => magnitude >= m) || FORMAT_PREFIXES[FORMAT_PREFIXES.length - 1];
+    const scaled = parseFloat((value / multiplier).toPrecision(precision));
+    return `${scaled}${prefix}${unit}`;
+}
+
+// Resolve a component's value against the unit its type expects
+// Returns { numericValue, unit, displayValue, error }
+function resolveComponentValue(type, text) {
+    const expected = VALUE_UNITS[type];
+    const result = { numericValue: null, unit: '', displayValue: text, error: null };
+    if (!text) return result;
+
+    const parsed = parseEngineeringValue(text);
+    if (!expected) {
+        // Free-form values (LED colours, module names) keep their text; plain quantities are still read
+        if (parsed) {
+            result.numericValue = parsed.value;
+            result.unit = parsed.unit;
+        }
+        return result;
+    }
+
+    if (!parsed) {
+        result.error = `'${text}' is not a valid ${type} value in ${UNIT_NAMES[expected]} (e.g. ${VALUE_EXAMPLES[expected]})`;
+        return result;
+    }
+    if (parsed.unit && parsed.unit !== expected) {
+        result.error = `A ${type} value must be in ${UNIT_NAMES[expected]} (${expected}), not ${UNIT_NAMES[parsed.unit] || parsed.unit} (${parsed.unit})`;
+        return result;
+    }
+
+    result.numericValue = parsed.value;
+    result.unit = expected;
+    result.displayValue = formatEngineeringValue(parsed.value, expected);
+    return result;
+}
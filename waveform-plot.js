@@ -0,0 +1,202 @@
+// Waveform Plot
+// Draws the node voltages of a transient analysis on a canvas. The mouse wheel zooms the time axis around
+// the pointer, dragging pans it and a double click shows the whole run again; clicking a name in the
+// legend hides or shows its trace. The samples can be saved as CSV.
+
+// Trace colours, reused in order when there are more nodes
+const WAVEFORM_COLORS = ['#2563eb', '#dc2626', '#059669', '#7c3aed', '#d97706', '#0891b2', '#db2777', '#4b5563'];
+
+// Space around the plot area for the axis labels
+const WAVEFORM_MARGIN = { left: 44, right: 10, top: 10, bottom: 22 };
+
+// Zoom per wheel notch, and the narrowest window as a fraction of the run
+const WAVEFORM_ZOOM_STEP = 1.25;
+const WAVEFORM_MIN_WINDOW = 1e-4;
+
+// Round a span to 1, 2 or 5 times a power of ten, for grid lines
+function niceStep(span, lines) {
+    const rough = span / lines;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    return [1, 2, 5, 10].map(m => m * power).find(step => step >= rough);
+}
+
+class WaveformPlot {
+    constructor(canvas, legend) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.legend = legend;
+        this.result = null;
+        this.hidden = new Set();
+        this.window = null;
+        this.setupInteraction();
+    }
+
+    // Show the waveforms of a transient analysis, zoomed out to its whole run
+    show(result) {
+        this.result = result;
+        this.hidden = new Set();
+        this.window = this.fullWindow();
+        this.renderLegend();
+        this.draw();
+    }
+
+    // Time span of the whole run
+    fullWindow() {
+        const times = this.result ? this.result.times : [];
+        return { start: 0, end: times.length > 1 ? times[times.length - 1] : 1 };
+    }
+
+    setupInteraction() {
+        const plotTime = event => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+            const width = this.canvas.width - WAVEFORM_MARGIN.left - WAVEFORM_MARGIN.right;
+            const fraction = Math.min(1, Math.max(0, (x - WAVEFORM_MARGIN.left) / width));
+            return { fraction, time: this.window.start + fraction * (this.window.end - this.window.start) };
+        };
+
+        this.canvas.addEventListener('wheel', event => {
+            if (!this.result) return;
+            event.preventDefault();
+            const { fraction, time } = plotTime(event);
+            const scale = event.deltaY < 0 ? 1 / WAVEFORM_ZOOM_STEP : WAVEFORM_ZOOM_STEP;
+            this.setWindow(time - fraction * (this.window.end - this.window.start) * scale, (this.window.end - this.window.start) * scale);
+        });
+
+        let drag = null;
+        this.canvas.addEventListener('mousedown', event => {
+            if (this.result) drag = { x: event.clientX, window: { ...this.window } };
+        });
+        window.addEventListener('mousemove', event => {
+            if (!drag) return;
+            const rect = this.canvas.getBoundingClientRect();
+            const width = rect.width * (1 - (WAVEFORM_MARGIN.left + WAVEFORM_MARGIN.right) / this.canvas.width);
+            const shift = (drag.x - event.clientX) / width * (drag.window.end - drag.window.start);
+            this.setWindow(drag.window.start + shift, drag.window.end - drag.window.start);
+        });
+        window.addEventListener('mouseup', () => {
+            drag = null;
+        });
+
+        this.canvas.addEventListener('dblclick', () => {
+            if (!this.result) return;
+            this.window = this.fullWindow();
+            this.draw();
+        });
+    }
+
+    // Show span seconds from start, kept inside the run
+    setWindow(start, span) {
+        const full = this.fullWindow();
+        const length = full.end - full.start;
+        span = Math.min(length, Math.max(length * WAVEFORM_MIN_WINDOW, span));
+        start = Math.min(full.end - span, Math.max(full.start, start));
+        this.window = { start, end: start + span };
+        this.draw();
+    }
+
+    // One entry per node in its trace colour; clicking it hides or shows the trace
+    renderLegend() {
+        if (!this.legend) return;
+        this.legend.innerHTML = '';
+        this.result.series.forEach((series, index) => {
+            const entry = document.createElement('span');
+            entry.className = 'waveform-legend-item';
+            entry.style.color = WAVEFORM_COLORS[index % WAVEFORM_COLORS.length];
+            entry.title = series.pins.map(pin => `${pin.component}.${pin.pin}`).join(', ');
+            entry.textContent = series.name;
+            entry.addEventListener('click', () => {
+                if (this.hidden.has(series.name)) this.hidden.delete(series.name);
+                else this.hidden.add(series.name);
+                entry.classList.toggle('hidden', this.hidden.has(series.name));
+                this.draw();
+            });
+            this.legend.appendChild(entry);
+        });
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!this.result || this.result.times.length < 2) return;
+
+        const left = WAVEFORM_MARGIN.left;
+        const top = WAVEFORM_MARGIN.top;
+        const width = canvas.width - left - WAVEFORM_MARGIN.right;
+        const height = canvas.height - top - WAVEFORM_MARGIN.bottom;
+        const { start, end } = this.window;
+        const { times } = this.result;
+        const visible = this.result.series.filter(series => !this.hidden.has(series.name));
+
+        // Voltage range of the visible traces over the window, with a little room above and below
+        let low = 0;
+        let high = 0;
+        visible.forEach(series => series.values.forEach((value, i) => {
+            if (times[i] < start || times[i] > end) return;
+            low = Math.min(low, value);
+            high = Math.max(high, value);
+        }));
+        if (high - low < 1e-9) high = low + 1;
+        const pad = (high - low) * 0.05;
+        low -= pad;
+        high += pad;
+
+        const x = time => left + (time - start) / (end - start) * width;
+        const y = volts => top + (high - volts) / (high - low) * height;
+
+        // Grid with the time and voltage at each line
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillStyle = '#6b7280';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        const timeStep = niceStep(end - start, 5);
+        ctx.textAlign = 'center';
+        for (let time = Math.ceil(start / timeStep) * timeStep; time <= end; time += timeStep) {
+            ctx.beginPath();
+            ctx.moveTo(x(time), top);
+            ctx.lineTo(x(time), top + height);
+            ctx.stroke();
+            ctx.fillText(formatEngineeringValue(time, 's'), x(time), canvas.height - 6);
+        }
+        const voltStep = niceStep(high - low, 4);
+        ctx.textAlign = 'right';
+        for (let volts = Math.ceil(low / voltStep) * voltStep; volts <= high; volts += voltStep) {
+            ctx.beginPath();
+            ctx.moveTo(left, y(volts));
+            ctx.lineTo(left + width, y(volts));
+            ctx.stroke();
+            ctx.fillText(formatEngineeringValue(Math.abs(volts) < voltStep / 1e6 ? 0 : volts, 'V'), left - 4, y(volts) + 3);
+        }
+
+        // Traces, clipped to the plot area and including the points just outside the window
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+        const first = Math.max(0, times.findIndex(time => time >= start) - 1);
+        const last = times.findIndex(time => time > end);
+        const through = last < 0 ? times.length - 1 : last;
+        this.result.series.forEach((series, index) => {
+            if (this.hidden.has(series.name)) return;
+            ctx.strokeStyle = WAVEFORM_COLORS[index % WAVEFORM_COLORS.length];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = first; i <= through; i++) {
+                if (i === first) ctx.moveTo(x(times[i]), y(series.values[i]));
+                else ctx.lineTo(x(times[i]), y(series.values[i]));
+            }
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // The samples as CSV: a time column, then one column of volts per node
+    toCsv() {
+        if (!this.result) return '';
+        const quote = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+        const header = ['time (s)', ...this.result.series.map(series => `${series.name} (V)`)].map(quote).join(',');
+        const rows = this.result.times.map((time, i) => [time, ...this.result.series.map(series => series.values[i])].join(','));
+        return [header, ...rows].join('\n') + '\n';
+    }
+}
@@ -0,0 +1,325 @@
+// Wire Router
+// Routes wires with right angles around component boxes. Wires on the same net may share
+// tracks, wires on different nets keep apart, and crossings and junctions are found for drawing.
+
+// Routing grid in px, clearance kept around components, and the size of a line hop
+const ROUTE_GRID = 10;
+const ROUTE_CLEARANCE = 10;
+const ROUTE_HOP_RADIUS = 5;
+
+// Costs in grid steps; a turn costs as much as this many straight steps
+const ROUTE_COSTS = {
+    step: 1,
+    turn: 5,
+    sharedTrack: 0.3,
+    otherNetTrack: 20,
+    crossing: 3
+};
+
+// Searches give up after this many expanded cells and fall back to a simple elbow
+const MAX_ROUTE_EXPANSIONS = 40000;
+
+// Unit steps for the four directions
+const ROUTE_DIRECTIONS = {
+    right: [1, 0],
+    left: [-1, 0],
+    down: [0, 1],
+    up: [0, -1]
+};
+
+class WireRouter {
+    // Route every wire; wires are { from, to, net, fromBox, toBox, fromDir, toDir } with from/to points, the boxes
+    // they leave and the side each pin's lead points to (null to leave by the nearest side).
+    // obstacles are { x, y, width, height } boxes. Returns the wires with points, hops and the junction dots.
+    routeAll(wires, obstacles) {
+        this.tracks = new Map();
+        this.setBounds(wires, obstacles);
+        this.blocked = this.blockObstacles(obstacles);
+
+        // Short wires first, so long ones bend around them and can join them
+        const result = new Array(wires.length);
+        wires
+            .map((wire, index) => ({ wire, index }))
+            .sort((a, b) => this.distance(a.wire.from, a.wire.to) - this.distance(b.wire.from, b.wire.to))
+            .forEach(({ wire, index }) => {
+                const points = this.route(wire);
+                this.markTracks(points, wire.net);
+                result[index] = { ...wire, points };
+            });
+
+        result.forEach(wire => {
+            wire.hops = this.findHops(wire, result);
+        });
+        return { wires: result, junctions: this.findJunctions(result) };
+    }
+
+    // One wire: out of each pin's box, then a least-cost path between the two exits
+    route(wire) {
+        const startExit = this.exitPoint(wire.from, wire.fromBox, wire.fromDir);
+        const endExit = this.exitPoint(wire.to, wire.toBox, wire.toDir);
+        const path = this.search(startExit.cell, endExit.cell, wire.net)
+            || this.elbow(startExit.cell, endExit.cell);
+
+        const middle = path.map(([ix, iy]) => ({ x: ix * ROUTE_GRID, y: iy * ROUTE_GRID }));
+        return this.simplify([wire.from, ...startExit.stub, ...middle, ...[...endExit.stub].reverse(), wire.to]);
+    }
+
+    // Leave a box the way the pin's lead points, or through the side nearest the pin, and step clear of it onto the grid
+    exitPoint(point, box, dir) {
+        const snap = value => Math.round(value / ROUTE_GRID);
+        if (!box) {
+            return { cell: [snap(point.x), snap(point.y)], stub: [] };
+        }
+
+        const sides = [
+            ['left', point.x - box.x],
+            ['right', box.x + box.width - point.x],
+            ['up', point.y - box.y],
+            ['down', box.y + box.height - point.y]
+        ];
+        const side = dir || sides.reduce((best, s) => (s[1] < best[1] ? s : best))[0];
+        const [dx, dy] = ROUTE_DIRECTIONS[side];
+
+        const clear = ROUTE_CLEARANCE + ROUTE_GRID;
+        let x = point.x;
+        let y = point.y;
+        if (dx < 0) x = Math.floor((box.x - clear) / ROUTE_GRID) * ROUTE_GRID;
+        if (dx > 0) x = Math.ceil((box.x + box.width + clear) / ROUTE_GRID) * ROUTE_GRID;
+        if (dy < 0) y = Math.floor((box.y - clear) / ROUTE_GRID) * ROUTE_GRID;
+        if (dy > 0) y = Math.ceil((box.y + box.height + clear) / ROUTE_GRID) * ROUTE_GRID;
+
+        // Straight out of the pin, then a short jog onto the grid line
+        const out = dx !== 0 ? { x, y: point.y } : { x: point.x, y };
+        const cell = [snap(out.x), snap(out.y)];
+        return { cell, stub: [out, { x: cell[0] * ROUTE_GRID, y: cell[1] * ROUTE_GRID }] };
+    }
+
+    // A* over grid cells; the state includes the direction of travel so turns can be charged
+    search(start, goal, net) {
+        const key = (ix, iy, dir) => `${ix},${iy},${dir}`;
+        const heuristic = (ix, iy) => Math.abs(ix - goal[0]) + Math.abs(iy - goal[1]);
+        const open = new RouteHeap();
+        const best = new Map();
+        const previous = new Map();
+
+        const startKey = key(start[0], start[1], 'none');
+        best.set(startKey, 0);
+        open.push({ ix: start[0], iy: start[1], dir: 'none', cost: 0, key: startKey }, heuristic(start[0], start[1]));
+
+        let expansions = 0;
+        while (open.size() > 0 && expansions++ < MAX_ROUTE_EXPANSIONS) {
+            const node = open.pop();
+            if (node.cost > best.get(node.key)) continue;
+            if (node.ix === goal[0] && node.iy === goal[1]) {
+                const path = [];
+                for (let k = node.key; k; k = previous.get(k)) {
+                    const [ix, iy] = k.split(',').map(Number);
+                    path.unshift([ix, iy]);
+                }
+                return path;
+            }
+
+            Object.entries(ROUTE_DIRECTIONS).forEach(([dir, [dx, dy]]) => {
+                const ix = node.ix + dx;
+                const iy = node.iy + dy;
+                if (!this.inBounds(ix, iy)) return;
+                const isGoal = ix === goal[0] && iy === goal[1];
+                if (!isGoal && this.blocked.has(`${ix},${iy}`)) return;
+
+                const cost = node.cost + this.stepCost(ix, iy, dir, node.dir, net);
+                const nextKey = key(ix, iy, dir);
+                if (best.has(nextKey) && best.get(nextKey) <= cost) return;
+                best.set(nextKey, cost);
+                previous.set(nextKey, node.key);
+                open.push({ ix, iy, dir, cost, key: nextKey }, cost + heuristic(ix, iy));
+            });
+        }
+        return null;
+    }
+
+    // Cost of stepping into a cell: turns are dear, shared tracks of the same net cheap, other nets' tracks avoided
+    stepCost(ix, iy, dir, previousDir, net) {
+        const horizontal = dir === 'left' || dir === 'right';
+        const track = this.tracks.get(`${ix},${iy}`);
+        let cost = ROUTE_COSTS.step;
+
+        if (previousDir !== 'none' && previousDir !== dir) cost += ROUTE_COSTS.turn;
+        if (track) {
+            const along = horizontal ? track.h : track.v;
+            const across = horizontal ? track.v : track.h;
+            if (along.has(net)) cost = ROUTE_COSTS.sharedTrack;
+            else if (along.size > 0) cost += ROUTE_COSTS.otherNetTrack;
+            if ([...across].some(other => other !== net)) cost += ROUTE_COSTS.crossing;
+        }
+        return cost;
+    }
+
+    // Fallback when no path is found: across, then down
+    elbow(start, goal) {
+        return [start, [goal[0], start[1]], goal];
+    }
+
+    // Remember which nets run along each cell, horizontally and vertically
+    markTracks(points, net) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const horizontal = a.y === b.y;
+            const steps = Math.round(Math.abs(horizontal ? b.x - a.x : b.y - a.y) / ROUTE_GRID);
+            for (let s = 0; s <= steps; s++) {
+                const x = Math.round((horizontal ? a.x + Math.sign(b.x - a.x) * s * ROUTE_GRID : a.x) / ROUTE_GRID);
+                const y = Math.round((horizontal ? a.y : a.y + Math.sign(b.y - a.y) * s * ROUTE_GRID) / ROUTE_GRID);
+                const cell = `${x},${y}`;
+                if (!this.tracks.has(cell)) this.tracks.set(cell, { h: new Set(), v: new Set() });
+                (horizontal ? this.tracks.get(cell).h : this.tracks.get(cell).v).add(net);
+            }
+        }
+    }
+
+    // Grid cells covered by a component box and its clearance
+    blockObstacles(obstacles) {
+        const blocked = new Set();
+        obstacles.forEach(box => {
+            const left = Math.ceil((box.x - ROUTE_CLEARANCE) / ROUTE_GRID);
+            const right = Math.floor((box.x + box.width + ROUTE_CLEARANCE) / ROUTE_GRID);
+            const top = Math.ceil((box.y - ROUTE_CLEARANCE) / ROUTE_GRID);
+            const bottom = Math.floor((box.y + box.height + ROUTE_CLEARANCE) / ROUTE_GRID);
+            for (let ix = left; ix <= right; ix++) {
+                for (let iy = top; iy <= bottom; iy++) blocked.add(`${ix},${iy}`);
+            }
+        });
+        return blocked;
+    }
+
+    // Search area: everything on the canvas plus a margin to route around the outside
+    setBounds(wires, obstacles) {
+        const xs = [...obstacles.flatMap(b => [b.x, b.x + b.width]), ...wires.flatMap(w => [w.from.x, w.to.x])];
+        const ys = [...obstacles.flatMap(b => [b.y, b.y + b.height]), ...wires.flatMap(w => [w.from.y, w.to.y])];
+        const margin = 60;
+        this.bounds = {
+            left: Math.floor((Math.min(...xs, 0) - margin) / ROUTE_GRID),
+            right: Math.ceil((Math.max(...xs, 0) + margin) / ROUTE_GRID),
+            top: Math.floor((Math.min(...ys, 0) - margin) / ROUTE_GRID),
+            bottom: Math.ceil((Math.max(...ys, 0) + margin) / ROUTE_GRID)
+        };
+    }
+
+    inBounds(ix, iy) {
+        return ix >= this.bounds.left && ix <= this.bounds.right && iy >= this.bounds.top && iy <= this.bounds.bottom;
+    }
+
+    // Drop repeated points and points in the middle of a straight run
+    simplify(points) {
+        const unique = points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+        return unique.filter((p, i) => {
+            if (i === 0 || i === unique.length - 1) return true;
+            const a = unique[i - 1];
+            const b = unique[i + 1];
+            return !((a.x === p.x && p.x === b.x) || (a.y === p.y && p.y === b.y));
+        });
+    }
+
+    // Where a horizontal run of this wire crosses a vertical run of another net's wire; drawn as a hop
+    findHops(wire, wires) {
+        const hops = [];
+        this.segments(wire).filter(s => s.horizontal).forEach((segment, index) => {
+            wires.filter(other => other.net !== wire.net).forEach(other => {
+                this.segments(other).filter(s => !s.horizontal).forEach(vertical => {
+                    const x = vertical.a.x;
+                    const y = segment.a.y;
+                    const within = (v, a, b) => v > Math.min(a, b) + ROUTE_HOP_RADIUS && v < Math.max(a, b) - ROUTE_HOP_RADIUS;
+                    if (within(x, segment.a.x, segment.b.x) && within(y, vertical.a.y, vertical.b.y)) {
+                        hops.push({ segment: segment.index, x, y });
+                    }
+                });
+            });
+        });
+        return hops;
+    }
+
+    // Points where three or more wire ends or runs of the same net meet
+    findJunctions(wires) {
+        const junctions = [];
+        const nets = [...new Set(wires.map(w => w.net))];
+        nets.forEach(net => {
+            const segments = wires.filter(w => w.net === net).flatMap(w => this.segments(w));
+            const points = new Map();
+            segments.forEach(s => [s.a, s.b].forEach(p => points.set(`${p.x},${p.y}`, p)));
+
+            points.forEach(point => {
+                let degree = 0;
+                segments.forEach(s => {
+                    if ((s.a.x === point.x && s.a.y === point.y) || (s.b.x === point.x && s.b.y === point.y)) degree++;
+                    else if (this.onSegment(point, s)) degree += 2;
+                });
+                if (degree >= 3) junctions.push({ x: point.x, y: point.y, net });
+            });
+        });
+        return junctions;
+    }
+
+    // Straight runs of a routed wire
+    segments(wire) {
+        const segments = [];
+        for (let i = 1; i < wire.points.length; i++) {
+            const a = wire.points[i - 1];
+            const b = wire.points[i];
+            segments.push({ a, b, horizontal: a.y === b.y && a.x !== b.x, index: i - 1 });
+        }
+        return segments;
+    }
+
+    // Whether a point lies inside a straight run (not at its ends)
+    onSegment(point, segment) {
+        const { a, b } = segment;
+        if (a.y === b.y && point.y === a.y) return point.x > Math.min(a.x, b.x) && point.x < Math.max(a.x, b.x);
+        if (a.x === b.x && point.x === a.x) return point.y > Math.min(a.y, b.y) && point.y < Math.max(a.y, b.y);
+        return false;
+    }
+
+    distance(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    }
+}
+
+// Binary min-heap of search nodes by priority
+class RouteHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(node, priority) {
+        this.items.push({ node, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.node;
+    }
+}